@@ -11,6 +11,13 @@
   const CHAT_ENDPOINT = `${API_BASE_URL}/chat/completions`;
   const KEY_STATUS_ENDPOINT = `${API_BASE_URL}/key`;
 
+  // Retry policy for rate limits and transient server errors
+  const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+  const DEFAULT_MAX_RETRIES = 3;
+  const RETRY_BASE_DELAY_MS = 1000;
+  const RETRY_MAX_DELAY_MS = 60000;
+  const RETRY_TICK_MS = 250;
+
   /**
    * API Service Class
    * Encapsulates all API communication logic
@@ -19,6 +26,12 @@
     constructor() {
       this.currentController = null;
       this.streamingActive = false;
+      this.streamTimer = null;
+      this.streamTimeoutMs = 0;
+      this.maxRetries = DEFAULT_MAX_RETRIES;
+      
+      // Event callbacks
+      this.onRetryCountdown = null;
     }
 
     /**
@@ -42,6 +55,10 @@
      */
     parseJsonOrThrow(response) {
       return response.text().then(text => {
+        if (!response.ok) {
+          throw new Error(this.describeHttpError(response, text));
+        }
+        
         const contentType = this.getHeader(response, 'content-type');
         if (contentType.indexOf('application/json') === -1) {
           throw new Error(`Expected JSON but got "${contentType}". Status ${response.status}. Body:\n${text.slice(0, 1000)}`);
@@ -54,6 +71,27 @@
       });
     }
 
+    /**
+     * Build an error message for a failed HTTP response
+     * @param {Response} response - Fetch response
+     * @param {string} text - Response body
+     * @returns {string} Error message
+     */
+    describeHttpError(response, text) {
+      let detail = text || '';
+      try {
+        const json = JSON.parse(text);
+        if (json && json.error && json.error.message) {
+          detail = json.error.message;
+        }
+      } catch (e) {
+        // Not JSON, keep the raw body
+      }
+      
+      const retries = response.retryCount ? ` (gave up after ${response.retryCount} ${response.retryCount === 1 ? 'retry' : 'retries'})` : '';
+      return `HTTP ${response.status} – ${detail}${retries}`;
+    }
+
     /**
      * Read Server-Sent Events stream
      * @param {Response} response - Fetch response
@@ -64,7 +102,7 @@
     readSSE(response, onChunk, onDone) {
       if (!response.ok) {
         return response.text().then(text => {
-          throw new Error(`HTTP ${response.status} – ${text || ''}`);
+          throw new Error(this.describeHttpError(response, text));
         });
       }
 
@@ -125,11 +163,31 @@
       this.abortActive();
       this.currentController = new AbortController();
       this.streamingActive = true;
+      this.streamTimeoutMs = timeoutSeconds * 1000;
+      this.startStreamTimer();
+    }
+
+    /**
+     * Start (or restart) the stream timeout
+     */
+    startStreamTimer() {
+      this.clearStreamTimer();
+      if (!this.streamTimeoutMs) return;
       
-      // Set timeout
-      setTimeout(() => {
-        this.abortActive('Timed out', true);
-      }, timeoutSeconds * 1000);
+      this.streamTimer = setTimeout(() => {
+        this.streamTimer = null;
+        this.abortActive('Timed out');
+      }, this.streamTimeoutMs);
+    }
+
+    /**
+     * Clear the stream timeout
+     */
+    clearStreamTimer() {
+      if (this.streamTimer) {
+        clearTimeout(this.streamTimer);
+        this.streamTimer = null;
+      }
     }
 
     /**
@@ -147,6 +205,7 @@
       }
       this.currentController = null;
       this.streamingActive = false;
+      this.clearStreamTimer();
       
       if (reason && throwError) {
         throw new Error(`Stream closed: ${reason}`);
@@ -159,6 +218,166 @@
     cleanupStreamState() {
       this.streamingActive = false;
       this.currentController = null;
+      this.clearStreamTimer();
+    }
+
+    /**
+     * Set the maximum number of retries for retryable responses
+     * @param {number} maxRetries - Retry limit (0 disables retrying)
+     */
+    setMaxRetries(maxRetries) {
+      const value = parseInt(maxRetries, 10);
+      this.maxRetries = Number.isFinite(value) && value >= 0 ? value : DEFAULT_MAX_RETRIES;
+    }
+
+    /**
+     * Check whether an HTTP status is worth retrying
+     * @param {number} status - HTTP status code
+     * @returns {boolean} Whether the request should be retried
+     */
+    isRetryableStatus(status) {
+      return RETRYABLE_STATUSES.includes(status);
+    }
+
+    /**
+     * Get the delay before the next retry
+     * Uses Retry-After or X-RateLimit-Reset when present, otherwise
+     * exponential backoff with jitter.
+     * @param {Response|null} response - Failed response (null for network errors)
+     * @param {number} attempt - Zero-based retry attempt
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(response, attempt) {
+      const now = Date.now();
+      const retryAfter = response ? this.getHeader(response, 'retry-after') : '';
+      
+      if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - now;
+        if (Number.isFinite(delay) && delay >= 0) {
+          return Math.min(delay, RETRY_MAX_DELAY_MS);
+        }
+      }
+      
+      const reset = Number(response ? this.getHeader(response, 'x-ratelimit-reset') : '');
+      if (reset > 0) {
+        // Seconds from now, epoch seconds or epoch milliseconds
+        let resetAt = reset;
+        if (reset < 1e9) {
+          resetAt = now + reset * 1000;
+        } else if (reset < 1e12) {
+          resetAt = reset * 1000;
+        }
+        if (resetAt > now) {
+          return Math.min(resetAt - now, RETRY_MAX_DELAY_MS);
+        }
+      }
+      
+      const backoff = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempt), RETRY_MAX_DELAY_MS);
+      return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * Fetch with automatic retries for rate limits, server errors and network failures
+     * @param {string} url - Request URL
+     * @param {Object} fetchOptions - Fetch options (the signal cancels waiting as well)
+     * @returns {Promise<Response>} Final response
+     */
+    async fetchWithRetry(url, fetchOptions) {
+      for (let attempt = 0; ; attempt++) {
+        let response = null;
+        
+        try {
+          response = await fetch(url, fetchOptions);
+        } catch (error) {
+          if (error.name === 'AbortError' || attempt >= this.maxRetries) throw error;
+        }
+        
+        if (response && (response.ok || !this.isRetryableStatus(response.status) || attempt >= this.maxRetries)) {
+          response.retryCount = attempt;
+          return response;
+        }
+        
+        if (response) {
+          // Release the connection before waiting
+          response.text().catch(() => {});
+        }
+        
+        const hadTimer = !!this.streamTimer;
+        this.clearStreamTimer();
+        await this.waitForRetry(this.getRetryDelay(response, attempt), {
+          attempt: attempt + 1,
+          maxRetries: this.maxRetries,
+          status: response ? response.status : null
+        }, fetchOptions.signal);
+        if (hadTimer) {
+          this.startStreamTimer();
+        }
+      }
+    }
+
+    /**
+     * Wait before retrying, reporting the countdown and honouring cancellation
+     * @param {number} delayMs - Delay in milliseconds
+     * @param {Object} info - Retry details passed to the countdown callback
+     * @param {AbortSignal} signal - Signal that cancels the wait
+     * @returns {Promise} Resolves when the delay has passed
+     */
+    waitForRetry(delayMs, info, signal) {
+      return new Promise((resolve, reject) => {
+        const endsAt = Date.now() + delayMs;
+        let timer = null;
+        
+        const finish = () => {
+          clearInterval(timer);
+          if (signal) signal.removeEventListener('abort', onAbort);
+          this.notifyRetryCountdown(null);
+        };
+        
+        const onAbort = () => {
+          finish();
+          const error = new Error('Request cancelled while waiting to retry');
+          error.name = 'AbortError';
+          reject(error);
+        };
+        
+        const tick = () => {
+          const remainingMs = endsAt - Date.now();
+          if (remainingMs <= 0) {
+            finish();
+            resolve();
+            return;
+          }
+          this.notifyRetryCountdown({ ...info, secondsLeft: Math.ceil(remainingMs / 1000) });
+        };
+        
+        if (signal && signal.aborted) {
+          onAbort();
+          return;
+        }
+        
+        if (signal) signal.addEventListener('abort', onAbort);
+        timer = setInterval(tick, RETRY_TICK_MS);
+        tick();
+      });
+    }
+
+    /**
+     * Report the retry countdown
+     * @param {Object|null} info - { attempt, maxRetries, status, secondsLeft } or null when waiting ends
+     */
+    notifyRetryCountdown(info) {
+      if (this.onRetryCountdown) {
+        this.onRetryCountdown(info);
+      }
+    }
+
+    /**
+     * Set event callbacks
+     * @param {Object} callbacks - Callback functions
+     */
+    setCallbacks(callbacks) {
+      this.onRetryCountdown = callbacks.onRetryCountdown;
     }
 
     /**
@@ -226,11 +445,13 @@
         body: JSON.stringify(body)
       };
 
-      if (stream && this.currentController) {
-        fetchOptions.signal = this.currentController.signal;
+      // Non-streaming requests get a controller too, so Stop can cancel them and their retries
+      if (!this.currentController) {
+        this.currentController = new AbortController();
       }
+      fetchOptions.signal = this.currentController.signal;
 
-      const response = await fetch(CHAT_ENDPOINT, fetchOptions);
+      const response = await this.fetchWithRetry(CHAT_ENDPOINT, fetchOptions);
 
       if (!stream) {
         return await this.parseJsonOrThrow(response);
@@ -246,10 +467,12 @@
      * @param {Array} messages - Message array
      * @param {number} n - Number of images to generate
      * @param {boolean} stream - Whether to stream response
+     * @param {Object} extraOptions - Additional request body fields (e.g. sampling parameters)
      * @returns {Promise} Request promise
      */
-    async sendImageGeneration(apiKey, model, messages, n = 1, stream = false) {
+    async sendImageGeneration(apiKey, model, messages, n = 1, stream = false, extraOptions = {}) {
       const options = {
+        ...extraOptions,
         modalities: ['image', 'text'],
         n: n
       };
@@ -283,6 +506,30 @@
       return '';
     }
 
+    /**
+     * Extract reasoning text from a message or a stream delta
+     * `reasoning` carries the plain text; `reasoning_details` is used when it is missing.
+     * @param {Object} message - Message object or delta
+     * @returns {string} Reasoning text
+     */
+    extractReasoning(message) {
+      if (!message) return '';
+      
+      if (typeof message.reasoning === 'string' && message.reasoning) {
+        return message.reasoning;
+      }
+      
+      if (Array.isArray(message.reasoning_details)) {
+        return message.reasoning_details.map(detail => {
+          if (detail?.type === 'reasoning.text') return detail.text || '';
+          if (detail?.type === 'reasoning.summary') return detail.summary || '';
+          return '';
+        }).join('');
+      }
+      
+      return '';
+    }
+
     /**
      * Extract images from message
      * @param {Object} message - Message object
@@ -353,12 +600,25 @@
     /**
      * Build messages array from conversation history
      * @param {Array} messageHistory - Array of message objects
+     * @param {string} systemPrompt - Optional system prompt sent as the first message
      * @returns {Array} Formatted messages array
      */
-    buildMessagesFromHistory(messageHistory) {
+    buildMessagesFromHistory(messageHistory, systemPrompt = '') {
       const messages = [];
       
+      if (systemPrompt) {
+        messages.push({
+          role: 'system',
+          content: systemPrompt
+        });
+      }
+      
       messageHistory.forEach(msg => {
+        // Tool calls made while producing an assistant message precede it
+        if (msg.role === 'assistant' && msg.toolRounds && msg.toolRounds.length > 0) {
+          messages.push(...this.buildToolRoundMessages(msg.toolRounds));
+        }
+        
         if (msg.images && msg.images.length > 0) {
           const content = this.buildMultimodalContent(msg.content, msg.images);
           messages.push({
@@ -375,6 +635,40 @@
       
       return messages;
     }
+
+    /**
+     * Build the assistant `tool_calls` and `tool` result messages of a tool loop
+     * @param {Array} toolRounds - Rounds as { content, calls: [{ id, name, arguments, result }] }
+     * @returns {Array} API messages
+     */
+    buildToolRoundMessages(toolRounds) {
+      const messages = [];
+      
+      (toolRounds || []).forEach(round => {
+        messages.push({
+          role: 'assistant',
+          content: round.content || null,
+          tool_calls: round.calls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: {
+              name: call.name,
+              arguments: call.arguments
+            }
+          }))
+        });
+        
+        round.calls.forEach(call => {
+          messages.push({
+            role: 'tool',
+            tool_call_id: call.id,
+            content: call.result || ''
+          });
+        });
+      });
+      
+      return messages;
+    }
   }
 
   // Export singleton instance
@@ -6,6 +6,9 @@
 (function() {
   'use strict';
 
+  // Requests per message before the model is asked to answer without calling more tools
+  const MAX_TOOL_ROUNDS = 8;
+
   /**
    * Main Application Class
    * Coordinates all modules and handles the application flow
@@ -14,6 +17,7 @@
     constructor() {
       this.isInitialized = false;
       this.elements = {};
+      this.requestedModelId = null; // Model picked by the user for the running request
       this.settings = {
         timeout: 30,
         streamEnabled: true,
@@ -36,6 +40,9 @@
         // Load models asynchronously
         await this.loadModels();
         
+        // Restore saved conversations
+        await ConversationManager.loadConversations();
+        
         this.isInitialized = true;
         console.log('OpenRouter App initialized successfully');
       } catch (error) {
@@ -58,14 +65,33 @@
         // Mode and settings
         mode: DOMUtils.getElementById('mode'),
         stream: DOMUtils.getElementById('stream'),
+        userMarkdown: DOMUtils.getElementById('userMarkdown'),
         timeoutSec: DOMUtils.getElementById('timeoutSec'),
+        maxRetries: DOMUtils.getElementById('maxRetries'),
         imgCount: DOMUtils.getElementById('imgCount'),
         imageOptions: DOMUtils.getElementById('imageOptions'),
+        structuredOptions: DOMUtils.getElementById('structuredOptions'),
+        compareOptions: DOMUtils.getElementById('compareOptions'),
+        compareSummary: DOMUtils.getElementById('compareSummary'),
+        compareModelList: DOMUtils.getElementById('compareModelList'),
+        compareModelPicker: DOMUtils.getElementById('compareModelPicker'),
+        compareVotes: DOMUtils.getElementById('compareVotes'),
+        contextSummary: DOMUtils.getElementById('contextSummary'),
+        contextStrategy: DOMUtils.getElementById('contextStrategy'),
+        contextWindowTurns: DOMUtils.getElementById('contextWindowTurns'),
+        contextTokenBudget: DOMUtils.getElementById('contextTokenBudget'),
+        contextKeepTurns: DOMUtils.getElementById('contextKeepTurns'),
+        middleOutTransform: DOMUtils.getElementById('middleOutTransform'),
+        contextSummaryPanel: DOMUtils.getElementById('contextSummaryPanel'),
+        contextSummaryLabel: DOMUtils.getElementById('contextSummaryLabel'),
+        contextSummaryText: DOMUtils.getElementById('contextSummaryText'),
+        discardSummaryBtn: DOMUtils.getElementById('discardSummaryBtn'),
         
         // Chat elements
         prompt: DOMUtils.getElementById('prompt'),
         sendBtn: DOMUtils.getElementById('sendBtn'),
         stopBtn: DOMUtils.getElementById('stopBtn'),
+        exportChatBtn: DOMUtils.getElementById('exportChatBtn'),
         clearChatBtn: DOMUtils.getElementById('clearChatBtn'),
         chatMessages: DOMUtils.getElementById('chatMessages'),
         
@@ -77,10 +103,21 @@
         modelSearchPopup: DOMUtils.getElementById('modelSearchPopup'),
         modelsGrid: DOMUtils.getElementById('modelsGrid'),
         filterButtons: DOMUtils.querySelectorAll('.filter-btn'),
+        modelFiltersSummary: DOMUtils.getElementById('modelFiltersSummary'),
+        modelFiltersBody: DOMUtils.getElementById('modelFiltersBody'),
+        resetModelFiltersBtn: DOMUtils.getElementById('resetModelFiltersBtn'),
         modelCountEl: DOMUtils.getElementById('modelCount'),
         refreshModels: DOMUtils.getElementById('refreshModels'),
+        modelCatalogStatus: DOMUtils.getElementById('modelCatalogStatus'),
+        catalogChanges: DOMUtils.getElementById('catalogChanges'),
+        catalogChangesSummary: DOMUtils.getElementById('catalogChangesSummary'),
+        catalogChangesList: DOMUtils.getElementById('catalogChangesList'),
+        dismissCatalogChangesBtn: DOMUtils.getElementById('dismissCatalogChangesBtn'),
         includePaidModelsToggle: DOMUtils.getElementById('includePaidModels'),
         modelSort: DOMUtils.getElementById('modelSort'),
+        fallbackChain: DOMUtils.getElementById('fallbackChain'),
+        fallbackSummary: DOMUtils.getElementById('fallbackSummary'),
+        fallbackStrategy: DOMUtils.getElementById('fallbackStrategy'),
         
         // Image elements
         imageUploadBtn: DOMUtils.getElementById('imageUploadBtn'),
@@ -90,7 +127,59 @@
         // Modal elements
         modal: DOMUtils.getElementById('imageModal'),
         modalImg: DOMUtils.getElementById('modalImage'),
-        modalCaption: DOMUtils.getElementById('modalCaption')
+        modalCaption: DOMUtils.getElementById('modalCaption'),
+        
+        // Conversation sidebar elements
+        conversationList: DOMUtils.getElementById('conversationList'),
+        newConversationBtn: DOMUtils.getElementById('newConversationBtn'),
+        importConversationBtn: DOMUtils.getElementById('importConversationBtn'),
+        importFile: DOMUtils.getElementById('importFile'),
+        
+        // System prompt and persona elements
+        systemPrompt: DOMUtils.getElementById('systemPrompt'),
+        systemPromptSummary: DOMUtils.getElementById('systemPromptSummary'),
+        personaSelect: DOMUtils.getElementById('personaSelect'),
+        savePersonaBtn: DOMUtils.getElementById('savePersonaBtn'),
+        updatePersonaBtn: DOMUtils.getElementById('updatePersonaBtn'),
+        deletePersonaBtn: DOMUtils.getElementById('deletePersonaBtn'),
+        
+        // Sampling parameter elements
+        parametersSummary: DOMUtils.getElementById('parametersSummary'),
+        parametersFields: DOMUtils.getElementById('parametersFields'),
+        resetParametersBtn: DOMUtils.getElementById('resetParametersBtn'),
+        
+        // Tool elements
+        toolsSummary: DOMUtils.getElementById('toolsSummary'),
+        toolList: DOMUtils.getElementById('toolList'),
+        addToolBtn: DOMUtils.getElementById('addToolBtn'),
+        toolEditor: DOMUtils.getElementById('toolEditor'),
+        toolName: DOMUtils.getElementById('toolName'),
+        toolDescription: DOMUtils.getElementById('toolDescription'),
+        toolParameters: DOMUtils.getElementById('toolParameters'),
+        toolCode: DOMUtils.getElementById('toolCode'),
+        toolEditorError: DOMUtils.getElementById('toolEditorError'),
+        saveToolBtn: DOMUtils.getElementById('saveToolBtn'),
+        cancelToolBtn: DOMUtils.getElementById('cancelToolBtn'),
+        
+        // Structured output elements
+        schemaSummary: DOMUtils.getElementById('schemaSummary'),
+        schemaName: DOMUtils.getElementById('schemaName'),
+        schemaStrict: DOMUtils.getElementById('schemaStrict'),
+        schemaEditor: DOMUtils.getElementById('schemaEditor'),
+        schemaError: DOMUtils.getElementById('schemaError'),
+        formatSchemaBtn: DOMUtils.getElementById('formatSchemaBtn'),
+        exampleSchemaBtn: DOMUtils.getElementById('exampleSchemaBtn'),
+        
+        // Usage and budget elements
+        usageTotals: DOMUtils.getElementById('usageTotals'),
+        contextMeter: DOMUtils.getElementById('contextMeter'),
+        contextMeterFill: DOMUtils.getElementById('contextMeterFill'),
+        contextMeterReserve: DOMUtils.getElementById('contextMeterReserve'),
+        contextMeterLabel: DOMUtils.getElementById('contextMeterLabel'),
+        budgetCap: DOMUtils.getElementById('budgetCap'),
+        budgetPeriod: DOMUtils.getElementById('budgetPeriod'),
+        budgetAction: DOMUtils.getElementById('budgetAction'),
+        budgetStatus: DOMUtils.getElementById('budgetStatus')
       };
     }
 
@@ -98,6 +187,14 @@
      * Initialize all modules
      */
     initializeModules() {
+      // Initialize the model filter panel before the models load
+      ModelFilters.initialize({
+        modelFiltersSummary: this.elements.modelFiltersSummary,
+        modelFiltersBody: this.elements.modelFiltersBody,
+        resetModelFiltersBtn: this.elements.resetModelFiltersBtn
+      });
+      ModelFilters.setOnChange(() => ModelManager.filterModels());
+
       // Initialize Model Manager
       ModelManager.initialize({
         modelSelectorBtn: this.elements.modelSelectorBtn,
@@ -107,10 +204,18 @@
         modelsGrid: this.elements.modelsGrid,
         filterButtons: this.elements.filterButtons,
         modelCountEl: this.elements.modelCountEl,
-        refreshModels: this.elements.refreshModels,
+        refreshModelsBtn: this.elements.refreshModels,
+        modelCatalogStatus: this.elements.modelCatalogStatus,
+        catalogChanges: this.elements.catalogChanges,
+        catalogChangesSummary: this.elements.catalogChangesSummary,
+        catalogChangesList: this.elements.catalogChangesList,
+        dismissCatalogChangesBtn: this.elements.dismissCatalogChangesBtn,
         selectedModelText: this.elements.selectedModelText,
         includePaidModelsToggle: this.elements.includePaidModelsToggle,
-        modelSort: this.elements.modelSort
+        modelSort: this.elements.modelSort,
+        fallbackChain: this.elements.fallbackChain,
+        fallbackSummary: this.elements.fallbackSummary,
+        fallbackStrategy: this.elements.fallbackStrategy
       });
 
       // Initialize Chat Manager
@@ -140,6 +245,105 @@
       // Initialize Regeneration Manager
       RegenerationManager.initialize();
       this.setupRegenerationListeners();
+
+      // Initialize Conversation Manager
+      ConversationManager.initialize({
+        conversationList: this.elements.conversationList,
+        newConversationBtn: this.elements.newConversationBtn,
+        exportChatBtn: this.elements.exportChatBtn
+      });
+
+      // Initialize Import Manager
+      ImportManager.initialize({
+        importBtn: this.elements.importConversationBtn,
+        importFile: this.elements.importFile
+      });
+
+      // Initialize Persona Manager
+      PersonaManager.initialize({
+        systemPrompt: this.elements.systemPrompt,
+        systemPromptSummary: this.elements.systemPromptSummary,
+        personaSelect: this.elements.personaSelect,
+        savePersonaBtn: this.elements.savePersonaBtn,
+        updatePersonaBtn: this.elements.updatePersonaBtn,
+        deletePersonaBtn: this.elements.deletePersonaBtn
+      });
+
+      // Initialize Parameter Panel
+      ParameterPanel.initialize({
+        parametersSummary: this.elements.parametersSummary,
+        parametersFields: this.elements.parametersFields,
+        resetParametersBtn: this.elements.resetParametersBtn
+      });
+
+      // Initialize Tool Manager
+      ToolManager.initialize({
+        toolsSummary: this.elements.toolsSummary,
+        toolList: this.elements.toolList,
+        addToolBtn: this.elements.addToolBtn,
+        toolEditor: this.elements.toolEditor,
+        toolName: this.elements.toolName,
+        toolDescription: this.elements.toolDescription,
+        toolParameters: this.elements.toolParameters,
+        toolCode: this.elements.toolCode,
+        toolEditorError: this.elements.toolEditorError,
+        saveToolBtn: this.elements.saveToolBtn,
+        cancelToolBtn: this.elements.cancelToolBtn
+      });
+
+      // Initialize Structured Output
+      StructuredOutput.initialize({
+        schemaSummary: this.elements.schemaSummary,
+        schemaName: this.elements.schemaName,
+        schemaStrict: this.elements.schemaStrict,
+        schemaEditor: this.elements.schemaEditor,
+        schemaError: this.elements.schemaError,
+        formatSchemaBtn: this.elements.formatSchemaBtn,
+        exampleSchemaBtn: this.elements.exampleSchemaBtn
+      });
+
+      // Initialize Comparison Manager
+      ComparisonManager.initialize({
+        compareSummary: this.elements.compareSummary,
+        compareModelList: this.elements.compareModelList,
+        compareModelPicker: this.elements.compareModelPicker,
+        compareVotes: this.elements.compareVotes
+      });
+
+      // Initialize Context Manager
+      ContextManager.initialize({
+        contextSummary: this.elements.contextSummary,
+        contextStrategy: this.elements.contextStrategy,
+        contextWindowTurns: this.elements.contextWindowTurns,
+        contextTokenBudget: this.elements.contextTokenBudget,
+        contextKeepTurns: this.elements.contextKeepTurns,
+        middleOutTransform: this.elements.middleOutTransform,
+        contextSummaryPanel: this.elements.contextSummaryPanel,
+        contextSummaryLabel: this.elements.contextSummaryLabel,
+        contextSummaryText: this.elements.contextSummaryText,
+        discardSummaryBtn: this.elements.discardSummaryBtn
+      });
+
+      // Initialize Usage Tracker
+      UsageTracker.initialize({
+        usageTotals: this.elements.usageTotals
+      });
+
+      // Initialize Token Counter
+      TokenCounter.initialize({
+        contextMeter: this.elements.contextMeter,
+        contextMeterFill: this.elements.contextMeterFill,
+        contextMeterReserve: this.elements.contextMeterReserve,
+        contextMeterLabel: this.elements.contextMeterLabel
+      });
+
+      // Initialize Budget Manager
+      BudgetManager.initialize({
+        budgetCap: this.elements.budgetCap,
+        budgetPeriod: this.elements.budgetPeriod,
+        budgetAction: this.elements.budgetAction,
+        budgetStatus: this.elements.budgetStatus
+      });
     }
 
     /**
@@ -152,6 +356,9 @@
       // Mode change
       this.setupModeListeners();
       
+      // Display preferences
+      this.setupDisplayListeners();
+      
       // Model selection
       this.setupModelListeners();
       
@@ -166,6 +373,36 @@
       
       // Regeneration functionality
       this.setupRegenerationListeners();
+      
+      // Saved conversations
+      this.setupConversationListeners();
+      
+      // System prompt and personas
+      this.setupPersonaListeners();
+      
+      // Spend tracking
+      UsageTracker.setOnUsageRecorded(() => BudgetManager.renderStatus());
+      
+      // Retry countdown
+      APIService.setCallbacks({
+        onRetryCountdown: (info) => ChatManager.setTypingStatus(info ? this.formatRetryStatus(info) : null)
+      });
+    }
+
+    /**
+     * Describe a pending retry for the typing indicator
+     * @param {Object} info - { attempt, maxRetries, status, secondsLeft }
+     * @returns {string} Status text
+     */
+    formatRetryStatus(info) {
+      let reason = 'Network error';
+      if (info.status === 429) {
+        reason = 'Rate limited (HTTP 429)';
+      } else if (info.status) {
+        reason = `Server error (HTTP ${info.status})`;
+      }
+      
+      return `${reason}. Retrying in ${info.secondsLeft}s (attempt ${info.attempt}/${info.maxRetries}) – press Stop to cancel`;
     }
 
     /**
@@ -191,30 +428,90 @@
      * Setup mode change listeners
      */
     setupModeListeners() {
-      const { mode, imageOptions } = this.elements;
+      const { mode } = this.elements;
 
       if (mode) {
         DOMUtils.addEventListener(mode, 'change', () => {
-          const isImage = DOMUtils.getValue(mode) === 'image';
-          if (imageOptions) {
-            DOMUtils.showElement(imageOptions, isImage ? 'block' : 'none');
-          }
+          this.updateModeOptions(DOMUtils.getValue(mode));
           // Save mode to localStorage
           this.saveMode();
         });
       }
     }
 
+    /**
+     * Show the options that belong to a mode
+     * @param {string} modeValue - Mode value ('text', 'structured' or 'image')
+     */
+    updateModeOptions(modeValue) {
+      const { imageOptions, structuredOptions, compareOptions } = this.elements;
+      DOMUtils.showElement(imageOptions, modeValue === 'image' ? 'block' : 'none');
+      DOMUtils.showElement(structuredOptions, modeValue === 'structured' ? 'block' : 'none');
+      DOMUtils.showElement(compareOptions, modeValue === 'compare' ? 'block' : 'none');
+    }
+
+    /**
+     * Setup display preference listeners
+     */
+    setupDisplayListeners() {
+      const { userMarkdown, maxRetries } = this.elements;
+
+      if (userMarkdown) {
+        DOMUtils.addEventListener(userMarkdown, 'change', () => {
+          const enabled = DOMUtils.isChecked(userMarkdown);
+          ChatManager.setUserMarkdownEnabled(enabled);
+          try {
+            localStorage.setItem('or_user_markdown', enabled ? '1' : '0');
+          } catch (e) {
+            console.warn('Failed to save Markdown preference:', e);
+          }
+        });
+      }
+
+      if (maxRetries) {
+        DOMUtils.addEventListener(maxRetries, 'change', () => {
+          APIService.setMaxRetries(DOMUtils.getValue(maxRetries));
+          DOMUtils.setValue(maxRetries, String(APIService.maxRetries));
+          try {
+            localStorage.setItem('or_max_retries', String(APIService.maxRetries));
+          } catch (e) {
+            console.warn('Failed to save retry limit:', e);
+          }
+        });
+      }
+    }
+
+    /**
+     * Apply a mode value to the mode selector
+     * @param {string} modeValue - Mode value ('text', 'structured', 'compare' or 'image')
+     */
+    applyMode(modeValue) {
+      const { mode } = this.elements;
+      if (!mode || !modeValue) return;
+
+      DOMUtils.setValue(mode, modeValue);
+      this.updateModeOptions(modeValue);
+      this.saveMode();
+    }
+
     /**
      * Setup model selection listeners
      */
     setupModelListeners() {
       ModelManager.setOnModelSelected((model) => {
         console.log('Model selected:', model);
+        ParameterPanel.setModel(model);
+        ToolManager.setModel(model);
+        this.updateContextMeter();
       });
 
       ModelManager.setOnModelsLoaded((models) => {
         console.log('Models loaded:', models.length);
+        // The restored selection does not fire onModelSelected
+        ParameterPanel.setModel(ModelManager.getSelectedModel());
+        ToolManager.setModel(ModelManager.getSelectedModel());
+        ComparisonManager.render();
+        this.updateContextMeter();
       });
     }
 
@@ -226,11 +523,20 @@
         onMessageAdded: () => this.handleSendMessage(),
         onChatCleared: () => this.handleClearChat(),
         onStopGeneration: () => this.handleStopGeneration(),
-        onPreviousResponse: () => this.handlePreviousResponse(),
-        onNextResponse: () => this.handleNextResponse(),
         onRegenerateResponse: () => this.handleRegenerateResponse(),
-        onMessageEdited: (newContent) => this.handleMessageEdited(newContent)
+        onMessageEdited: (newContent, messageElement) => this.handleMessageEdited(newContent, messageElement),
+        onHistoryChanged: (history) => {
+          RegenerationManager.syncWithHistory(history);
+          ChatManager.updateBranchControls();
+          ComparisonManager.renderVotes(history);
+          this.updateContextMeter();
+          ConversationManager.saveCurrentConversation();
+        }
       });
+      
+      if (this.elements.prompt) {
+        DOMUtils.addEventListener(this.elements.prompt, 'input', () => this.updateDraftMeter());
+      }
     }
 
     /**
@@ -239,6 +545,7 @@
     setupImageListeners() {
       ImageHandler.setOnImagesChanged((images) => {
         console.log('Images changed:', images.length);
+        this.updateDraftMeter();
       });
     }
 
@@ -260,13 +567,147 @@
      */
     setupRegenerationListeners() {
       RegenerationManager.setCallbacks({
-        onRegenerateRequested: (userMessage) => {
-          this.handleRegenerateResponse();
+        onRegenerateRequested: (messageId) => {
+          this.handleRegenerateResponse(messageId);
         },
-        onResponseChanged: (response) => {
-          ChatManager.updateLastAssistantMessage(response.content, response.images);
+        onBranchChanged: (path) => this.showBranch(path)
+      });
+    }
+
+    /**
+     * Setup conversation persistence listeners
+     */
+    setupConversationListeners() {
+      ConversationManager.setCallbacks({
+        onCollectState: () => this.collectConversationState(),
+        onConversationOpened: (conversation) => this.restoreConversation(conversation),
+        onNewConversation: () => ChatManager.clearChat()
+      });
+      
+      ImportManager.setOnImport((records) => this.importConversations(records));
+    }
+
+    /**
+     * Setup system prompt, persona and parameter listeners
+     */
+    setupPersonaListeners() {
+      PersonaManager.setCallbacks({
+        onCollectParameters: () => ParameterPanel.getValues(),
+        onPersonaApplied: (persona) => {
+          if (persona) {
+            ParameterPanel.setValues(persona.parameters);
+          }
+          this.updateContextMeter();
+          ConversationManager.saveCurrentConversation();
+        },
+        onSystemPromptChanged: () => {
+          this.updateContextMeter();
+          ConversationManager.saveCurrentConversation();
         }
       });
+      
+      // The meter follows the system prompt while it is typed
+      if (this.elements.systemPrompt) {
+        DOMUtils.addEventListener(this.elements.systemPrompt, 'input', () => this.updateContextMeter());
+      }
+      
+      ParameterPanel.setOnChange(() => {
+        this.updateContextMeter();
+        ConversationManager.saveCurrentConversation();
+      });
+      
+      ContextManager.setOnChange(() => {
+        this.updateContextMeter();
+        ConversationManager.saveCurrentConversation();
+      });
+    }
+
+    /**
+     * Collect the app state stored alongside a conversation
+     * @returns {Object} Conversation state
+     */
+    collectConversationState() {
+      const selectedModel = ModelManager.getSelectedModel();
+      
+      return {
+        model: selectedModel ? selectedModel.id : null,
+        mode: DOMUtils.getValue(this.elements.mode),
+        regeneration: RegenerationManager.getState(),
+        contextSummary: ContextManager.getState(),
+        parameters: ParameterPanel.getValues(),
+        usageTotals: UsageTracker.getConversationTotals(),
+        ...PersonaManager.getState()
+      };
+    }
+
+    /**
+     * Restore chat, model, mode, persona, parameters, usage totals, branches and the context summary from a saved conversation
+     * @param {Object} conversation - Conversation record
+     */
+    restoreConversation(conversation) {
+      ImageHandler.clearImagePreview();
+      ChatManager.setOmittedMessages([]);
+      ChatManager.renderMessages(conversation.messages || []);
+      RegenerationManager.restoreState(conversation.regeneration, ChatManager.getMessageHistory());
+      ChatManager.updateBranchControls();
+      ComparisonManager.renderVotes(ChatManager.getMessageHistory());
+      ContextManager.restoreState(conversation.contextSummary);
+      PersonaManager.restoreState(conversation);
+      ParameterPanel.setValues(conversation.parameters);
+      UsageTracker.restoreConversationTotals(conversation.usageTotals);
+      
+      if (conversation.mode) {
+        this.applyMode(conversation.mode);
+      }
+      
+      if (conversation.model) {
+        ModelManager.selectModelById(conversation.model);
+      }
+      
+      this.updateContextMeter();
+    }
+
+    /**
+     * Import conversations, each as a new saved conversation; the last one stays open
+     * @param {Array<Object>} records - Conversation records from ImportManager
+     */
+    async importConversations(records) {
+      if (ChatManager.isStreaming) {
+        alert('Please stop the current response before importing.');
+        return;
+      }
+      
+      if (records.length > 1) {
+        const confirmed = await ModalManager.showConfirmationModal({
+          title: 'Import conversations',
+          message: `The file holds ${records.length} conversations. Import them all as saved conversations?`,
+          confirmText: 'Import',
+          cancelText: 'Cancel'
+        });
+        if (!confirmed) return;
+      }
+      
+      records.forEach(record => this.importConversation(record));
+    }
+
+    /**
+     * Load an imported conversation into the chat and save it as a new conversation
+     * Whatever the file does not carry (model, mode, parameters) stays as currently set,
+     * so a transcript can be replayed against another model.
+     * @param {Object} record - Conversation record
+     */
+    importConversation(record) {
+      ConversationManager.startNewConversation(record.title);
+      this.restoreConversation({
+        ...this.collectConversationState(),
+        regeneration: null,
+        contextSummary: null,
+        usageTotals: null,
+        ...record
+      });
+      
+      // Notify history listeners so branches, votes and the meter catch up and the conversation is saved
+      ChatManager.setMessageHistory(ChatManager.getMessageHistory());
     }
 
     /**
@@ -293,6 +734,18 @@
         
         // Load saved mode
         this.loadMode();
+        
+        // Load Markdown preference for user messages
+        const userMarkdownEnabled = localStorage.getItem('or_user_markdown') === '1';
+        DOMUtils.setChecked(this.elements.userMarkdown, userMarkdownEnabled);
+        ChatManager.setUserMarkdownEnabled(userMarkdownEnabled);
+        
+        // Load retry limit
+        const savedRetries = localStorage.getItem('or_max_retries');
+        if (savedRetries !== null) {
+          APIService.setMaxRetries(savedRetries);
+          DOMUtils.setValue(this.elements.maxRetries, String(APIService.maxRetries));
+        }
       } catch (e) {
         console.warn('Failed to load settings:', e);
       }
@@ -355,12 +808,19 @@
         alert('Please select a model from the model selector.');
         return;
       }
+      
+      if (!this.isModeReady(modeValue)) {
+        return;
+      }
 
-      // Store user message for regeneration (this will be used for the next assistant response)
-      RegenerationManager.storeLastUserMessage({
-        content: promptText,
-        images: ImageHandler.getUploadedImages()
-      });
+      // Pre-flight cost check against the budget (paid models only)
+      const pendingHistory = [
+        ...ChatManager.getMessageHistory(),
+        { role: 'user', content: promptText, images: ImageHandler.getUploadedImages() }
+      ];
+      if (!(await this.passesPreflightChecks(selectedModel, pendingHistory))) {
+        return;
+      }
 
       // Add user message to chat
       ChatManager.addMessageToChat('user', promptText, ImageHandler.getUploadedImages(), true);
@@ -369,48 +829,544 @@
       DOMUtils.setValue(prompt, '');
       DOMUtils.setValue(prompt, ''); // Reset height
       ImageHandler.clearImagePreview();
+      this.updateDraftMeter();
       
       // Show typing indicator
       ChatManager.showTypingIndicator();
       
       try {
-        if (modeValue === 'text') {
-          await this.runTextChat(key, selectedModel.id, promptText);
-        } else {
-          await this.runImageChat(key, selectedModel.id, promptText);
-        }
+        await this.runWithFallbacks(key, selectedModel.id, promptText, modeValue);
       } catch (error) {
         this.handleError(error);
       }
     }
 
+    /**
+     * Get extra request body fields for chat completions
+     * @returns {Object} Request options (sampling parameters supported by the model, transforms)
+     */
+    getRequestOptions() {
+      const options = {
+        ...ParameterPanel.getParameters(),
+        ...ContextManager.getRequestOptions(),
+        // Ask OpenRouter to include token counts and the actual cost in `usage`
+        usage: { include: true }
+      };
+      
+      const responseFormat = DOMUtils.getValue(this.elements.mode) === 'structured' ? StructuredOutput.getResponseFormat() : null;
+      if (responseFormat) {
+        options.response_format = responseFormat;
+      }
+      
+      return options;
+    }
+
+    /**
+     * Check that the current mode has what it needs: a schema to send in structured
+     * output mode, enough models in comparison mode
+     * @param {string} modeValue - Current mode
+     * @returns {boolean} Whether the request can be sent
+     */
+    isModeReady(modeValue) {
+      if (modeValue === 'structured' && !StructuredOutput.getResponseFormat()) {
+        alert(`Please fix the response schema first.\n\n${StructuredOutput.getSchemaError()}`);
+        return false;
+      }
+      
+      if (modeValue === 'compare' && ComparisonManager.getSelectionError()) {
+        alert(ComparisonManager.getSelectionError());
+        return false;
+      }
+      
+      return true;
+    }
+
+    /**
+     * Build the messages a request would send with the context strategy,
+     * without summarizing turns that have no summary yet
+     * @param {Array} history - Message history
+     * @param {Object|null} model - Model the request goes to
+     * @returns {Array} Chat completion messages
+     */
+    buildPreviewMessages(history, model) {
+      const systemPrompt = PersonaManager.getSystemPrompt();
+      return ContextManager.buildMessages(ContextManager.selectHistory(history, model, systemPrompt), systemPrompt);
+    }
+
+    /**
+     * Build the messages of the next request with the context strategy
+     * Older turns are summarized first when the strategy asks for it, and the
+     * messages left out are marked in the chat.
+     * @param {string} apiKey - API key
+     * @param {string} modelId - Model the request goes to
+     * @returns {Promise<Array>} Chat completion messages
+     */
+    async buildContextMessages(apiKey, modelId) {
+      const systemPrompt = PersonaManager.getSystemPrompt();
+      const model = ModelManager.getAllModels().find(m => m.id === modelId) || null;
+      const selection = ContextManager.selectHistory(ChatManager.getMessageHistory(), model, systemPrompt);
+      
+      if (selection.pendingSummary.length > 0) {
+        await this.summarizeOlderTurns(apiKey, modelId, selection);
+      }
+      
+      ChatManager.setOmittedMessages(selection.omittedIds);
+      return ContextManager.buildMessages(selection, systemPrompt);
+    }
+
+    /**
+     * Ask the model to fold the turns that are no longer sent into the summary
+     * @param {string} apiKey - API key
+     * @param {string} modelId - Model that writes the summary
+     * @param {Object} selection - Context selection, updated with the summary
+     */
+    async summarizeOlderTurns(apiKey, modelId, selection) {
+      ChatManager.setTypingStatus(`Summarizing ${selection.pendingSummary.length} earlier messages…`);
+      
+      const json = await APIService.sendChatCompletion(apiKey, modelId, ContextManager.buildSummaryRequest(selection), false, {
+        usage: { include: true }
+      });
+      const text = (APIService.extractTextFromMessage(json.choices?.[0]?.message) || '').trim();
+      this.trackUsage(json.usage, json.model || modelId);
+      
+      if (!text) {
+        throw new Error('The summary of earlier turns came back empty.');
+      }
+      
+      ContextManager.setSummary(selection, text, json.model || modelId);
+      ChatManager.setTypingStatus(null);
+    }
+
+    /**
+     * Check the next request against the context window and then the spend budget
+     * @param {Object} model - Selected model
+     * @param {Array} history - Message history the request will be built from
+     * @returns {Promise<boolean>} Whether the request may be sent
+     */
+    async passesPreflightChecks(model, history) {
+      return (await this.passesContextCheck(model, history)) && this.passesBudgetCheck(model, history);
+    }
+
+    /**
+     * Warn before a request that would not fit the context window
+     * In comparison mode every compared model is checked.
+     * @param {Object} model - Selected model
+     * @param {Array} history - Message history the request will be built from
+     * @returns {Promise<boolean>} Whether the request may be sent
+     */
+    async passesContextCheck(model, history) {
+      // OpenRouter compresses requests that do not fit when middle-out is on
+      if (ContextManager.isMiddleOutEnabled()) return true;
+      
+      const messages = this.buildPreviewMessages(history, model);
+      const models = DOMUtils.getValue(this.elements.mode) === 'compare' ? ComparisonManager.getModels() : [model];
+      const maxTokens = ParameterPanel.getParameters().max_tokens;
+      const problems = models.map(m => TokenCounter.describeOverflow(m, messages, maxTokens)).filter(Boolean);
+      
+      if (problems.length === 0) return true;
+      
+      return ModalManager.showConfirmationModal({
+        title: 'Context window exceeded',
+        message: `${problems.join('<br>')}<br><br>The request will probably fail or be truncated. Send anyway?`,
+        confirmText: 'Send anyway',
+        cancelText: 'Cancel'
+      });
+    }
+
+    /**
+     * Recount the system prompt and history for the context meter and the cost estimates on the model cards
+     */
+    updateContextMeter() {
+      const model = ModelManager.getSelectedModel();
+      const messages = this.buildPreviewMessages(ChatManager.getMessageHistory(), model);
+      const maxTokens = ParameterPanel.getParameters().max_tokens;
+      TokenCounter.setContext(model, messages, maxTokens);
+      ModelManager.setCostContext(messages, maxTokens);
+      this.updateDraftMeter();
+    }
+
+    /**
+     * Recount the message being written for the context meter
+     */
+    updateDraftMeter() {
+      const promptText = DOMUtils.getValue(this.elements.prompt) || '';
+      TokenCounter.setDraft(promptText.trim(), ImageHandler.getUploadedImages().length);
+    }
+
+    /**
+     * Check the next request against the spend budget
+     * In comparison mode the request goes to every compared model instead. With fallbacks
+     * any model of the chain may answer and be billed, so the most expensive one is estimated.
+     * @param {Object} model - Selected model
+     * @param {Array} history - Message history the request will be built from
+     * @returns {Promise<boolean>} Whether the request may be sent
+     */
+    async passesBudgetCheck(model, history) {
+      const messages = this.buildPreviewMessages(history, model);
+      const options = this.getRequestOptions();
+      
+      if (DOMUtils.getValue(this.elements.mode) === 'compare') {
+        return BudgetManager.confirmRequest(ComparisonManager.getModels(), messages, options);
+      }
+      
+      const allModels = ModelManager.getAllModels();
+      const chain = ModelManager.getFallbackChain(model.id)
+        .map(id => id === model.id ? model : allModels.find(m => m.id === id))
+        .filter(Boolean);
+      const estimated = BudgetManager.getCostliestModel(chain, messages, options) || model;
+      const note = estimated !== model
+        ? `The estimate is for ${DOMUtils.escapeHtml(estimated.name)}, the most expensive model of the fallback chain.`
+        : '';
+      return BudgetManager.confirmRequest(estimated, messages, options, note);
+    }
+
+    /**
+     * Record the usage block of a response
+     * @param {Object|null} usage - Usage block from the API
+     * @param {string} model - ID of the model that answered (used for pricing)
+     * @returns {Object|null} Usage record or null if the response had none
+     */
+    trackUsage(usage, model) {
+      const record = UsageTracker.buildUsageRecord(usage, model);
+      UsageTracker.recordUsage(record);
+      
+      // Paid calls change the key's remaining credit
+      if ((record && record.cost > 0) || BudgetManager.isPaidModel(UsageTracker.findModel(model))) {
+        this.refreshApiKeyStatus();
+      }
+      
+      return record;
+    }
+
+    /**
+     * Build the metadata stored with a response: usage, the model that answered
+     * and the tool calls made on the way
+     * @param {Object|null} usage - Usage block from the API
+     * @param {string|null} answeredModel - `model` reported by the response
+     * @param {string} model - Model ID the request was sent to
+     * @param {Object|null} turn - Tool loop state ({ rounds, usage, structured }) of the message
+     * @param {string} content - Final reply text (validated in structured output mode)
+     * @returns {Object} { usage, model, requestedModel, toolRounds?, structured? }
+     */
+    buildResponseMetadata(usage, answeredModel, model, turn = null, content = '') {
+      const respondingModel = answeredModel || model;
+      const metadata = {
+        usage: this.trackUsage(usage, respondingModel),
+        model: respondingModel,
+        requestedModel: this.requestedModelId || model
+      };
+      
+      if (turn && turn.rounds.length > 0) {
+        metadata.usage = UsageTracker.combineUsageRecords(turn.usage, metadata.usage);
+        metadata.toolRounds = turn.rounds;
+      }
+      
+      if (turn && turn.structured) {
+        metadata.structured = StructuredOutput.evaluateResponse(content);
+      }
+      
+      return metadata;
+    }
+
+    /**
+     * Run a chat request, falling back to the configured alternate models
+     * The 'server' strategy lets OpenRouter route through the `models` array;
+     * the 'client' strategy tries each model in turn until one answers.
+     * @param {string} apiKey - API key
+     * @param {string} modelId - Selected model ID
+     * @param {string} prompt - User prompt
+     * @param {string} modeValue - 'text', 'structured', 'compare' or 'image'
+     */
+    async runWithFallbacks(apiKey, modelId, prompt, modeValue) {
+      // Compared models answer side by side, without fallbacks
+      if (modeValue === 'compare') {
+        await this.runComparison(apiKey);
+        return;
+      }
+      
+      const run = (model, extraOptions = {}) => modeValue === 'image'
+        ? this.runImageChat(apiKey, model, prompt, extraOptions)
+        : this.runTextChat(apiKey, model, prompt, extraOptions);
+      const chain = ModelManager.getFallbackChain(modelId);
+      
+      this.requestedModelId = modelId;
+      
+      try {
+        if (chain.length === 1) {
+          await run(modelId);
+          return;
+        }
+        
+        if (ModelManager.getFallbackStrategy() === 'server') {
+          await run(modelId, { models: chain });
+          return;
+        }
+        
+        for (let i = 0; i < chain.length; i++) {
+          const historyLength = ChatManager.getMessageHistory().length;
+          try {
+            await run(chain[i]);
+            return;
+          } catch (error) {
+            const next = chain[i + 1];
+            
+            // Stop on cancellation, after the last model, or once a response has started
+            if (error.name === 'AbortError' || !next || ChatManager.getMessageHistory().length !== historyLength) {
+              throw error;
+            }
+            
+            console.warn(`Model ${chain[i]} failed, falling back to ${next}:`, error);
+            ChatManager.setTypingStatus(
+              `${ModelManager.getModelName(chain[i])} failed (${error.message}). Trying ${ModelManager.getModelName(next)}…`
+            );
+          }
+        }
+      } finally {
+        this.requestedModelId = null;
+      }
+    }
+
     /**
      * Run text chat
+     * When tools are enabled, requested tool calls are executed and their results
+     * sent back until the model gives a final answer.
      */
-    async runTextChat(apiKey, model, prompt) {
-      const messages = APIService.buildMessagesFromHistory(ChatManager.getMessageHistory());
+    async runTextChat(apiKey, model, prompt, extraOptions = {}) {
+      const options = { ...this.getRequestOptions(), ...extraOptions };
       const stream = DOMUtils.isChecked(this.elements.stream);
       const timeout = parseInt(DOMUtils.getValue(this.elements.timeoutSec) || 30, 10);
+      const tools = ToolManager.getRequestTools(ModelManager.getAllModels().find(m => m.id === model) || null);
+      const turn = { rounds: [], usage: null, reasoning: '', messageDiv: null, structured: !!options.response_format };
       
       ChatManager.setStreamingState(true);
       
       try {
-        if (stream) {
-          await this.handleStreamingResponse(apiKey, model, messages, timeout);
-        } else {
-          await this.handleNonStreamingResponse(apiKey, model, messages);
+        const baseMessages = await this.buildContextMessages(apiKey, model);
+        
+        for (let round = 0; ; round++) {
+          const messages = [...baseMessages, ...APIService.buildToolRoundMessages(turn.rounds)];
+          const roundOptions = tools.length > 0
+            ? { ...options, tools, ...(round >= MAX_TOOL_ROUNDS ? { tool_choice: 'none' } : {}) }
+            : options;
+          
+          const toolRequest = stream
+            ? await this.handleStreamingResponse(apiKey, model, messages, timeout, roundOptions, turn)
+            : await this.handleNonStreamingResponse(apiKey, model, messages, roundOptions, turn);
+          
+          if (!toolRequest || !(await this.runToolCalls(toolRequest, turn, model))) {
+            break;
+          }
         }
       } finally {
         ChatManager.setStreamingState(false);
         ChatManager.hideTypingIndicator();
+        APIService.cleanupStreamState();
+      }
+    }
+
+    /**
+     * Send the conversation to every compared model at once
+     * Each model streams into its own column; Stop cancels all of them.
+     * @param {string} apiKey - API key
+     */
+    async runComparison(apiKey) {
+      const stream = DOMUtils.isChecked(this.elements.stream);
+      const timeout = parseInt(DOMUtils.getValue(this.elements.timeoutSec) || 30, 10);
+      const models = ComparisonManager.getModels();
+      const comparison = {
+        results: models.map(model => ({
+          model: model.id,
+          content: '',
+          usage: null,
+          latencyMs: null,
+          ttftMs: null,
+          error: null,
+          done: false
+        })),
+        winner: null
+      };
+      
+      let messageDiv = null;
+      
+      ChatManager.setStreamingState(true);
+      
+      try {
+        // The selected model summarizes older turns for all compared models
+        const messages = await this.buildContextMessages(apiKey, ModelManager.getSelectedModel().id);
+        
+        ChatManager.hideTypingIndicator();
+        messageDiv = ChatManager.addMessageToChat('assistant', '', [], false, { comparison });
+        
+        // One controller for all columns, so Stop and the timeout end every request
+        APIService.beginStream(timeout);
+        
+        await Promise.all(models.map((model, index) => {
+          const result = comparison.results[index];
+          return this.runComparisonColumn(apiKey, model, messages, stream, result, () => {
+            ChatManager.updateComparisonColumn(messageDiv, index, result);
+          });
+        }));
+      } finally {
+        ChatManager.setStreamingState(false);
+        // A retry countdown in any column brings the indicator back
+        ChatManager.hideTypingIndicator();
+        APIService.cleanupStreamState();
+      }
+      
+      // The first model that answered continues the conversation until a winner is voted
+      const primary = comparison.results.find(result => !result.error) || comparison.results[0];
+      const content = primary.error ? `Error: ${primary.error}` : (primary.content || '[Empty response]');
+      const usage = comparison.results.reduce((total, result) => UsageTracker.combineUsageRecords(total, result.usage), null);
+      
+      ChatManager.updateMessageContent(messageDiv, content);
+      this.updateLastAssistantHistory(content, []);
+      ChatManager.setMessageUsage(messageDiv, usage);
+      ChatManager.setMessageModel(messageDiv, primary.error ? null : primary.model, null);
+      ChatManager.setMessageComparison(messageDiv, comparison);
+    }
+
+    /**
+     * Run the request of one comparison column, recording timing, usage and errors
+     * @param {string} apiKey - API key
+     * @param {Object} model - Model to send the request to
+     * @param {Array} messages - Request messages
+     * @param {boolean} stream - Whether to stream the response
+     * @param {Object} result - Column result, updated in place
+     * @param {Function} onUpdate - Called whenever the result changed
+     */
+    async runComparisonColumn(apiKey, model, messages, stream, result, onUpdate) {
+      const options = { ...ParameterPanel.getParametersForModel(model), ...ContextManager.getRequestOptions(), usage: { include: true } };
+      const startedAt = performance.now();
+      let usage = null;
+      let answeredModel = null;
+      
+      const markFirstToken = () => {
+        if (result.ttftMs === null) {
+          result.ttftMs = performance.now() - startedAt;
+        }
+      };
+      
+      try {
+        if (stream) {
+          const response = await APIService.sendChatCompletion(apiKey, model.id, messages, true, options);
+          let streamError = null;
+          
+          await APIService.readSSE(response, (chunk) => {
+            if (chunk && chunk.json && chunk.fallback) {
+              markFirstToken();
+              result.content = APIService.extractTextFromMessage(chunk.json.choices?.[0]?.message) || '';
+              usage = chunk.json.usage || null;
+              answeredModel = chunk.json.model || null;
+              onUpdate();
+              return;
+            }
+            
+            if (chunk?.usage) {
+              usage = chunk.usage;
+            }
+            if (chunk?.model) {
+              answeredModel = chunk.model;
+            }
+            
+            // Reasoning counts as the first token, but only the answer is shown
+            const delta = chunk.choices?.[0]?.delta;
+            if (APIService.extractReasoning(delta)) {
+              markFirstToken();
+            }
+            if (delta && typeof delta.content === 'string' && delta.content) {
+              markFirstToken();
+              result.content += delta.content;
+              onUpdate();
+            }
+          }, (error) => {
+            streamError = error || null;
+          });
+          
+          if (streamError) {
+            throw streamError;
+          }
+        } else {
+          const json = await APIService.sendChatCompletion(apiKey, model.id, messages, false, options);
+          markFirstToken();
+          result.content = APIService.extractTextFromMessage(json.choices?.[0]?.message) || '';
+          usage = json.usage || null;
+          answeredModel = json.model || null;
+        }
+      } catch (error) {
+        // A stopped or timed-out column keeps what it received so far
+        if (error.name !== 'AbortError' || !result.content) {
+          result.error = error.name === 'AbortError' ? 'Stopped' : error.message;
+        }
+      }
+      
+      result.latencyMs = performance.now() - startedAt;
+      result.usage = this.trackUsage(usage, answeredModel || model.id);
+      result.done = true;
+      onUpdate();
+    }
+
+    /**
+     * Execute the tool calls of one round and record their results
+     * @param {Object} toolRequest - { content, reasoning, toolCalls, usage, messageDiv } from a response handler
+     * @param {Object} turn - Tool loop state, updated in place
+     * @param {string} model - Requested model ID
+     * @returns {Promise<boolean>} Whether the loop should continue
+     */
+    async runToolCalls(toolRequest, turn, model) {
+      const round = {
+        content: toolRequest.content,
+        calls: toolRequest.toolCalls.map(call => ({ ...call, result: null, isError: false }))
+      };
+      
+      turn.messageDiv = toolRequest.messageDiv;
+      turn.reasoning = toolRequest.reasoning;
+      turn.usage = UsageTracker.combineUsageRecords(turn.usage, toolRequest.usage);
+      turn.rounds.push(round);
+      ChatManager.setMessageToolRounds(turn.messageDiv, turn.rounds);
+      ChatManager.setTypingStatus(`Running ${round.calls.map(call => call.name).join(', ')}…`);
+      
+      await Promise.all(round.calls.map(async (call) => {
+        const outcome = await ToolManager.executeToolCall(call);
+        call.result = outcome.result;
+        call.isError = outcome.isError;
+        ChatManager.setMessageToolRounds(turn.messageDiv, turn.rounds);
+      }));
+      
+      // Stop pressed while the tools were running
+      if (!ChatManager.isStreaming) {
+        const content = '[Stopped after running tools]';
+        const metadata = this.buildResponseMetadata(null, null, model, turn, content);
+        ChatManager.updateLastAssistantMessage(content);
+        this.updateLastAssistantHistory(content, []);
+        ChatManager.setMessageUsage(turn.messageDiv, metadata.usage);
+        ChatManager.setMessageStructured(turn.messageDiv, metadata.structured || null);
+        return false;
+      }
+      
+      ChatManager.setTypingStatus(null);
+      return true;
+    }
+
+    /**
+     * Update content and images of the last assistant entry in the message history
+     * @param {string} content - Message content
+     * @param {Array} images - Message images
+     */
+    updateLastAssistantHistory(content, images) {
+      const history = ChatManager.getMessageHistory();
+      const lastMessageIndex = history.length - 1;
+      if (lastMessageIndex >= 0 && history[lastMessageIndex].role === 'assistant') {
+        history[lastMessageIndex].content = content;
+        history[lastMessageIndex].images = images;
+        ChatManager.setMessageHistory(history);
       }
     }
 
     /**
      * Run image chat
      */
-    async runImageChat(apiKey, model, prompt) {
-      const messages = APIService.buildMessagesFromHistory(ChatManager.getMessageHistory());
+    async runImageChat(apiKey, model, prompt, extraOptions = {}) {
+      const options = { ...this.getRequestOptions(), ...extraOptions };
       const stream = DOMUtils.isChecked(this.elements.stream);
       const timeout = parseInt(DOMUtils.getValue(this.elements.timeoutSec) || 30, 10);
       const imageCount = parseInt(DOMUtils.getValue(this.elements.imgCount) || 1, 10);
@@ -418,45 +1374,97 @@
       ChatManager.setStreamingState(true);
       
       try {
+        const messages = await this.buildContextMessages(apiKey, model);
+        
         if (stream) {
-          await this.handleStreamingImageResponse(apiKey, model, messages, imageCount, timeout);
+          await this.handleStreamingImageResponse(apiKey, model, messages, imageCount, timeout, options);
         } else {
-          await this.handleNonStreamingImageResponse(apiKey, model, messages, imageCount);
+          await this.handleNonStreamingImageResponse(apiKey, model, messages, imageCount, options);
         }
       } finally {
         ChatManager.setStreamingState(false);
         ChatManager.hideTypingIndicator();
+        APIService.cleanupStreamState();
       }
     }
 
     /**
      * Handle streaming response
+     * @returns {Promise<Object|null>} Tool request if the model called tools, otherwise null
      */
-    async handleStreamingResponse(apiKey, model, messages, timeout) {
+    async handleStreamingResponse(apiKey, model, messages, timeout, options = {}, turn = null) {
       APIService.beginStream(timeout);
       
-      const response = await APIService.sendChatCompletion(apiKey, model, messages, true);
-      let assistantMessageDiv = null;
+      const response = await APIService.sendChatCompletion(apiKey, model, messages, true, options);
+      let assistantMessageDiv = turn ? turn.messageDiv : null;
       let assistantContent = '';
+      let assistantReasoning = turn ? turn.reasoning : '';
       let assistantImages = [];
+      let usage = null;
+      let answeredModel = null;
+      let toolRequest = null;
+      let answerStarted = false;
+      let streamError = null;
+      const toolCalls = [];
       
       await APIService.readSSE(response, (chunk) => {
         if (chunk && chunk.json && chunk.fallback) {
-          const content = APIService.extractTextFromMessage(chunk.json.choices?.[0]?.message) || '';
-          const images = APIService.extractImagesFromMessage(chunk.json.choices?.[0]?.message);
-          ChatManager.addMessageToChat('assistant', content || '[Empty response]', images);
+          const message = chunk.json.choices?.[0]?.message;
+          toolCalls.push(...ToolManager.normalizeToolCalls(message?.tool_calls));
+          assistantContent = APIService.extractTextFromMessage(message) || (toolCalls.length > 0 ? '' : '[Empty response]');
+          assistantReasoning += APIService.extractReasoning(message);
+          assistantImages = APIService.extractImagesFromMessage(message);
+          usage = chunk.json.usage || null;
+          answeredModel = chunk.json.model || null;
+          if (assistantMessageDiv) {
+            ChatManager.updateLastAssistantMessage(assistantContent, assistantImages);
+          } else {
+            assistantMessageDiv = ChatManager.addMessageToChat('assistant', assistantContent, assistantImages);
+          }
           return;
         }
         
+        // Usage arrives in the final chunk
+        if (chunk?.usage) {
+          usage = chunk.usage;
+        }
+        
+        // With fallbacks the answering model can differ from the requested one
+        if (chunk?.model) {
+          answeredModel = chunk.model;
+        }
+        
         const choice = chunk.choices?.[0];
         const delta = choice?.delta;
         
-        if (delta && typeof delta.content === 'string') {
+        // Reasoning models think before answering; show it as it arrives
+        const reasoning = APIService.extractReasoning(delta);
+        if (reasoning) {
+          assistantReasoning += reasoning;
+          if (!assistantMessageDiv) {
+            assistantMessageDiv = ChatManager.addMessageToChat('assistant', '');
+          }
+          ChatManager.renderReasoning(assistantMessageDiv, assistantReasoning, true);
+        }
+        
+        if (delta && typeof delta.content === 'string' && delta.content) {
           assistantContent += delta.content;
           if (!assistantMessageDiv) {
             assistantMessageDiv = ChatManager.addMessageToChat('assistant', '');
           }
           ChatManager.updateLastAssistantMessage(assistantContent);
+          if (!answerStarted && assistantReasoning) {
+            ChatManager.renderReasoning(assistantMessageDiv, assistantReasoning, true);
+          }
+          answerStarted = true;
+        }
+        
+        // Tool call arguments arrive in fragments
+        if (delta?.tool_calls?.length) {
+          ToolManager.accumulateToolCallDeltas(toolCalls, delta.tool_calls);
+          if (!assistantMessageDiv) {
+            assistantMessageDiv = ChatManager.addMessageToChat('assistant', '');
+          }
         }
         
         // Handle images in delta.images array (for models that generate images in text mode)
@@ -485,7 +1493,28 @@
             }
           }
         }
-      }, () => {
+      }, (error) => {
+        // Stopped, timed out or failed before anything arrived: there is no reply to save,
+        // and the error is rethrown so the caller can report it or try a fallback model
+        if (error && !assistantMessageDiv) {
+          streamError = error;
+          return;
+        }
+        
+        const calls = ToolManager.normalizeToolCalls(toolCalls);
+        
+        // A complete stream that ends in tool calls continues the tool loop
+        if (!error && turn && calls.length > 0) {
+          toolRequest = {
+            content: assistantContent,
+            reasoning: assistantReasoning,
+            toolCalls: calls,
+            usage: this.trackUsage(usage, answeredModel || model),
+            messageDiv: assistantMessageDiv
+          };
+          return;
+        }
+        
         if (assistantImages.length > 0 && assistantMessageDiv) {
           ChatManager.updateLastAssistantMessage(assistantContent, assistantImages);
         }
@@ -499,35 +1528,102 @@
           ChatManager.setMessageHistory(history);
         }
         
-        RegenerationManager.addResponseToHistory(assistantContent, assistantImages);
+        const metadata = this.buildResponseMetadata(usage, answeredModel, model, turn, assistantContent);
+        if (assistantReasoning) {
+          metadata.reasoning = assistantReasoning;
+        }
+        if (assistantMessageDiv) {
+          ChatManager.setMessageReasoning(assistantMessageDiv, metadata.reasoning || null);
+          ChatManager.setMessageUsage(assistantMessageDiv, metadata.usage);
+          ChatManager.setMessageModel(assistantMessageDiv, metadata.model, metadata.requestedModel);
+          ChatManager.setMessageToolRounds(assistantMessageDiv, metadata.toolRounds || null);
+          ChatManager.setMessageStructured(assistantMessageDiv, metadata.structured || null);
+        }
       });
+      
+      if (streamError) {
+        throw streamError;
+      }
+      
+      return toolRequest;
     }
 
     /**
      * Handle non-streaming response
+     * @returns {Promise<Object|null>} Tool request if the model called tools, otherwise null
      */
-    async handleNonStreamingResponse(apiKey, model, messages) {
-      const json = await APIService.sendChatCompletion(apiKey, model, messages, false);
-      const content = APIService.extractTextFromMessage(json.choices?.[0]?.message) || '';
-      const images = APIService.extractImagesFromMessage(json.choices?.[0]?.message);
+    async handleNonStreamingResponse(apiKey, model, messages, options = {}, turn = null) {
+      const json = await APIService.sendChatCompletion(apiKey, model, messages, false, options);
+      const message = json.choices?.[0]?.message;
+      const content = APIService.extractTextFromMessage(message) || '';
+      const reasoning = (turn ? turn.reasoning : '') + APIService.extractReasoning(message);
+      const images = APIService.extractImagesFromMessage(message);
+      const toolCalls = ToolManager.normalizeToolCalls(message?.tool_calls);
       
-      ChatManager.addMessageToChat('assistant', content || '[Empty response]', images);
-      RegenerationManager.addResponseToHistory(content || '[Empty response]', images);
+      if (turn && toolCalls.length > 0) {
+        let messageDiv = turn.messageDiv;
+        if (messageDiv) {
+          ChatManager.updateLastAssistantMessage(content);
+        } else {
+          messageDiv = ChatManager.addMessageToChat('assistant', content);
+        }
+        ChatManager.renderReasoning(messageDiv, reasoning, false);
+        
+        return {
+          content,
+          reasoning,
+          toolCalls,
+          usage: this.trackUsage(json.usage, json.model || model),
+          messageDiv
+        };
+      }
+      
+      const metadata = this.buildResponseMetadata(json.usage, json.model, model, turn, content);
+      if (reasoning) {
+        metadata.reasoning = reasoning;
+      }
+      
+      if (turn && turn.messageDiv) {
+        // Final answer of a tool loop goes into the message that shows the steps
+        ChatManager.updateLastAssistantMessage(content || '[Empty response]', images);
+        this.updateLastAssistantHistory(content || '[Empty response]', images);
+        ChatManager.setMessageReasoning(turn.messageDiv, metadata.reasoning || null);
+        ChatManager.setMessageUsage(turn.messageDiv, metadata.usage);
+        ChatManager.setMessageModel(turn.messageDiv, metadata.model, metadata.requestedModel);
+        ChatManager.setMessageToolRounds(turn.messageDiv, metadata.toolRounds || null);
+        ChatManager.setMessageStructured(turn.messageDiv, metadata.structured || null);
+      } else {
+        ChatManager.addMessageToChat('assistant', content || '[Empty response]', images, false, metadata);
+      }
+      
+      return null;
     }
 
     /**
      * Handle streaming image response
      */
-    async handleStreamingImageResponse(apiKey, model, messages, imageCount, timeout) {
+    async handleStreamingImageResponse(apiKey, model, messages, imageCount, timeout, options = {}) {
       APIService.beginStream(timeout);
       
-      const response = await APIService.sendImageGeneration(apiKey, model, messages, imageCount, true);
+      const response = await APIService.sendImageGeneration(apiKey, model, messages, imageCount, true, options);
       let assistantMessageDiv = null;
       let assistantContent = '';
       let assistantImages = [];
+      let usage = null;
+      let answeredModel = null;
       
       await APIService.readSSE(response, (chunk) => {
+        if (chunk?.usage) {
+          usage = chunk.usage;
+        }
+        
+        if (chunk?.model) {
+          answeredModel = chunk.model;
+        }
+        
         if (chunk && chunk.json && chunk.fallback) {
+          usage = chunk.json.usage || null;
+          answeredModel = chunk.json.model || null;
           const totalImages = [];
           if (chunk.json.choices?.length > 0) {
             for (const choice of chunk.json.choices) {
@@ -536,7 +1632,9 @@
             }
           }
           const content = totalImages.length > 0 ? `Generated ${totalImages.length} image(s):` : 'No images found in response.';
-          ChatManager.addMessageToChat('assistant', content, totalImages);
+          assistantMessageDiv = ChatManager.addMessageToChat('assistant', content, totalImages);
+          assistantContent = content;
+          assistantImages = totalImages;
           return;
         }
         
@@ -577,15 +1675,19 @@
           ChatManager.updateLastAssistantMessage(assistantContent || `Generated ${assistantImages.length} image(s):`, assistantImages);
         }
         
-        RegenerationManager.addResponseToHistory(assistantContent || `Generated ${assistantImages.length} image(s):`, assistantImages);
+        const metadata = this.buildResponseMetadata(usage, answeredModel, model);
+        if (assistantMessageDiv) {
+          ChatManager.setMessageUsage(assistantMessageDiv, metadata.usage);
+          ChatManager.setMessageModel(assistantMessageDiv, metadata.model, metadata.requestedModel);
+        }
       });
     }
 
     /**
      * Handle non-streaming image response
      */
-    async handleNonStreamingImageResponse(apiKey, model, messages, imageCount) {
-      const json = await APIService.sendImageGeneration(apiKey, model, messages, imageCount, false);
+    async handleNonStreamingImageResponse(apiKey, model, messages, imageCount, options = {}) {
+      const json = await APIService.sendImageGeneration(apiKey, model, messages, imageCount, false, options);
       const totalImages = [];
       
       if (json.choices?.length > 0) {
@@ -596,16 +1698,19 @@
       }
       
       const content = totalImages.length > 0 ? `Generated ${totalImages.length} image(s):` : 'No images found in response.';
-      ChatManager.addMessageToChat('assistant', content, totalImages);
-      RegenerationManager.addResponseToHistory(content, totalImages);
+      const metadata = this.buildResponseMetadata(json.usage, json.model, model);
+      ChatManager.addMessageToChat('assistant', content, totalImages, false, metadata);
     }
 
     /**
      * Handle clear chat
      */
     handleClearChat() {
-      RegenerationManager.clearRegenerationHistory();
+      RegenerationManager.reset();
+      ContextManager.reset();
+      UsageTracker.resetConversationTotals();
       ImageHandler.clearImagePreview();
+      ConversationManager.startNewConversation();
     }
 
     /**
@@ -613,29 +1718,43 @@
      */
     handleStopGeneration() {
       APIService.abortActive('Stopped by user');
+      ToolManager.cancelAll();
       ChatManager.setStreamingState(false);
       ChatManager.hideTypingIndicator();
     }
 
     /**
-     * Handle previous response
-     */
-    handlePreviousResponse() {
-      RegenerationManager.showPreviousResponse();
-    }
-
-    /**
-     * Handle next response
+     * Show another branch of the conversation
+     * @param {Array} path - Message history entries of the branch, from the first message
      */
-    handleNextResponse() {
-      RegenerationManager.showNextResponse();
+    showBranch(path) {
+      const { chatMessages } = this.elements;
+      const scrollTop = chatMessages ? chatMessages.scrollTop : 0;
+      
+      ChatManager.renderMessages(path);
+      if (chatMessages) {
+        chatMessages.scrollTop = scrollTop;
+      }
+      
+      ChatManager.setMessageHistory(ChatManager.getMessageHistory());
     }
 
     /**
      * Handle regenerate response
+     * The new response becomes a sibling branch of the one it replaces.
+     * @param {string} [messageId] - Assistant message to regenerate from (defaults to the last one)
      */
-    async handleRegenerateResponse() {
-      const lastUserMessage = RegenerationManager.getLastUserMessage();
+    async handleRegenerateResponse(messageId) {
+      if (ChatManager.isStreaming) return;
+      
+      const messageHistory = ChatManager.getMessageHistory();
+      const lastMessage = messageHistory[messageHistory.length - 1];
+      const targetId = messageId || (lastMessage && lastMessage.role === 'assistant' ? lastMessage.id : null);
+      const targetIndex = targetId ? messageHistory.findIndex(msg => msg.id === targetId) : -1;
+      
+      // The reply is regenerated from everything before it
+      const context = targetIndex >= 0 ? messageHistory.slice(0, targetIndex) : messageHistory.slice();
+      const lastUserMessage = [...context].reverse().find(msg => msg.role === 'user');
       if (!lastUserMessage) return;
       
       const { apiKey, mode } = this.elements;
@@ -643,89 +1762,58 @@
       const modeValue = DOMUtils.getValue(mode);
       const selectedModel = ModelManager.getSelectedModel();
       
-      if (!key || !selectedModel) return;
+      if (!key || !selectedModel || !this.isModeReady(modeValue)) return;
       
-      // Remove the last assistant message from chat history
-      const messageHistory = ChatManager.getMessageHistory();
-      if (messageHistory.length > 0 && messageHistory[messageHistory.length - 1].role === 'assistant') {
-        messageHistory.pop();
-        ChatManager.setMessageHistory(messageHistory);
-        
-        // Remove the last assistant message from the UI
-        const { chatMessages } = this.elements;
-        if (chatMessages) {
-          const assistantMessages = chatMessages.querySelectorAll('.message.assistant');
-          if (assistantMessages.length > 0) {
-            const lastAssistantMessage = assistantMessages[assistantMessages.length - 1];
-            lastAssistantMessage.remove();
-          }
-        }
+      if (!(await this.passesPreflightChecks(selectedModel, context))) {
+        return;
+      }
+      
+      // Take the reply and what follows off the displayed path (they stay in the tree)
+      if (targetIndex >= 0) {
+        ChatManager.truncateFrom(ChatManager.getMessageElement(targetId));
       }
       
       ChatManager.showTypingIndicator();
       
       try {
-        if (modeValue === 'text') {
-          await this.runTextChat(key, selectedModel.id, lastUserMessage.content);
-        } else {
-          await this.runImageChat(key, selectedModel.id, lastUserMessage.content);
-        }
+        await this.runWithFallbacks(key, selectedModel.id, lastUserMessage.content, modeValue);
       } catch (error) {
         this.handleError(error);
       }
     }
 
     /**
-     * Handle message edited - remove assistant response and regenerate
+     * Handle message edited - send the edited text as a new branch at that message
+     * @param {string} newContent - Edited message text
+     * @param {HTMLElement} messageElement - Edited user message
      */
-    async handleMessageEdited(newContent) {
-      console.log('Message edited:', newContent);
-      
-      // Update the stored user message in regeneration manager
-      RegenerationManager.storeLastUserMessage({
-        content: newContent,
-        images: ImageHandler.getUploadedImages() // Keep any uploaded images
-      });
+    async handleMessageEdited(newContent, messageElement) {
+      if (ChatManager.isStreaming) return;
       
-      // Remove the last assistant message from chat history
       const messageHistory = ChatManager.getMessageHistory();
-      if (messageHistory.length > 0 && messageHistory[messageHistory.length - 1].role === 'assistant') {
-        messageHistory.pop();
-        ChatManager.setMessageHistory(messageHistory);
-        
-        // Remove the last assistant message from the UI
-        const { chatMessages } = this.elements;
-        if (chatMessages) {
-          const assistantMessages = chatMessages.querySelectorAll('.message.assistant');
-          if (assistantMessages.length > 0) {
-            const lastAssistantMessage = assistantMessages[assistantMessages.length - 1];
-            lastAssistantMessage.remove();
-          }
-        }
-      }
-      
-      // Clear regeneration history since we're starting fresh
-      RegenerationManager.clearRegenerationHistoryOnly();
-      
-      // Show typing indicator and regenerate response
-      ChatManager.showTypingIndicator();
+      const index = ChatManager.findMessageIndex(messageElement);
+      if (index === -1) return;
       
       const { apiKey, mode } = this.elements;
       const key = DOMUtils.getValue(apiKey).trim();
       const modeValue = DOMUtils.getValue(mode);
       const selectedModel = ModelManager.getSelectedModel();
       
-      if (!key || !selectedModel) {
-        ChatManager.hideTypingIndicator();
+      if (!key || !selectedModel || !this.isModeReady(modeValue)) return;
+      
+      // The edit keeps the original message's images
+      const images = messageHistory[index].images || [];
+      const pendingHistory = [...messageHistory.slice(0, index), { role: 'user', content: newContent, images }];
+      if (!(await this.passesPreflightChecks(selectedModel, pendingHistory))) {
         return;
       }
       
+      ChatManager.truncateFrom(messageElement);
+      ChatManager.addMessageToChat('user', newContent, images, true);
+      ChatManager.showTypingIndicator();
+      
       try {
-        if (modeValue === 'text') {
-          await this.runTextChat(key, selectedModel.id, newContent);
-        } else {
-          await this.runImageChat(key, selectedModel.id, newContent);
-        }
+        await this.runWithFallbacks(key, selectedModel.id, newContent, modeValue);
       } catch (error) {
         this.handleError(error);
       }
@@ -751,6 +1839,7 @@
       try {
         const data = await APIService.checkApiKeyStatus(key);
         this.displayApiKeyStatus(data);
+        BudgetManager.setKeyStatus(data.data);
       } catch (error) {
         DOMUtils.setInnerHTML(apiKeyStatus, `<div style="color: #ff4444; font-size: 12px;">Error: ${error.message}</div>`);
       } finally {
@@ -759,6 +1848,27 @@
       }
     }
 
+    /**
+     * Refresh /key data in the background (after paid calls)
+     */
+    async refreshApiKeyStatus() {
+      const { apiKey, apiKeyStatus } = this.elements;
+      const key = DOMUtils.getValue(apiKey).trim();
+      if (!key) return;
+      
+      try {
+        const data = await APIService.checkApiKeyStatus(key);
+        BudgetManager.setKeyStatus(data.data);
+        
+        // Keep the status panel current if it is open
+        if (apiKeyStatus && apiKeyStatus.style.display !== 'none') {
+          this.displayApiKeyStatus(data);
+        }
+      } catch (error) {
+        console.warn('Failed to refresh API key status:', error);
+      }
+    }
+
     /**
      * Display API key status
      */
@@ -838,10 +1948,6 @@
       ChatManager.hideTypingIndicator();
       const message = (error && error.message) ? error.message : String(error);
       ChatManager.addMessageToChat('assistant', `Error: ${message}`);
-      
-      // Add error response to regeneration history so regeneration still works
-      RegenerationManager.addResponseToHistory(`Error: ${message}`, []);
-      
       APIService.cleanupStreamState();
     }
 
@@ -866,12 +1972,11 @@
     loadMode() {
       try {
         const saved = localStorage.getItem('or_mode');
-        if (saved && this.elements.mode && this.elements.imageOptions) {
+        if (saved && this.elements.mode) {
           DOMUtils.setValue(this.elements.mode, saved);
           
-          // Update image options visibility based on saved mode
-          const isImage = saved === 'image';
-          DOMUtils.showElement(this.elements.imageOptions, isImage ? 'block' : 'none');
+          // Update option visibility based on saved mode
+          this.updateModeOptions(saved);
           
           console.log('Restored mode:', saved);
         }
@@ -0,0 +1,272 @@
+/**
+ * Budget Manager Module
+ * Handles spend caps, pre-flight cost estimates and API key credit tracking
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  const BUDGET_KEY = 'or_budget';
+
+  // Typical reply length assumed when `max_tokens` is not set
+  const DEFAULT_COMPLETION_TOKENS = 1024;
+
+  /**
+   * Budget Manager Class
+   * Spending is read from UsageTracker; costs are in USD
+   */
+  class BudgetManager {
+    constructor() {
+      this.settings = {
+        cap: null,
+        period: 'session',
+        action: 'warn'
+      };
+      this.keyStatus = null;
+
+      // DOM elements (will be injected)
+      this.elements = {};
+    }
+
+    /**
+     * Initialize the budget manager with DOM elements
+     * @param {Object} elements - DOM elements object
+     */
+    initialize(elements) {
+      this.elements = elements;
+      this.settings = { ...this.settings, ...this.loadSettings() };
+      this.applySettingsToInputs();
+      this.setupEventListeners();
+      this.renderStatus();
+    }
+
+    /**
+     * Setup event listeners for the budget controls
+     */
+    setupEventListeners() {
+      const { budgetCap, budgetPeriod, budgetAction } = this.elements;
+
+      if (budgetCap) {
+        DOMUtils.addEventListener(budgetCap, 'change', () => {
+          const value = parseFloat(DOMUtils.getValue(budgetCap));
+          this.settings.cap = Number.isFinite(value) && value >= 0 ? value : null;
+          if (this.settings.cap === null) {
+            DOMUtils.setValue(budgetCap, '');
+          }
+          this.saveSettings();
+          this.renderStatus();
+        });
+      }
+
+      if (budgetPeriod) {
+        DOMUtils.addEventListener(budgetPeriod, 'change', () => {
+          this.settings.period = DOMUtils.getValue(budgetPeriod) === 'day' ? 'day' : 'session';
+          this.saveSettings();
+          this.renderStatus();
+        });
+      }
+
+      if (budgetAction) {
+        DOMUtils.addEventListener(budgetAction, 'change', () => {
+          this.settings.action = DOMUtils.getValue(budgetAction) === 'block' ? 'block' : 'warn';
+          this.saveSettings();
+        });
+      }
+    }
+
+    /**
+     * Show the saved settings in the controls
+     */
+    applySettingsToInputs() {
+      const { budgetCap, budgetPeriod, budgetAction } = this.elements;
+      DOMUtils.setValue(budgetCap, this.settings.cap !== null ? String(this.settings.cap) : '');
+      DOMUtils.setValue(budgetPeriod, this.settings.period);
+      DOMUtils.setValue(budgetAction, this.settings.action);
+    }
+
+    /**
+     * Check whether a model charges for requests
+     * @param {Object} model - Model object
+     * @returns {boolean} Whether any price is above zero
+     */
+    isPaidModel(model) {
+      const pricing = (model && model.pricing) || {};
+      return Object.keys(pricing).some(key => parseFloat(pricing[key]) > 0);
+    }
+
+    /**
+     * Estimate the cost of a request before sending it
+     * Prompt tokens come from TokenCounter's estimate; completion tokens use
+     * `max_tokens` when set, otherwise a typical reply length.
+     * @param {Object} model - Model with `pricing`
+     * @param {Array} messages - Request messages
+     * @param {Object} options - Request options; `counts` reuses a TokenCounter.countMessages result
+     * @returns {Object} { promptTokens, completionTokens, cost }
+     */
+    estimateRequestCost(model, messages, options = {}) {
+      const pricing = (model && model.pricing) || {};
+      const price = (key) => {
+        const value = parseFloat(pricing[key]);
+        return Number.isFinite(value) && value > 0 ? value : 0;
+      };
+
+      const counts = options.counts || TokenCounter.countMessages(messages, model);
+      const promptTokens = counts.tokens;
+      const completionTokens = options.max_tokens || DEFAULT_COMPLETION_TOKENS;
+      const cost = promptTokens * price('prompt') +
+        completionTokens * price('completion') +
+        counts.images * price('image') +
+        price('request');
+
+      return { promptTokens, completionTokens, cost };
+    }
+
+    /**
+     * Find the model whose request would cost the most
+     * Used for fallback chains, where any model of the chain may answer and be billed.
+     * @param {Array<Object>} models - Candidate models
+     * @param {Array} messages - Request messages
+     * @param {Object} options - Request options
+     * @returns {Object|null} Most expensive model (the first one on a tie), null if there are none
+     */
+    getCostliestModel(models, messages, options = {}) {
+      let costliest = null;
+      let highest = -1;
+      models.forEach(model => {
+        const cost = this.isPaidModel(model) ? this.estimateRequestCost(model, messages, options).cost : 0;
+        if (cost > highest) {
+          costliest = model;
+          highest = cost;
+        }
+      });
+      return costliest;
+    }
+
+    /**
+     * Get the amount spent in the configured budget period
+     * @returns {number} Spent amount in USD
+     */
+    getSpent() {
+      const totals = this.settings.period === 'day' ? UsageTracker.getTodayTotals() : UsageTracker.getSessionTotals();
+      return totals.cost;
+    }
+
+    /**
+     * Get a label for the budget period
+     * @returns {string} Period label
+     */
+    getPeriodLabel() {
+      return this.settings.period === 'day' ? 'today' : 'this session';
+    }
+
+    /**
+     * Check a paid request against the spend cap and the key's remaining credit
+     * Depending on the configured action the user is warned or the request is blocked.
+     * @param {Object|Array<Object>} model - Model to be used, or every model of a comparison
+     * @param {Array} messages - Request messages
+     * @param {Object} options - Request options
+     * @param {string} [note] - Explanation added to the warning (e.g. which model was estimated)
+     * @returns {Promise<boolean>} Whether the request may be sent
+     */
+    async confirmRequest(model, messages, options = {}, note = '') {
+      const paidModels = [].concat(model).filter(m => this.isPaidModel(m));
+      if (paidModels.length === 0) return true;
+
+      const cost = paidModels.reduce((sum, m) => sum + this.estimateRequestCost(m, messages, options).cost, 0);
+      const format = (value) => UsageTracker.formatCost(value);
+      const problems = [];
+
+      if (this.settings.cap !== null) {
+        const spent = this.getSpent();
+        if (spent + cost > this.settings.cap) {
+          problems.push(`This request (est. ${format(cost)}) would bring spending ${this.getPeriodLabel()} to ` +
+            `${format(spent + cost)}, over your ${format(this.settings.cap)} cap.`);
+        }
+      }
+
+      const remaining = this.keyStatus ? this.keyStatus.limit_remaining : null;
+      if (typeof remaining === 'number' && cost > remaining) {
+        problems.push(`The estimate (${format(cost)}) exceeds the ${format(remaining)} left on this API key.`);
+      }
+
+      if (problems.length === 0) return true;
+      if (note) problems.push(note);
+
+      if (this.settings.action === 'block') {
+        alert(`Request blocked by your budget.\n\n${problems.join('\n')}`);
+        return false;
+      }
+
+      return ModalManager.showConfirmationModal({
+        title: 'Budget warning',
+        message: `${problems.join('<br>')}<br><br>Send anyway?`,
+        confirmText: 'Send anyway',
+        cancelText: 'Cancel'
+      });
+    }
+
+    /**
+     * Store the latest /key data
+     * @param {Object} keyData - `data` object from the /key endpoint
+     */
+    setKeyStatus(keyData) {
+      this.keyStatus = keyData || null;
+      this.renderStatus();
+    }
+
+    /**
+     * Render spend against the cap and the key's remaining credit
+     */
+    renderStatus() {
+      const { budgetStatus } = this.elements;
+      if (!budgetStatus || !window.UsageTracker) return;
+
+      const parts = [];
+      const spent = this.getSpent();
+
+      if (this.settings.cap !== null) {
+        parts.push(`Spent ${UsageTracker.formatCost(spent)} of ${UsageTracker.formatCost(this.settings.cap)} ${this.getPeriodLabel()}`);
+        budgetStatus.classList.toggle('over-budget', spent >= this.settings.cap);
+      } else {
+        parts.push(`Spent ${UsageTracker.formatCost(spent)} ${this.getPeriodLabel()}`);
+        budgetStatus.classList.remove('over-budget');
+      }
+
+      const remaining = this.keyStatus ? this.keyStatus.limit_remaining : null;
+      if (typeof remaining === 'number') {
+        parts.push(`key: ${UsageTracker.formatCost(remaining)} left`);
+      }
+
+      DOMUtils.setTextContent(budgetStatus, parts.join(' · '));
+    }
+
+    /**
+     * Load budget settings from localStorage
+     * @returns {Object} Saved settings
+     */
+    loadSettings() {
+      try {
+        const saved = localStorage.getItem(BUDGET_KEY);
+        return saved ? JSON.parse(saved) : {};
+      } catch (e) {
+        console.warn('Failed to load budget settings:', e);
+        return {};
+      }
+    }
+
+    /**
+     * Save budget settings to localStorage
+     */
+    saveSettings() {
+      try {
+        localStorage.setItem(BUDGET_KEY, JSON.stringify(this.settings));
+      } catch (e) {
+        console.warn('Failed to save budget settings:', e);
+      }
+    }
+  }
+
+  // Export singleton instance
+  window.BudgetManager = new BudgetManager();
+
+})();
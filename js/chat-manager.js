@@ -15,6 +15,9 @@
       this.messageHistory = [];
       this.currentTypingIndicator = null;
       this.isStreaming = false;
+      this.suppressHistoryEvents = false;
+      this.userMarkdownEnabled = false;
+      this.omittedIds = new Set(); // Messages left out of the last request
       
       // DOM elements (will be injected)
       this.elements = {};
@@ -22,6 +25,7 @@
       // Event callbacks
       this.onMessageAdded = null;
       this.onChatCleared = null;
+      this.onHistoryChanged = null;
     }
 
     /**
@@ -37,7 +41,7 @@
      * Setup event listeners for chat functionality
      */
     setupEventListeners() {
-      const { prompt, sendBtn, clearChatBtn, stopBtn } = this.elements;
+      const { prompt, sendBtn, clearChatBtn, stopBtn, chatMessages } = this.elements;
 
       // Auto-resize textarea
       if (prompt) {
@@ -75,6 +79,17 @@
         });
       }
 
+      // Code block actions (copy / download) via event delegation
+      if (chatMessages) {
+        DOMUtils.addEventListener(chatMessages, 'click', (event) => {
+          const actionBtn = event.target.closest && event.target.closest('[data-code-action]');
+          if (actionBtn) {
+            event.stopPropagation();
+            this.handleCodeAction(actionBtn);
+          }
+        });
+      }
+
       // Handle page unload
       DOMUtils.addEventListener(window, 'beforeunload', () => {
         this.stopGeneration();
@@ -114,29 +129,50 @@
      * @param {string} content - Message content
      * @param {Array} images - Array of image data
      * @param {boolean} isUploaded - Whether images are uploaded
+     * @param {Object} metadata - Extra history fields (id, timestamp, ...)
      * @returns {HTMLElement} Message element
      */
-    addMessageToChat(role, content, images = [], isUploaded = false) {
+    addMessageToChat(role, content, images = [], isUploaded = false, metadata = {}) {
       const { chatMessages } = this.elements;
       
       if (!chatMessages) return null;
 
+      const messageId = metadata.id || StorageService.generateId('msg');
+      const timestamp = metadata.timestamp ? new Date(metadata.timestamp) : new Date();
+
       const messageDiv = DOMUtils.createElement('div', {
-        className: `message ${role}`
+        className: `message ${role}${this.omittedIds.has(messageId) ? ' omitted' : ''}`,
+        'data-message-id': messageId
       });
       
       const contentDiv = DOMUtils.createElement('div', {
-        className: 'message-content',
-        textContent: content
+        className: 'message-content'
       });
+      this.renderMessageContent(contentDiv, role, content);
       
       const timeDiv = DOMUtils.createElement('div', {
         className: 'message-time',
-        textContent: new Date().toLocaleTimeString()
+        textContent: metadata.edited ? `${timestamp.toLocaleTimeString()} · edited` : timestamp.toLocaleTimeString()
       });
       
       messageDiv.appendChild(contentDiv);
       
+      if (metadata.reasoning) {
+        this.renderReasoning(messageDiv, metadata.reasoning, false);
+      }
+      
+      if (metadata.toolRounds && metadata.toolRounds.length > 0) {
+        this.renderToolSteps(messageDiv, metadata.toolRounds);
+      }
+      
+      if (metadata.structured) {
+        this.renderStructuredOutput(messageDiv, metadata.structured);
+      }
+      
+      if (metadata.comparison) {
+        this.renderComparison(messageDiv, metadata.comparison);
+      }
+      
       // Add images if provided
       if (images && images.length > 0) {
         const imagesDiv = this.createImagesDiv(images, isUploaded);
@@ -145,29 +181,25 @@
       
       messageDiv.appendChild(timeDiv);
       
-      // Add edit button for user messages (only for the last user message)
-      if (role === 'user') {
-        // Hide edit buttons on all previous user messages
-        this.hidePreviousEditButtons();
-        
-        const editBtn = this.createEditButton();
-        messageDiv.appendChild(editBtn);
+      if (metadata.usage) {
+        this.renderUsageFooter(messageDiv, metadata.usage);
       }
       
-      // Add regeneration controls for assistant messages
+      if (metadata.model) {
+        this.renderModelLabel(messageDiv, metadata.model, metadata.requestedModel);
+      }
+      
+      // Let assistant messages switch between rendered Markdown and raw source
       if (role === 'assistant') {
-        // Hide regeneration controls on all previous assistant messages
-        this.hidePreviousRegenerationControls();
-        
-        const regenerationControls = this.createRegenerationControls();
-        messageDiv.appendChild(regenerationControls);
-        
-        // Notify regeneration manager about the new controls
-        if (window.RegenerationManager) {
-          RegenerationManager.setCurrentRegenerationControls(regenerationControls);
-        }
+        messageDiv.appendChild(this.createRawToggleButton(messageDiv));
       }
       
+      // Any message can be edited or deleted
+      messageDiv.appendChild(this.createMessageActions(messageDiv));
+      
+      // Branch navigation (and regeneration for assistant messages)
+      messageDiv.appendChild(this.createRegenerationControls(messageDiv, role));
+      
       chatMessages.appendChild(messageDiv);
       
       // Scroll to bottom
@@ -175,15 +207,143 @@
       
       // Store in message history
       this.messageHistory.push({
+        ...metadata,
+        id: messageId,
         role: role,
         content: content,
         images: images || [],
-        timestamp: new Date()
+        timestamp: timestamp
       });
+      this.notifyHistoryChanged();
       
       return messageDiv;
     }
 
+    /**
+     * Render message content as Markdown or plain text depending on role and settings
+     * @param {HTMLElement} contentDiv - Message content element
+     * @param {string} role - Message role
+     * @param {string} content - Raw message content
+     */
+    renderMessageContent(contentDiv, role, content) {
+      if (!contentDiv) return;
+      
+      contentDiv._rawContent = content || '';
+      
+      if (this.shouldRenderMarkdown(contentDiv, role)) {
+        contentDiv.classList.add('markdown-body');
+        MarkdownRenderer.renderInto(contentDiv, contentDiv._rawContent);
+      } else {
+        contentDiv.classList.remove('markdown-body');
+        MarkdownRenderer.reset(contentDiv);
+        DOMUtils.setTextContent(contentDiv, contentDiv._rawContent);
+      }
+    }
+
+    /**
+     * Check whether a message should be rendered as Markdown
+     * @param {HTMLElement} contentDiv - Message content element
+     * @param {string} role - Message role
+     * @returns {boolean} Whether to render Markdown
+     */
+    shouldRenderMarkdown(contentDiv, role) {
+      if (contentDiv._showRaw) return false;
+      return role === 'assistant' || (role === 'user' && this.userMarkdownEnabled);
+    }
+
+    /**
+     * Get the raw (unrendered) content of a message element
+     * @param {HTMLElement} contentDiv - Message content element
+     * @returns {string} Raw content
+     */
+    getRawContent(contentDiv) {
+      if (!contentDiv) return '';
+      return typeof contentDiv._rawContent === 'string' ? contentDiv._rawContent : contentDiv.textContent;
+    }
+
+    /**
+     * Get the role of a message element
+     * @param {HTMLElement} messageElement - Message element
+     * @returns {string} Message role
+     */
+    getMessageRole(messageElement) {
+      return messageElement.classList.contains('user') ? 'user' : 'assistant';
+    }
+
+    /**
+     * Create the raw/rendered toggle button for a message
+     * @param {HTMLElement} messageDiv - Message element
+     * @returns {HTMLElement} Toggle button element
+     */
+    createRawToggleButton(messageDiv) {
+      const toggleBtn = DOMUtils.createElement('button', {
+        className: 'raw-toggle-btn',
+        title: 'Show the raw Markdown source',
+        textContent: 'Raw'
+      });
+      
+      DOMUtils.addEventListener(toggleBtn, 'click', (event) => {
+        event.stopPropagation();
+        this.toggleRawView(messageDiv, toggleBtn);
+      });
+      
+      return toggleBtn;
+    }
+
+    /**
+     * Toggle a message between rendered Markdown and raw source
+     * @param {HTMLElement} messageDiv - Message element
+     * @param {HTMLElement} toggleBtn - Toggle button element
+     */
+    toggleRawView(messageDiv, toggleBtn) {
+      const contentDiv = messageDiv.querySelector('.message-content');
+      if (!contentDiv) return;
+      
+      contentDiv._showRaw = !contentDiv._showRaw;
+      this.renderMessageContent(contentDiv, this.getMessageRole(messageDiv), this.getRawContent(contentDiv));
+      
+      DOMUtils.setTextContent(toggleBtn, contentDiv._showRaw ? 'Rendered' : 'Raw');
+      toggleBtn.title = contentDiv._showRaw ? 'Show the rendered message' : 'Show the raw Markdown source';
+    }
+
+    /**
+     * Enable or disable Markdown rendering for user messages
+     * @param {boolean} enabled - Whether user messages render Markdown
+     */
+    setUserMarkdownEnabled(enabled) {
+      this.userMarkdownEnabled = !!enabled;
+      
+      const { chatMessages } = this.elements;
+      if (!chatMessages) return;
+      
+      chatMessages.querySelectorAll('.message.user:not(.editing) .message-content').forEach(contentDiv => {
+        this.renderMessageContent(contentDiv, 'user', this.getRawContent(contentDiv));
+      });
+    }
+
+    /**
+     * Handle a code block action button (copy or download)
+     * @param {HTMLElement} button - Action button
+     */
+    handleCodeAction(button) {
+      const codeBlock = button.closest('.code-block');
+      const codeEl = codeBlock && codeBlock.querySelector('pre code');
+      if (!codeEl) return;
+      
+      const code = codeEl.textContent;
+      
+      if (button.dataset.codeAction === 'copy') {
+        DOMUtils.copyToClipboard(code).then(copied => {
+          DOMUtils.setTextContent(button, copied ? 'Copied!' : 'Copy failed');
+          setTimeout(() => DOMUtils.setTextContent(button, 'Copy'), 1500);
+        });
+      } else if (button.dataset.codeAction === 'download') {
+        const info = CodeHighlighter.getLanguageInfo(codeBlock.dataset.language);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        DOMUtils.downloadFile(code, `snippet-${timestamp}.${info.extension}`);
+      }
+    }
+
     /**
      * Create images container div
      * @param {Array} images - Array of image data
@@ -216,65 +376,90 @@
 
 
     /**
-     * Hide regeneration controls on all previous assistant messages
+     * Create the edit and delete buttons of a message
+     * @param {HTMLElement} messageDiv - Message element
+     * @returns {HTMLElement} Actions container
      */
-    hidePreviousRegenerationControls() {
-      const { chatMessages } = this.elements;
-      if (!chatMessages) return;
-      
-      const allRegenerationControls = chatMessages.querySelectorAll('.regeneration-controls');
-      allRegenerationControls.forEach(controls => {
-        DOMUtils.hideElement(controls);
+    createMessageActions(messageDiv) {
+      const actionsDiv = DOMUtils.createElement('div', {
+        className: 'message-actions'
       });
-    }
-
-    /**
-     * Hide edit buttons on all previous user messages
-     */
-    hidePreviousEditButtons() {
-      const { chatMessages } = this.elements;
-      if (!chatMessages) return;
       
-      const allEditButtons = chatMessages.querySelectorAll('.edit-message-btn');
-      allEditButtons.forEach(btn => {
-        DOMUtils.hideElement(btn);
-      });
-    }
-
-    /**
-     * Create edit button for user messages
-     * @returns {HTMLElement} Edit button element
-     */
-    createEditButton() {
       const editBtn = DOMUtils.createElement('button', {
         className: 'edit-message-btn',
         title: 'Edit message',
         innerHTML: '✏️'
       });
       
+      const deleteBtn = DOMUtils.createElement('button', {
+        className: 'delete-message-btn',
+        title: 'Delete message',
+        innerHTML: '🗑️'
+      });
+      
       DOMUtils.addEventListener(editBtn, 'click', (event) => {
         event.stopPropagation();
-        this.startEditMode(editBtn.parentElement);
+        this.startEditMode(messageDiv);
+      });
+      
+      DOMUtils.addEventListener(deleteBtn, 'click', (event) => {
+        event.stopPropagation();
+        this.deleteMessage(messageDiv);
       });
       
-      return editBtn;
+      actionsDiv.appendChild(editBtn);
+      actionsDiv.appendChild(deleteBtn);
+      
+      return actionsDiv;
     }
 
     /**
-     * Start edit mode for a user message
+     * Delete a single message after confirmation
+     * Later messages stay; in the branch tree they move up to the deleted message's place.
+     * @param {HTMLElement} messageElement - Message element
+     */
+    async deleteMessage(messageElement) {
+      if (this.isStreaming) return;
+      
+      const confirmed = await ModalManager.showConfirmationModal({
+        title: 'Delete message',
+        message: 'Delete this message from the conversation?',
+        confirmText: 'Delete',
+        cancelText: 'Cancel'
+      });
+      
+      const index = this.findMessageIndex(messageElement);
+      if (!confirmed || index === -1) return;
+      
+      if (window.RegenerationManager) {
+        RegenerationManager.removeMessage(this.messageHistory[index].id);
+      }
+      
+      messageElement.remove();
+      this.messageHistory.splice(index, 1);
+      this.notifyHistoryChanged();
+    }
+
+    /**
+     * Start edit mode for a message
      * @param {HTMLElement} messageElement - Message element to edit
      */
     startEditMode(messageElement) {
-      if (!messageElement || !messageElement.classList.contains('user')) return;
+      if (!messageElement || this.isStreaming || messageElement.classList.contains('editing')) return;
       
       const contentDiv = messageElement.querySelector('.message-content');
       if (!contentDiv) return;
       
-      const originalContent = contentDiv.textContent;
+      const originalContent = this.getRawContent(contentDiv);
       
       // Add editing class
       messageElement.classList.add('editing');
       
+      // Edit the raw source, not the rendered Markdown
+      contentDiv.classList.remove('markdown-body');
+      MarkdownRenderer.reset(contentDiv);
+      DOMUtils.setTextContent(contentDiv, originalContent);
+      
       // Make the content div editable
       contentDiv.contentEditable = true;
       contentDiv.focus();
@@ -344,7 +529,9 @@
     }
 
     /**
-     * Save edit and trigger regeneration
+     * Save an edit
+     * Assistant messages are changed in place to steer the next turn. For user messages
+     * the original is restored here and the edited text is sent as a new branch.
      * @param {HTMLElement} messageElement - Message element
      * @param {HTMLElement} contentDiv - ContentEditable div element
      */
@@ -352,24 +539,19 @@
       const newContent = contentDiv.textContent.trim();
       if (!newContent) return;
       
-      // Make content non-editable
-      contentDiv.contentEditable = false;
-      
-      // Remove editing state
-      messageElement.classList.remove('editing');
+      const messageIndex = this.findMessageIndex(messageElement);
       
-      // Remove edit controls
-      const editControls = messageElement.querySelector('.edit-controls');
-      if (editControls) {
-        editControls.remove();
+      if (this.getMessageRole(messageElement) === 'assistant') {
+        this.cancelEdit(messageElement, newContent);
+        this.updateMessageInHistory(messageElement, newContent);
+        return;
       }
       
-      // Update message history
-      this.updateMessageInHistory(messageElement, newContent);
+      this.cancelEdit(messageElement, messageIndex >= 0 ? this.messageHistory[messageIndex].content : newContent);
       
       // Trigger edit callback
       if (this.onMessageEdited) {
-        this.onMessageEdited(newContent);
+        this.onMessageEdited(newContent, messageElement);
       }
     }
 
@@ -383,10 +565,14 @@
       if (!contentDiv) return;
       
       // Restore original content
-      contentDiv.textContent = originalContent;
+      this.renderMessageContent(contentDiv, this.getMessageRole(messageElement), originalContent);
       
       // Make content non-editable
       contentDiv.contentEditable = false;
+      if (contentDiv._keydownHandler) {
+        DOMUtils.removeEventListener(contentDiv, 'keydown', contentDiv._keydownHandler);
+        contentDiv._keydownHandler = null;
+      }
       
       // Remove editing state
       messageElement.classList.remove('editing');
@@ -399,7 +585,7 @@
     }
 
     /**
-     * Update message in history
+     * Update message in history after a hand edit
      * @param {HTMLElement} messageElement - Message element
      * @param {string} newContent - New content
      */
@@ -407,10 +593,38 @@
       // Find the message in history and update it
       const messageIndex = this.findMessageIndex(messageElement);
       if (messageIndex >= 0) {
-        this.messageHistory[messageIndex].content = newContent;
+        const message = this.messageHistory[messageIndex];
+        message.content = newContent;
+        message.edited = true;
+        
+        const timeDiv = messageElement.querySelector('.message-time');
+        if (timeDiv && !timeDiv.textContent.endsWith(' · edited')) {
+          DOMUtils.setTextContent(timeDiv, `${timeDiv.textContent} · edited`);
+        }
+        
+        // A structured reply is checked again against the schema it was generated with
+        if (message.structured && window.StructuredOutput) {
+          message.structured = StructuredOutput.evaluateResponse(newContent, message.structured);
+          this.renderStructuredOutput(messageElement, message.structured);
+        }
+        
+        this.notifyHistoryChanged();
       }
     }
 
+    /**
+     * Get the element of a displayed message
+     * @param {string} messageId - Message id
+     * @returns {HTMLElement|null} Message element or null
+     */
+    getMessageElement(messageId) {
+      const { chatMessages } = this.elements;
+      if (!chatMessages || !messageId) return null;
+      
+      return [...chatMessages.querySelectorAll('.message[data-message-id]')]
+        .find(element => element.dataset.messageId === messageId) || null;
+    }
+
     /**
      * Find message index in history
      * @param {HTMLElement} messageElement - Message element
@@ -420,6 +634,11 @@
       const { chatMessages } = this.elements;
       if (!chatMessages) return -1;
       
+      const messageId = messageElement && messageElement.dataset.messageId;
+      if (messageId) {
+        return this.messageHistory.findIndex(msg => msg.id === messageId);
+      }
+      
       const allMessages = chatMessages.querySelectorAll('.message');
       let index = -1;
       
@@ -434,18 +653,21 @@
     }
 
     /**
-     * Create regeneration controls
-     * @returns {HTMLElement} Regeneration controls container
+     * Create branch navigation controls (‹ n/m ›), plus regenerate for assistant messages
+     * Shown by updateBranchControls once the message has siblings.
+     * @param {HTMLElement} messageDiv - Message element
+     * @param {string} role - Message role
+     * @returns {HTMLElement} Controls container
      */
-    createRegenerationControls() {
+    createRegenerationControls(messageDiv, role) {
       const controlsDiv = DOMUtils.createElement('div', {
         className: 'regeneration-controls'
       });
       controlsDiv.style.display = 'none'; // Initially hidden
       
       const prevBtn = DOMUtils.createElement('button', {
-        className: 'btn secondary',
-        title: 'Previous response',
+        className: 'btn secondary branch-prev-btn',
+        title: 'Previous branch',
         innerHTML: '‹'
       });
       
@@ -455,44 +677,108 @@
       });
       
       const nextBtn = DOMUtils.createElement('button', {
-        className: 'btn secondary',
-        title: 'Next response',
+        className: 'btn secondary branch-next-btn',
+        title: 'Next branch',
         innerHTML: '›'
       });
       
-      const regenerateBtn = DOMUtils.createElement('button', {
-        className: 'btn secondary',
-        title: 'Generate new response',
-        innerHTML: '🔄'
-      });
-      
-      // Add event listeners (will be handled by regeneration manager)
       DOMUtils.addEventListener(prevBtn, 'click', () => {
         if (window.RegenerationManager) {
-          RegenerationManager.showPreviousResponse();
+          RegenerationManager.switchBranch(messageDiv.dataset.messageId, -1);
         }
       });
       
       DOMUtils.addEventListener(nextBtn, 'click', () => {
         if (window.RegenerationManager) {
-          RegenerationManager.showNextResponse();
-        }
-      });
-      
-      DOMUtils.addEventListener(regenerateBtn, 'click', () => {
-        if (window.RegenerationManager) {
-          RegenerationManager.regenerateLastResponse();
+          RegenerationManager.switchBranch(messageDiv.dataset.messageId, 1);
         }
       });
       
       controlsDiv.appendChild(prevBtn);
       controlsDiv.appendChild(counterSpan);
       controlsDiv.appendChild(nextBtn);
-      controlsDiv.appendChild(regenerateBtn);
+      
+      if (role === 'assistant') {
+        const regenerateBtn = DOMUtils.createElement('button', {
+          className: 'btn secondary regenerate-btn',
+          title: 'Generate new response',
+          innerHTML: '🔄'
+        });
+        
+        DOMUtils.addEventListener(regenerateBtn, 'click', () => {
+          if (window.RegenerationManager) {
+            RegenerationManager.regenerateFrom(messageDiv.dataset.messageId);
+          }
+        });
+        
+        controlsDiv.appendChild(regenerateBtn);
+      }
       
       return controlsDiv;
     }
 
+    /**
+     * Update the branch counters of all messages
+     * Navigation shows where a message has siblings; every reply can be regenerated.
+     */
+    updateBranchControls() {
+      const { chatMessages } = this.elements;
+      if (!chatMessages || !window.RegenerationManager) return;
+      
+      const lastAssistant = this.getLastAssistantElement();
+      const setVisible = (element, visible) => {
+        if (visible) {
+          DOMUtils.showElement(element, 'flex');
+        } else {
+          DOMUtils.hideElement(element);
+        }
+      };
+      
+      chatMessages.querySelectorAll('.message[data-message-id]').forEach(messageDiv => {
+        const controls = messageDiv.querySelector('.regeneration-controls');
+        if (!controls) return;
+        
+        const info = RegenerationManager.getBranchInfo(messageDiv.dataset.messageId) || { index: 0, count: 1 };
+        const hasBranches = info.count > 1;
+        const prevBtn = controls.querySelector('.branch-prev-btn');
+        const counterSpan = controls.querySelector('.response-counter');
+        const nextBtn = controls.querySelector('.branch-next-btn');
+        const regenerateBtn = controls.querySelector('.regenerate-btn');
+        const canRegenerate = !!regenerateBtn;
+        if (regenerateBtn) {
+          regenerateBtn.title = messageDiv === lastAssistant ? 'Generate new response' : 'Regenerate from here';
+        }
+        
+        DOMUtils.setTextContent(counterSpan, `${info.index + 1}/${info.count}`);
+        prevBtn.disabled = info.index <= 0;
+        nextBtn.disabled = info.index >= info.count - 1;
+        
+        [prevBtn, counterSpan, nextBtn].forEach(element => setVisible(element, hasBranches));
+        setVisible(regenerateBtn, canRegenerate);
+        setVisible(controls, hasBranches || canRegenerate);
+      });
+    }
+
+    /**
+     * Remove a message and everything after it from the chat and the history
+     * Other branches keep their copies in the message tree.
+     * @param {HTMLElement} messageElement - First message to remove
+     */
+    truncateFrom(messageElement) {
+      const index = this.findMessageIndex(messageElement);
+      if (!messageElement || index === -1) return;
+      
+      let element = messageElement;
+      while (element) {
+        const next = element.nextElementSibling;
+        element.remove();
+        element = next;
+      }
+      
+      this.messageHistory.splice(index);
+      this.notifyHistoryChanged();
+    }
+
     /**
      * Show typing indicator
      */
@@ -509,7 +795,7 @@
             '<div class="typing-dots">' +
               '<span></span><span></span><span></span>' +
             '</div>' +
-            'Assistant is typing...' +
+            '<span class="typing-status">Assistant is typing...</span>' +
           '</div>'
       });
       
@@ -518,6 +804,23 @@
       DOMUtils.scrollToBottom(chatMessages);
     }
 
+    /**
+     * Replace the typing indicator text (e.g. with a retry countdown)
+     * @param {string|null} text - Status text, or null for the default
+     */
+    setTypingStatus(text) {
+      if (!this.currentTypingIndicator) {
+        if (!text) return;
+        this.showTypingIndicator();
+      }
+      
+      const status = this.currentTypingIndicator.querySelector('.typing-status');
+      if (status) {
+        DOMUtils.setTextContent(status, text || 'Assistant is typing...');
+      }
+      this.currentTypingIndicator.classList.toggle('retrying', !!text);
+    }
+
     /**
      * Hide typing indicator
      */
@@ -539,7 +842,7 @@
       
       const contentDiv = messageElement.querySelector('.message-content');
       if (contentDiv) {
-        DOMUtils.setTextContent(contentDiv, content);
+        this.renderMessageContent(contentDiv, this.getMessageRole(messageElement), content);
       }
       
       // Update images
@@ -560,13 +863,378 @@
      * @param {Array} images - New images
      */
     updateLastAssistantMessage(content, images = []) {
+      const lastMessage = this.getLastAssistantElement();
+      if (lastMessage) {
+        this.updateMessageContent(lastMessage, content, images);
+      }
+    }
+
+    /**
+     * Get the last assistant message element (excluding the typing indicator)
+     * @returns {HTMLElement|null} Message element or null
+     */
+    getLastAssistantElement() {
       const { chatMessages } = this.elements;
-      if (!chatMessages) return;
+      if (!chatMessages) return null;
       
-      const assistantMessages = chatMessages.querySelectorAll('.message.assistant');
-      if (assistantMessages.length > 0) {
-        const lastMessage = assistantMessages[assistantMessages.length - 1];
-        this.updateMessageContent(lastMessage, content, images);
+      const assistantMessages = chatMessages.querySelectorAll('.message.assistant:not(.typing-indicator)');
+      return assistantMessages.length > 0 ? assistantMessages[assistantMessages.length - 1] : null;
+    }
+
+    /**
+     * Attach token usage and cost to a message
+     * @param {HTMLElement} messageElement - Message element
+     * @param {Object|null} usage - Usage record from UsageTracker (null removes it)
+     */
+    setMessageUsage(messageElement, usage) {
+      if (!messageElement) return;
+      
+      this.renderUsageFooter(messageElement, usage);
+      
+      const index = this.findMessageIndex(messageElement);
+      if (index !== -1) {
+        if (usage) {
+          this.messageHistory[index].usage = usage;
+        } else {
+          delete this.messageHistory[index].usage;
+        }
+        this.notifyHistoryChanged();
+      }
+    }
+
+    /**
+     * Render the usage footer below the message time
+     * @param {HTMLElement} messageElement - Message element
+     * @param {Object|null} usage - Usage record
+     */
+    renderUsageFooter(messageElement, usage) {
+      const existing = messageElement.querySelector('.message-usage');
+      if (existing) {
+        existing.remove();
+      }
+      
+      if (!usage || !window.UsageTracker) return;
+      
+      const footer = DOMUtils.createElement('div', {
+        className: 'message-usage',
+        textContent: UsageTracker.formatUsage(usage),
+        title: UsageTracker.describeCostSource(usage)
+      });
+      
+      const timeDiv = messageElement.querySelector('.message-time');
+      messageElement.insertBefore(footer, timeDiv ? timeDiv.nextSibling : null);
+    }
+
+    /**
+     * Record which model answered a message
+     * @param {HTMLElement} messageElement - Message element
+     * @param {string|null} model - Model that produced the response (null removes it)
+     * @param {string|null} requestedModel - Model the request was sent to
+     */
+    setMessageModel(messageElement, model, requestedModel) {
+      if (!messageElement) return;
+      
+      this.renderModelLabel(messageElement, model, requestedModel);
+      
+      const index = this.findMessageIndex(messageElement);
+      if (index !== -1) {
+        if (model) {
+          this.messageHistory[index].model = model;
+          this.messageHistory[index].requestedModel = requestedModel || model;
+        } else {
+          delete this.messageHistory[index].model;
+          delete this.messageHistory[index].requestedModel;
+        }
+        this.notifyHistoryChanged();
+      }
+    }
+
+    /**
+     * Render the "answered by" label next to the message time
+     * Highlighted when a fallback model answered instead of the requested one.
+     * @param {HTMLElement} messageElement - Message element
+     * @param {string|null} model - Model that produced the response
+     * @param {string|null} requestedModel - Model the request was sent to
+     */
+    renderModelLabel(messageElement, model, requestedModel) {
+      const existing = messageElement.querySelector('.message-model');
+      if (existing) {
+        existing.remove();
+      }
+      
+      if (!model) return;
+      
+      const getName = (id) => window.ModelManager ? ModelManager.getModelName(id) : id;
+      const isFallback = !!requestedModel && !!window.ModelManager && !ModelManager.isSameModel(model, requestedModel);
+      
+      const label = DOMUtils.createElement('div', {
+        className: `message-model${isFallback ? ' fallback' : ''}`,
+        textContent: isFallback
+          ? `Answered by ${getName(model)} (fallback for ${getName(requestedModel)})`
+          : `Answered by ${getName(model)}`,
+        title: model
+      });
+      
+      const timeDiv = messageElement.querySelector('.message-time');
+      messageElement.insertBefore(label, timeDiv ? timeDiv.nextSibling : null);
+    }
+
+    /**
+     * Attach the reasoning a model produced before its answer
+     * @param {HTMLElement} messageElement - Message element
+     * @param {string|null} reasoning - Reasoning text (null removes it)
+     */
+    setMessageReasoning(messageElement, reasoning) {
+      if (!messageElement) return;
+      
+      this.renderReasoning(messageElement, reasoning, false);
+      
+      const index = this.findMessageIndex(messageElement);
+      if (index !== -1) {
+        if (reasoning) {
+          this.messageHistory[index].reasoning = reasoning;
+        } else {
+          delete this.messageHistory[index].reasoning;
+        }
+        this.notifyHistoryChanged();
+      }
+    }
+
+    /**
+     * Render reasoning as a collapsible "Thinking" panel above the message content
+     * While streaming the panel stays open until the answer starts.
+     * @param {HTMLElement} messageElement - Message element
+     * @param {string|null} reasoning - Reasoning text
+     * @param {boolean} isStreaming - Whether reasoning is still arriving
+     */
+    renderReasoning(messageElement, reasoning, isStreaming) {
+      let panel = messageElement.querySelector('.thinking-panel');
+      
+      if (!reasoning) {
+        if (panel) {
+          panel.remove();
+        }
+        return;
+      }
+      
+      if (!panel) {
+        panel = DOMUtils.createElement('details', { className: 'thinking-panel' });
+        panel.appendChild(DOMUtils.createElement('summary'));
+        panel.appendChild(DOMUtils.createElement('div', { className: 'thinking-content markdown-body' }));
+        panel.open = isStreaming;
+        messageElement.insertBefore(panel, messageElement.querySelector('.tool-steps, .message-content'));
+      }
+      
+      const hasAnswer = this.getRawContent(messageElement.querySelector('.message-content')) !== '';
+      if (isStreaming && hasAnswer && panel.classList.contains('streaming') && !panel.dataset.answerStarted) {
+        // Collapse once the answer begins, leaving the panel one click away
+        panel.dataset.answerStarted = 'true';
+        panel.open = false;
+      }
+      
+      panel.classList.toggle('streaming', isStreaming);
+      DOMUtils.setTextContent(panel.querySelector('summary'), isStreaming && !hasAnswer ? 'Thinking…' : 'Thinking');
+      MarkdownRenderer.renderInto(panel.querySelector('.thinking-content'), reasoning);
+    }
+
+    /**
+     * Attach the tool calls made while producing a message
+     * @param {HTMLElement} messageElement - Message element
+     * @param {Array|null} toolRounds - Tool rounds (null removes them)
+     */
+    setMessageToolRounds(messageElement, toolRounds) {
+      if (!messageElement) return;
+      
+      this.renderToolSteps(messageElement, toolRounds);
+      
+      const index = this.findMessageIndex(messageElement);
+      if (index !== -1) {
+        if (toolRounds && toolRounds.length > 0) {
+          this.messageHistory[index].toolRounds = toolRounds;
+        } else {
+          delete this.messageHistory[index].toolRounds;
+        }
+        this.notifyHistoryChanged();
+      }
+    }
+
+    /**
+     * Render each tool call and its result as a collapsible step above the message content
+     * @param {HTMLElement} messageElement - Message element
+     * @param {Array|null} toolRounds - Rounds as { content, calls: [{ id, name, arguments, result, isError }] }
+     */
+    renderToolSteps(messageElement, toolRounds) {
+      const existing = messageElement.querySelector('.tool-steps');
+      const openIds = new Set();
+      if (existing) {
+        existing.querySelectorAll('details[open]').forEach(step => openIds.add(step.dataset.callId));
+        existing.remove();
+      }
+      
+      if (!toolRounds || toolRounds.length === 0) return;
+      
+      const container = DOMUtils.createElement('div', { className: 'tool-steps' });
+      
+      toolRounds.forEach(round => {
+        if (round.content) {
+          container.appendChild(DOMUtils.createElement('div', {
+            className: 'tool-step-note',
+            textContent: round.content
+          }));
+        }
+        
+        round.calls.forEach(call => {
+          const isRunning = call.result === null || call.result === undefined;
+          const status = isRunning ? 'running…' : (call.isError ? 'failed' : 'done');
+          const step = DOMUtils.createElement('details', {
+            className: `tool-step${isRunning ? ' running' : ''}${call.isError ? ' error' : ''}`,
+            'data-call-id': call.id
+          });
+          step.open = openIds.has(call.id);
+          
+          step.appendChild(DOMUtils.createElement('summary', {
+            textContent: `🔧 ${call.name} — ${status}`
+          }));
+          step.appendChild(DOMUtils.createElement('div', { className: 'tool-step-label', textContent: 'Arguments' }));
+          step.appendChild(DOMUtils.createElement('pre', { textContent: this.formatToolJson(call.arguments) }));
+          
+          if (!isRunning) {
+            step.appendChild(DOMUtils.createElement('div', { className: 'tool-step-label', textContent: 'Result' }));
+            step.appendChild(DOMUtils.createElement('pre', { textContent: this.formatToolJson(call.result) }));
+          }
+          
+          container.appendChild(step);
+        });
+      });
+      
+      const contentDiv = messageElement.querySelector('.message-content');
+      messageElement.insertBefore(container, contentDiv);
+    }
+
+    /**
+     * Attach the schema validation result of a structured reply
+     * @param {HTMLElement} messageElement - Message element
+     * @param {Object|null} structured - Result of StructuredOutput.evaluateResponse (null removes it)
+     */
+    setMessageStructured(messageElement, structured) {
+      if (!messageElement) return;
+      
+      this.renderStructuredOutput(messageElement, structured);
+      
+      const index = this.findMessageIndex(messageElement);
+      if (index !== -1) {
+        if (structured) {
+          this.messageHistory[index].structured = structured;
+        } else {
+          delete this.messageHistory[index].structured;
+        }
+        this.notifyHistoryChanged();
+      }
+    }
+
+    /**
+     * Render a structured reply as a JSON tree below the (then hidden) Markdown content
+     * The Raw toggle still shows the reply text.
+     * @param {HTMLElement} messageElement - Message element
+     * @param {Object|null} structured - Validation result
+     */
+    renderStructuredOutput(messageElement, structured) {
+      const existing = messageElement.querySelector('.structured-output');
+      if (existing) {
+        existing.remove();
+      }
+      messageElement.classList.remove('structured-json');
+      
+      if (!structured || !window.StructuredOutput) return;
+      
+      const contentDiv = messageElement.querySelector('.message-content');
+      const view = StructuredOutput.createResultView(this.getRawContent(contentDiv), structured);
+      messageElement.classList.toggle('structured-json', !structured.parseError);
+      messageElement.insertBefore(view, contentDiv ? contentDiv.nextSibling : null);
+    }
+
+    /**
+     * Attach the side-by-side results of a model comparison
+     * @param {HTMLElement} messageElement - Message element
+     * @param {Object|null} comparison - { results, winner } (null removes it)
+     */
+    setMessageComparison(messageElement, comparison) {
+      if (!messageElement) return;
+      
+      this.renderComparison(messageElement, comparison);
+      
+      const index = this.findMessageIndex(messageElement);
+      if (index !== -1) {
+        if (comparison) {
+          this.messageHistory[index].comparison = comparison;
+        } else {
+          delete this.messageHistory[index].comparison;
+        }
+        this.notifyHistoryChanged();
+      }
+    }
+
+    /**
+     * Render comparison columns in place of the (then hidden) Markdown content
+     * The message content holds the reply that continues the conversation.
+     * @param {HTMLElement} messageElement - Message element
+     * @param {Object|null} comparison - Comparison results
+     */
+    renderComparison(messageElement, comparison) {
+      const existing = messageElement.querySelector('.comparison-view');
+      if (existing) {
+        existing.remove();
+      }
+      messageElement.classList.toggle('comparison', !!comparison);
+      
+      if (!comparison || !window.ComparisonManager) return;
+      
+      const contentDiv = messageElement.querySelector('.message-content');
+      const view = ComparisonManager.createComparisonView(comparison, (index) => this.setComparisonWinner(messageElement, index));
+      messageElement.insertBefore(view, contentDiv ? contentDiv.nextSibling : null);
+    }
+
+    /**
+     * Refresh one column of a running comparison
+     * @param {HTMLElement} messageElement - Message element
+     * @param {number} index - Column index
+     * @param {Object} result - Column result
+     */
+    updateComparisonColumn(messageElement, index, result) {
+      if (!messageElement || !window.ComparisonManager) return;
+      
+      ComparisonManager.updateColumn(messageElement.querySelector('.comparison-view'), index, result, null);
+    }
+
+    /**
+     * Vote for a comparison column; its reply becomes the message content
+     * @param {HTMLElement} messageElement - Message element
+     * @param {number} winner - Column index
+     */
+    setComparisonWinner(messageElement, winner) {
+      const index = this.findMessageIndex(messageElement);
+      if (this.isStreaming || index === -1) return;
+      
+      const entry = this.messageHistory[index];
+      const result = entry.comparison && entry.comparison.results[winner];
+      if (!result || result.error) return;
+      
+      entry.content = result.content;
+      this.updateMessageContent(messageElement, result.content);
+      this.setMessageModel(messageElement, result.model, null);
+      this.setMessageComparison(messageElement, { ...entry.comparison, winner });
+    }
+
+    /**
+     * Pretty-print a JSON string, leaving other text as it is
+     * @param {string} text - Tool arguments or result
+     * @returns {string} Display text
+     */
+    formatToolJson(text) {
+      try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+      } catch (e) {
+        return text;
       }
     }
 
@@ -581,6 +1249,7 @@
       }
       
       this.messageHistory = [];
+      this.omittedIds = new Set();
       this.hideTypingIndicator();
       
       if (this.onChatCleared) {
@@ -595,7 +1264,12 @@
     setStreamingState(streaming) {
       this.isStreaming = streaming;
       
-      const { sendBtn, prompt, stopBtn } = this.elements;
+      const { sendBtn, prompt, stopBtn, chatMessages } = this.elements;
+      
+      // Message actions wait until the response is complete
+      if (chatMessages) {
+        chatMessages.classList.toggle('streaming', streaming);
+      }
       
       if (sendBtn) {
         if (streaming) {
@@ -636,6 +1310,56 @@
      */
     setMessageHistory(history) {
       this.messageHistory = history || [];
+      this.notifyHistoryChanged();
+    }
+
+    /**
+     * Replace the chat with a saved list of messages
+     * @param {Array} messages - Message history entries to render
+     */
+    renderMessages(messages) {
+      const { chatMessages } = this.elements;
+      
+      this.suppressHistoryEvents = true;
+      try {
+        if (chatMessages) {
+          DOMUtils.setInnerHTML(chatMessages, '');
+        }
+        this.hideTypingIndicator();
+        this.messageHistory = [];
+        
+        (messages || []).forEach(msg => {
+          this.addMessageToChat(msg.role, msg.content, msg.images || [], msg.role === 'user', msg);
+        });
+      } finally {
+        this.suppressHistoryEvents = false;
+      }
+    }
+
+    /**
+     * Notify listeners that the message history changed
+     */
+    notifyHistoryChanged() {
+      if (this.suppressHistoryEvents) return;
+      
+      if (this.onHistoryChanged) {
+        this.onHistoryChanged(this.messageHistory);
+      }
+    }
+
+    /**
+     * Mark the messages that were left out of the last request
+     * @param {Array<string>} messageIds - IDs of the omitted messages
+     */
+    setOmittedMessages(messageIds) {
+      const { chatMessages } = this.elements;
+      this.omittedIds = new Set(messageIds || []);
+      
+      if (!chatMessages) return;
+      
+      chatMessages.querySelectorAll('.message[data-message-id]').forEach(messageElement => {
+        messageElement.classList.toggle('omitted', this.omittedIds.has(messageElement.dataset.messageId));
+      });
     }
 
     /**
@@ -659,10 +1383,9 @@
       this.onMessageAdded = callbacks.onMessageAdded;
       this.onChatCleared = callbacks.onChatCleared;
       this.onStopGeneration = callbacks.onStopGeneration;
-      this.onPreviousResponse = callbacks.onPreviousResponse;
-      this.onNextResponse = callbacks.onNextResponse;
       this.onRegenerateResponse = callbacks.onRegenerateResponse;
       this.onMessageEdited = callbacks.onMessageEdited;
+      this.onHistoryChanged = callbacks.onHistoryChanged;
     }
   }
 
@@ -0,0 +1,344 @@
+/**
+ * Code Highlighter Module
+ * Handles language-aware syntax highlighting for fenced code blocks
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  // Reusable token patterns (no capturing groups: they are combined into one regex)
+  const PATTERNS = {
+    slashComment: '\\/\\/[^\\n]*',
+    blockComment: '\\/\\*[\\s\\S]*?(?:\\*\\/|$)',
+    hashComment: '#[^\\n]*',
+    dashComment: '--[^\\n]*',
+    htmlComment: '<!--[\\s\\S]*?(?:-->|$)',
+    doubleString: '"(?:\\\\[\\s\\S]|[^"\\\\\\n])*"?',
+    singleString: '\'(?:\\\\[\\s\\S]|[^\'\\\\\\n])*\'?',
+    backtickString: '`(?:\\\\[\\s\\S]|[^`\\\\])*`?',
+    tripleString: '"""[\\s\\S]*?(?:"""|$)|\'\'\'[\\s\\S]*?(?:\'\'\'|$)',
+    number: '\\b(?:0[xX][\\da-fA-F_]+|0[bB][01_]+|\\d[\\d_]*(?:\\.\\d[\\d_]*)?(?:[eE][+-]?\\d+)?)[a-zA-Z]*\\b',
+    variable: '\\$\\{?[A-Za-z_][\\w]*\\}?',
+    tag: '<\\/?[A-Za-z][\\w:.-]*|\\/?>',
+    attribute: '\\b[A-Za-z_:][\\w:.-]*(?==)',
+    property: '[A-Za-z-]+(?=\\s*:)',
+    atRule: '@[A-Za-z-]+',
+    hexColor: '#[\\da-fA-F]{3,8}\\b',
+    jsonKey: '"(?:\\\\.|[^"\\\\])*"(?=\\s*:)',
+    diffAdded: '^\\+[^\\n]*',
+    diffRemoved: '^-[^\\n]*',
+    diffHeader: '^@@[^\\n]*',
+    word: '[A-Za-z_$][\\w$]*'
+  };
+
+  const C_LIKE_LITERALS = 'true false null undefined NaN Infinity nullptr nil';
+
+  /**
+   * Language definitions
+   * patterns: ordered [tokenClass, patternName] pairs; keywords/literals: space separated words
+   */
+  const LANGUAGES = {
+    javascript: {
+      label: 'JavaScript', extension: 'js', aliases: ['js', 'jsx', 'mjs', 'cjs', 'node'],
+      patterns: [['comment', 'slashComment'], ['comment', 'blockComment'], ['string', 'doubleString'], ['string', 'singleString'], ['string', 'backtickString'], ['number', 'number'], ['word', 'word']],
+      keywords: 'async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch this throw try typeof var void while with yield',
+      literals: C_LIKE_LITERALS
+    },
+    typescript: {
+      label: 'TypeScript', extension: 'ts', aliases: ['ts', 'tsx'],
+      patterns: [['comment', 'slashComment'], ['comment', 'blockComment'], ['string', 'doubleString'], ['string', 'singleString'], ['string', 'backtickString'], ['number', 'number'], ['word', 'word']],
+      keywords: 'abstract any as async await boolean break case catch class const constructor continue declare default delete do else enum export extends finally for from function get if implements import in infer instanceof interface is keyof let module namespace never new number object of private protected public readonly return set static string super switch symbol this throw try type typeof unknown var void while yield',
+      literals: C_LIKE_LITERALS
+    },
+    python: {
+      label: 'Python', extension: 'py', aliases: ['py', 'python3', 'py3'],
+      patterns: [['comment', 'hashComment'], ['string', 'tripleString'], ['string', 'doubleString'], ['string', 'singleString'], ['number', 'number'], ['word', 'word']],
+      keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda match case nonlocal not or pass raise return try while with yield self print',
+      literals: 'True False None'
+    },
+    java: {
+      label: 'Java', extension: 'java', aliases: [],
+      patterns: [['comment', 'slashComment'], ['comment', 'blockComment'], ['string', 'doubleString'], ['string', 'singleString'], ['number', 'number'], ['word', 'word']],
+      keywords: 'abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for if implements import instanceof int interface long native new package private protected public record return short static super switch synchronized this throw throws try var void volatile while',
+      literals: 'true false null'
+    },
+    c: {
+      label: 'C', extension: 'c', aliases: ['h'],
+      patterns: [['comment', 'slashComment'], ['comment', 'blockComment'], ['meta', 'hashComment'], ['string', 'doubleString'], ['string', 'singleString'], ['number', 'number'], ['word', 'word']],
+      keywords: 'auto break case char const continue default do double else enum extern float for goto if inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while',
+      literals: 'NULL true false'
+    },
+    cpp: {
+      label: 'C++', extension: 'cpp', aliases: ['c++', 'cc', 'cxx', 'hpp'],
+      patterns: [['comment', 'slashComment'], ['comment', 'blockComment'], ['meta', 'hashComment'], ['string', 'doubleString'], ['string', 'singleString'], ['number', 'number'], ['word', 'word']],
+      keywords: 'auto bool break case catch char class const constexpr continue default delete do double else enum explicit extern float for friend if inline int long namespace new noexcept operator private protected public return short signed sizeof static struct switch template this throw try typedef typename union unsigned using virtual void volatile while',
+      literals: 'true false nullptr NULL'
+    },
+    csharp: {
+      label: 'C#', extension: 'cs', aliases: ['cs', 'c#'],
+      patterns: [['comment', 'slashComment'], ['comment', 'blockComment'], ['string', 'doubleString'], ['string', 'singleString'], ['number', 'number'], ['word', 'word']],
+      keywords: 'abstract as async await base bool break byte case catch char class const continue decimal default delegate do double else enum event explicit extern finally float for foreach get if implicit in int interface internal is lock long namespace new object operator out override params private protected public readonly record ref return sealed set short static string struct switch this throw try typeof uint ulong using var virtual void while yield',
+      literals: 'true false null'
+    },
+    go: {
+      label: 'Go', extension: 'go', aliases: ['golang'],
+      patterns: [['comment', 'slashComment'], ['comment', 'blockComment'], ['string', 'doubleString'], ['string', 'singleString'], ['string', 'backtickString'], ['number', 'number'], ['word', 'word']],
+      keywords: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var bool byte error float64 int int64 string rune',
+      literals: 'true false nil iota'
+    },
+    rust: {
+      label: 'Rust', extension: 'rs', aliases: ['rs'],
+      patterns: [['comment', 'slashComment'], ['comment', 'blockComment'], ['string', 'doubleString'], ['number', 'number'], ['word', 'word']],
+      keywords: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while bool char f32 f64 i32 i64 str u8 u32 u64 usize String Vec Option Result Some Ok Err',
+      literals: 'true false None'
+    },
+    ruby: {
+      label: 'Ruby', extension: 'rb', aliases: ['rb'],
+      patterns: [['comment', 'hashComment'], ['string', 'doubleString'], ['string', 'singleString'], ['number', 'number'], ['word', 'word']],
+      keywords: 'alias and begin break case class def defined do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield require puts attr_accessor',
+      literals: 'true false nil'
+    },
+    php: {
+      label: 'PHP', extension: 'php', aliases: [],
+      patterns: [['comment', 'slashComment'], ['comment', 'blockComment'], ['comment', 'hashComment'], ['string', 'doubleString'], ['string', 'singleString'], ['variable', 'variable'], ['number', 'number'], ['word', 'word']],
+      keywords: 'abstract array as break case catch class const continue declare default do echo else elseif extends final finally fn for foreach function global if implements include interface namespace new private protected public require return static switch throw trait try use while yield',
+      literals: 'true false null TRUE FALSE NULL'
+    },
+    swift: {
+      label: 'Swift', extension: 'swift', aliases: [],
+      patterns: [['comment', 'slashComment'], ['comment', 'blockComment'], ['string', 'doubleString'], ['number', 'number'], ['word', 'word']],
+      keywords: 'as associatedtype break case catch class continue default defer do else enum extension fallthrough for func guard if import in init inout internal is let mutating private protocol public return self static struct subscript super switch throw throws try var where while',
+      literals: 'true false nil'
+    },
+    kotlin: {
+      label: 'Kotlin', extension: 'kt', aliases: ['kt', 'kts'],
+      patterns: [['comment', 'slashComment'], ['comment', 'blockComment'], ['string', 'tripleString'], ['string', 'doubleString'], ['string', 'singleString'], ['number', 'number'], ['word', 'word']],
+      keywords: 'as break class companion continue data do else enum fun if import in interface internal is object open override package private protected public return sealed super this throw try typealias val var when while',
+      literals: 'true false null'
+    },
+    bash: {
+      label: 'Shell', extension: 'sh', aliases: ['sh', 'shell', 'zsh', 'console', 'shellscript'],
+      patterns: [['comment', 'hashComment'], ['string', 'doubleString'], ['string', 'singleString'], ['variable', 'variable'], ['number', 'number'], ['word', 'word']],
+      keywords: 'if then else elif fi for while until do done case esac function return in export local readonly echo cd exit source set unset sudo',
+      literals: 'true false'
+    },
+    powershell: {
+      label: 'PowerShell', extension: 'ps1', aliases: ['ps', 'ps1', 'pwsh'],
+      patterns: [['comment', 'hashComment'], ['string', 'doubleString'], ['string', 'singleString'], ['variable', 'variable'], ['number', 'number'], ['word', 'word']],
+      keywords: 'begin break catch class continue do else elseif end exit filter finally for foreach function if in param process return switch throw trap try until while',
+      literals: '$true $false $null'
+    },
+    sql: {
+      label: 'SQL', extension: 'sql', aliases: ['mysql', 'postgres', 'postgresql', 'sqlite'],
+      patterns: [['comment', 'dashComment'], ['comment', 'blockComment'], ['string', 'singleString'], ['string', 'doubleString'], ['number', 'number'], ['word', 'word']],
+      keywords: 'select from where and or not insert into values update set delete create table alter drop index join left right inner outer full on as group by order having limit offset union all distinct case when then else end is in like between exists primary key foreign references default with returning',
+      literals: 'null true false',
+      caseInsensitive: true
+    },
+    json: {
+      label: 'JSON', extension: 'json', aliases: ['jsonc', 'json5'],
+      patterns: [['property', 'jsonKey'], ['string', 'doubleString'], ['number', 'number'], ['comment', 'slashComment'], ['word', 'word']],
+      keywords: '',
+      literals: 'true false null'
+    },
+    yaml: {
+      label: 'YAML', extension: 'yaml', aliases: ['yml'],
+      patterns: [['comment', 'hashComment'], ['property', 'property'], ['string', 'doubleString'], ['string', 'singleString'], ['number', 'number'], ['word', 'word']],
+      keywords: '',
+      literals: 'true false null yes no on off'
+    },
+    html: {
+      label: 'HTML', extension: 'html', aliases: ['htm', 'xhtml', 'vue', 'svelte'],
+      patterns: [['comment', 'htmlComment'], ['tag', 'tag'], ['attribute', 'attribute'], ['string', 'doubleString'], ['string', 'singleString']],
+      keywords: '',
+      literals: ''
+    },
+    xml: {
+      label: 'XML', extension: 'xml', aliases: ['svg', 'plist'],
+      patterns: [['comment', 'htmlComment'], ['tag', 'tag'], ['attribute', 'attribute'], ['string', 'doubleString'], ['string', 'singleString']],
+      keywords: '',
+      literals: ''
+    },
+    css: {
+      label: 'CSS', extension: 'css', aliases: ['scss', 'less', 'sass'],
+      patterns: [['comment', 'blockComment'], ['keyword', 'atRule'], ['number', 'hexColor'], ['property', 'property'], ['string', 'doubleString'], ['string', 'singleString'], ['number', 'number']],
+      keywords: '',
+      literals: ''
+    },
+    markdown: {
+      label: 'Markdown', extension: 'md', aliases: ['md'],
+      patterns: [],
+      keywords: '',
+      literals: ''
+    },
+    diff: {
+      label: 'Diff', extension: 'diff', aliases: ['patch'],
+      patterns: [['meta', 'diffHeader'], ['inserted', 'diffAdded'], ['deleted', 'diffRemoved']],
+      keywords: '',
+      literals: ''
+    },
+    dockerfile: {
+      label: 'Dockerfile', extension: 'dockerfile', aliases: ['docker'],
+      patterns: [['comment', 'hashComment'], ['string', 'doubleString'], ['string', 'singleString'], ['variable', 'variable'], ['word', 'word']],
+      keywords: 'FROM RUN CMD LABEL EXPOSE ENV ADD COPY ENTRYPOINT VOLUME USER WORKDIR ARG ONBUILD STOPSIGNAL HEALTHCHECK SHELL AS',
+      literals: ''
+    },
+    plaintext: {
+      label: 'Text', extension: 'txt', aliases: ['text', 'txt', 'plain'],
+      patterns: [],
+      keywords: '',
+      literals: ''
+    }
+  };
+
+  /**
+   * Code Highlighter Class
+   * Produces escaped HTML with token spans for a small set of common languages
+   */
+  class CodeHighlighter {
+    constructor() {
+      this.aliasMap = {};
+      this.compiled = {};
+
+      Object.keys(LANGUAGES).forEach(name => {
+        this.aliasMap[name] = name;
+        LANGUAGES[name].aliases.forEach(alias => {
+          this.aliasMap[alias] = name;
+        });
+      });
+    }
+
+    /**
+     * Resolve a fence language or alias to a known language name
+     * @param {string} language - Fence language
+     * @returns {string|null} Canonical language name or null if unknown
+     */
+    resolveLanguage(language) {
+      const key = String(language || '').toLowerCase();
+      return this.aliasMap[key] || null;
+    }
+
+    /**
+     * Get display label and file extension for a fence language
+     * @param {string} language - Fence language
+     * @returns {Object} Language info ({ name, label, extension })
+     */
+    getLanguageInfo(language) {
+      const raw = String(language || '').toLowerCase();
+      const name = this.resolveLanguage(raw);
+
+      if (!name) {
+        return {
+          name: raw || 'plaintext',
+          label: raw || 'Text',
+          extension: /^[a-z0-9]{1,8}$/.test(raw) ? raw : 'txt'
+        };
+      }
+
+      // Keep specific extensions for aliases like tsx, jsx or scss
+      const keepAliasExtension = ['tsx', 'jsx', 'scss', 'less', 'sass', 'hpp', 'h', 'kts', 'svg', 'vue', 'svelte', 'yml'];
+      const definition = LANGUAGES[name];
+
+      return {
+        name: name,
+        label: definition.label,
+        extension: keepAliasExtension.includes(raw) ? raw : definition.extension
+      };
+    }
+
+    /**
+     * Highlight code
+     * @param {string} code - Source code
+     * @param {string} language - Fence language
+     * @returns {string} Escaped HTML with token spans
+     */
+    highlight(code, language) {
+      const name = this.resolveLanguage(language);
+      const source = String(code || '');
+
+      if (!name || LANGUAGES[name].patterns.length === 0) {
+        return DOMUtils.escapeHtml(source);
+      }
+
+      const grammar = this.compile(name);
+      const regex = new RegExp(grammar.regex.source, grammar.regex.flags);
+      let html = '';
+      let lastIndex = 0;
+      let match;
+
+      while ((match = regex.exec(source)) !== null) {
+        if (match[0] === '') {
+          regex.lastIndex++;
+          continue;
+        }
+
+        html += DOMUtils.escapeHtml(source.slice(lastIndex, match.index));
+        html += this.renderToken(grammar, match, source);
+        lastIndex = match.index + match[0].length;
+      }
+
+      html += DOMUtils.escapeHtml(source.slice(lastIndex));
+      return html;
+    }
+
+    /**
+     * Render a matched token
+     * @param {Object} grammar - Compiled grammar
+     * @param {Array} match - Regex match
+     * @param {string} source - Full source (to look ahead for function calls)
+     * @returns {string} Token HTML
+     */
+    renderToken(grammar, match, source) {
+      const groupIndex = match.findIndex((group, index) => index > 0 && group !== undefined);
+      const tokenClass = grammar.classes[groupIndex - 1];
+      const text = match[0];
+      let cls = tokenClass;
+
+      if (tokenClass === 'word') {
+        const lookup = grammar.caseInsensitive ? text.toLowerCase() : text;
+        if (grammar.keywords.has(lookup)) {
+          cls = 'keyword';
+        } else if (grammar.literals.has(lookup)) {
+          cls = 'literal';
+        } else if (/^\s*\(/.test(source.slice(match.index + text.length, match.index + text.length + 4))) {
+          cls = 'function';
+        } else if (/^[A-Z][a-z]/.test(text)) {
+          cls = 'type';
+        } else {
+          cls = null;
+        }
+      }
+
+      const escaped = DOMUtils.escapeHtml(text);
+      return cls ? `<span class="tok-${cls}">${escaped}</span>` : escaped;
+    }
+
+    /**
+     * Compile (and cache) the combined token regex for a language
+     * @param {string} name - Canonical language name
+     * @returns {Object} Compiled grammar
+     */
+    compile(name) {
+      if (this.compiled[name]) return this.compiled[name];
+
+      const definition = LANGUAGES[name];
+      const flags = definition.patterns.some(([, pattern]) => pattern.startsWith('diff')) ? 'gm' : 'g';
+      const source = definition.patterns.map(([, pattern]) => `(${PATTERNS[pattern]})`).join('|');
+      const toSet = (words, lower) => new Set((words || '').split(/\s+/).filter(Boolean).map(w => lower ? w.toLowerCase() : w));
+
+      this.compiled[name] = {
+        regex: new RegExp(source, flags),
+        classes: definition.patterns.map(([tokenClass]) => tokenClass),
+        keywords: toSet(definition.keywords, definition.caseInsensitive),
+        literals: toSet(definition.literals, definition.caseInsensitive),
+        caseInsensitive: !!definition.caseInsensitive
+      };
+
+      return this.compiled[name];
+    }
+  }
+
+  // Export singleton instance
+  window.CodeHighlighter = new CodeHighlighter();
+
+})();
@@ -0,0 +1,277 @@
+/**
+ * Comparison Manager Module
+ * Handles the model list of comparison mode and the side-by-side result columns
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  const COMPARE_MODELS_KEY = 'or_compare_models';
+  const MIN_MODELS = 2;
+  const MAX_MODELS = 4;
+
+  /**
+   * Format a duration for the column stats
+   * @param {number|null} ms - Duration in milliseconds
+   * @returns {string} Display text
+   */
+  function formatDuration(ms) {
+    if (typeof ms !== 'number') return '–';
+    return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+  }
+
+  /**
+   * Comparison Manager Class
+   * In comparison mode one prompt goes to several models at once. The reply of the
+   * voted winner (or the first model that answered) continues the conversation.
+   */
+  class ComparisonManager {
+    constructor() {
+      this.modelIds = this.loadModelIds();
+
+      // DOM elements (will be injected)
+      this.elements = {};
+    }
+
+    /**
+     * Initialize the comparison manager with DOM elements
+     * @param {Object} elements - DOM elements object
+     */
+    initialize(elements) {
+      this.elements = elements;
+      this.setupEventListeners();
+      this.render();
+    }
+
+    /**
+     * Setup event listeners for the model picker
+     */
+    setupEventListeners() {
+      const { compareModelPicker } = this.elements;
+
+      if (compareModelPicker) {
+        DOMUtils.addEventListener(compareModelPicker, 'change', () => {
+          const modelId = DOMUtils.getValue(compareModelPicker);
+          if (modelId) {
+            this.addModel(modelId);
+          }
+        });
+      }
+    }
+
+    /**
+     * Get the models to compare
+     * @returns {Array<Object>} Model objects (unknown IDs get a minimal { id, name })
+     */
+    getModels() {
+      const models = window.ModelManager ? ModelManager.getAllModels() : [];
+      return this.modelIds.map(id => models.find(m => m.id === id) || { id, name: id });
+    }
+
+    /**
+     * Check that enough models are picked
+     * @returns {string} Problem description, empty if a comparison can be run
+     */
+    getSelectionError() {
+      if (this.modelIds.length < MIN_MODELS) {
+        return `Pick at least ${MIN_MODELS} models to compare.`;
+      }
+      return '';
+    }
+
+    /**
+     * Add a model to the comparison
+     * @param {string} modelId - Model ID
+     */
+    addModel(modelId) {
+      if (this.modelIds.includes(modelId) || this.modelIds.length >= MAX_MODELS) return;
+
+      this.modelIds.push(modelId);
+      this.saveModelIds();
+      this.render();
+    }
+
+    /**
+     * Remove a model from the comparison
+     * @param {string} modelId - Model ID
+     */
+    removeModel(modelId) {
+      this.modelIds = this.modelIds.filter(id => id !== modelId);
+      this.saveModelIds();
+      this.render();
+    }
+
+    /**
+     * Render the picked models, the picker and the summary
+     */
+    render() {
+      const { compareModelList, compareModelPicker, compareSummary } = this.elements;
+      const getName = (id) => window.ModelManager ? ModelManager.getModelName(id) : id;
+
+      if (compareModelList) {
+        DOMUtils.setInnerHTML(compareModelList, '');
+        this.modelIds.forEach(modelId => {
+          const chip = DOMUtils.createElement('span', { className: 'fallback-chip' });
+          chip.appendChild(DOMUtils.createElement('span', { textContent: getName(modelId), title: modelId }));
+          const removeBtn = DOMUtils.createElement('button', { type: 'button', title: 'Remove from comparison', textContent: '×' });
+          DOMUtils.addEventListener(removeBtn, 'click', () => this.removeModel(modelId));
+          chip.appendChild(removeBtn);
+          compareModelList.appendChild(chip);
+        });
+      }
+
+      if (compareModelPicker) {
+        const models = window.ModelManager ? ModelManager.getAllModels() : [];
+        const isFull = this.modelIds.length >= MAX_MODELS;
+
+        DOMUtils.setInnerHTML(compareModelPicker, '');
+        compareModelPicker.appendChild(DOMUtils.createElement('option', {
+          value: '',
+          textContent: isFull ? `Up to ${MAX_MODELS} models` : '+ Add model…'
+        }));
+        models
+          .filter(model => !this.modelIds.includes(model.id))
+          .sort((a, b) => (a.name || a.id).localeCompare(b.name || b.id))
+          .forEach(model => {
+            const isPaid = window.BudgetManager && BudgetManager.isPaidModel(model);
+            compareModelPicker.appendChild(DOMUtils.createElement('option', {
+              value: model.id,
+              textContent: isPaid ? `${model.name} (paid)` : model.name
+            }));
+          });
+        compareModelPicker.disabled = isFull;
+      }
+
+      if (compareSummary) {
+        const count = this.modelIds.length;
+        DOMUtils.setTextContent(compareSummary, count < MIN_MODELS
+          ? `${count} of ${MIN_MODELS}–${MAX_MODELS} models`
+          : `${count} models`);
+      }
+    }
+
+    /**
+     * Show how often each model won in the conversation
+     * @param {Array} history - Message history
+     */
+    renderVotes(history) {
+      const { compareVotes } = this.elements;
+      if (!compareVotes) return;
+
+      const wins = {};
+      (history || []).forEach(msg => {
+        const comparison = msg.comparison;
+        if (!comparison || typeof comparison.winner !== 'number') return;
+
+        const winner = comparison.results[comparison.winner];
+        if (winner) {
+          wins[winner.model] = (wins[winner.model] || 0) + 1;
+        }
+      });
+
+      const tally = Object.keys(wins)
+        .sort((a, b) => wins[b] - wins[a])
+        .map(id => `${window.ModelManager ? ModelManager.getModelName(id) : id} ×${wins[id]}`);
+      DOMUtils.setTextContent(compareVotes, tally.length > 0 ? `Votes in this conversation: ${tally.join(' · ')}` : 'No votes in this conversation yet.');
+    }
+
+    /**
+     * Create the side-by-side columns of a comparison
+     * @param {Object} comparison - { results, winner } stored with the message
+     * @param {Function} onVote - Called with the column index when a winner is picked
+     * @returns {HTMLElement} Comparison view
+     */
+    createComparisonView(comparison, onVote) {
+      const view = DOMUtils.createElement('div', { className: 'comparison-view' });
+
+      comparison.results.forEach((result, index) => {
+        const column = DOMUtils.createElement('div', { className: 'comparison-column' });
+        const header = DOMUtils.createElement('div', { className: 'comparison-header' });
+        header.appendChild(DOMUtils.createElement('span', {
+          className: 'comparison-model',
+          textContent: window.ModelManager ? ModelManager.getModelName(result.model) : result.model,
+          title: result.model
+        }));
+
+        const voteBtn = DOMUtils.createElement('button', { type: 'button', className: 'comparison-vote-btn' });
+        DOMUtils.addEventListener(voteBtn, 'click', () => onVote(index));
+        header.appendChild(voteBtn);
+
+        column.appendChild(header);
+        column.appendChild(DOMUtils.createElement('div', { className: 'comparison-stats muted small' }));
+        column.appendChild(DOMUtils.createElement('div', { className: 'comparison-content markdown-body' }));
+        view.appendChild(column);
+
+        this.updateColumn(view, index, result, comparison.winner);
+      });
+
+      return view;
+    }
+
+    /**
+     * Update one column with the current state of its result
+     * @param {HTMLElement} view - Comparison view
+     * @param {number} index - Column index
+     * @param {Object} result - { model, content, usage, latencyMs, ttftMs, error, done }
+     * @param {number|null} winner - Index of the voted winner
+     */
+    updateColumn(view, index, result, winner) {
+      const column = view ? view.querySelectorAll('.comparison-column')[index] : null;
+      if (!column) return;
+
+      const isWinner = winner === index;
+      column.classList.toggle('winner', isWinner);
+      column.classList.toggle('failed', !!result.error);
+
+      const voteBtn = column.querySelector('.comparison-vote-btn');
+      DOMUtils.setTextContent(voteBtn, isWinner ? '★ Winner' : '☆ Vote');
+      voteBtn.title = isWinner ? 'This reply continues the conversation' : 'Pick this reply as the winner and continue with it';
+      voteBtn.disabled = !result.done || !!result.error;
+
+      const stats = [`Latency ${result.done ? formatDuration(result.latencyMs) : '…'}`, `TTFT ${formatDuration(result.ttftMs)}`];
+      if (result.usage && window.UsageTracker) {
+        stats.push(UsageTracker.formatUsage(result.usage));
+      }
+      DOMUtils.setTextContent(column.querySelector('.comparison-stats'), stats.join(' · '));
+
+      const contentDiv = column.querySelector('.comparison-content');
+      if (result.error) {
+        contentDiv.classList.remove('markdown-body');
+        MarkdownRenderer.reset(contentDiv);
+        DOMUtils.setTextContent(contentDiv, `Error: ${result.error}`);
+      } else {
+        MarkdownRenderer.renderInto(contentDiv, result.content || (result.done ? '[Empty response]' : '…'));
+      }
+    }
+
+    /**
+     * Load the picked models from localStorage
+     * @returns {Array<string>} Model IDs
+     */
+    loadModelIds() {
+      try {
+        const saved = localStorage.getItem(COMPARE_MODELS_KEY);
+        const ids = saved ? JSON.parse(saved) : [];
+        return Array.isArray(ids) ? ids.slice(0, MAX_MODELS) : [];
+      } catch (e) {
+        console.warn('Failed to load comparison models:', e);
+        return [];
+      }
+    }
+
+    /**
+     * Save the picked models to localStorage
+     */
+    saveModelIds() {
+      try {
+        localStorage.setItem(COMPARE_MODELS_KEY, JSON.stringify(this.modelIds));
+      } catch (e) {
+        console.warn('Failed to save comparison models:', e);
+      }
+    }
+  }
+
+  // Export singleton instance
+  window.ComparisonManager = new ComparisonManager();
+
+})();
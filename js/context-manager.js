@@ -0,0 +1,395 @@
+/**
+ * Context Manager Module
+ * Handles which part of a long conversation is sent with each request
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  const CONTEXT_KEY = 'or_context';
+  const STRATEGIES = ['all', 'window', 'budget', 'summarize'];
+
+  const SUMMARY_INSTRUCTIONS = 'You compress conversations. Summarize the conversation below so it can replace the original ' +
+    'messages as context for continuing it. Keep facts, decisions, names, numbers, code identifiers and open questions; ' +
+    'drop pleasantries. Reply with the summary only.';
+
+  /**
+   * Split a message history into turns, each starting at a user message
+   * @param {Array} history - Message history
+   * @returns {Array<Array>} Turns
+   */
+  function splitTurns(history) {
+    const turns = [];
+    (history || []).forEach(message => {
+      if (message.role === 'user' || turns.length === 0) {
+        turns.push([]);
+      }
+      turns[turns.length - 1].push(message);
+    });
+    return turns;
+  }
+
+  /**
+   * Context Manager Class
+   * Strategies: 'all' sends everything, 'window' the last N turns, 'budget' as many recent
+   * turns as fit a token budget, and 'summarize' replaces older turns with a summary the
+   * model writes. The newest turn is always sent.
+   */
+  class ContextManager {
+    constructor() {
+      this.settings = {
+        strategy: 'all',
+        windowTurns: 10,
+        tokenBudget: 8000,
+        keepTurns: 4,
+        middleOut: false
+      };
+      this.summary = null; // { text, coveredIds, model } of the current conversation
+
+      // DOM elements (will be injected)
+      this.elements = {};
+
+      // Event callbacks
+      this.onChange = null;
+    }
+
+    /**
+     * Initialize the context manager with DOM elements
+     * @param {Object} elements - DOM elements object
+     */
+    initialize(elements) {
+      this.elements = elements;
+      this.settings = { ...this.settings, ...this.loadSettings() };
+      this.applySettingsToInputs();
+      this.setupEventListeners();
+      this.renderSummary();
+    }
+
+    /**
+     * Setup event listeners for the context controls
+     */
+    setupEventListeners() {
+      const { contextStrategy, contextWindowTurns, contextTokenBudget, contextKeepTurns, middleOutTransform, discardSummaryBtn } = this.elements;
+      const readCount = (input, fallback) => {
+        const value = parseInt(DOMUtils.getValue(input), 10);
+        return Number.isFinite(value) && value > 0 ? value : fallback;
+      };
+
+      if (contextStrategy) {
+        DOMUtils.addEventListener(contextStrategy, 'change', () => {
+          const strategy = DOMUtils.getValue(contextStrategy);
+          this.settings.strategy = STRATEGIES.includes(strategy) ? strategy : 'all';
+          this.handleSettingsChanged();
+        });
+      }
+
+      [
+        [contextWindowTurns, 'windowTurns'],
+        [contextTokenBudget, 'tokenBudget'],
+        [contextKeepTurns, 'keepTurns']
+      ].forEach(([input, key]) => {
+        if (!input) return;
+        DOMUtils.addEventListener(input, 'change', () => {
+          this.settings[key] = readCount(input, this.settings[key]);
+          this.handleSettingsChanged();
+        });
+      });
+
+      if (middleOutTransform) {
+        DOMUtils.addEventListener(middleOutTransform, 'change', () => {
+          this.settings.middleOut = DOMUtils.isChecked(middleOutTransform);
+          this.handleSettingsChanged();
+        });
+      }
+
+      if (discardSummaryBtn) {
+        DOMUtils.addEventListener(discardSummaryBtn, 'click', () => {
+          this.summary = null;
+          this.renderSummary();
+          this.notifyChange();
+        });
+      }
+    }
+
+    /**
+     * Persist and show changed settings
+     */
+    handleSettingsChanged() {
+      this.saveSettings();
+      this.applySettingsToInputs();
+      this.notifyChange();
+    }
+
+    /**
+     * Show the settings in the controls, with only the fields the strategy uses
+     */
+    applySettingsToInputs() {
+      const { contextStrategy, contextWindowTurns, contextTokenBudget, contextKeepTurns, middleOutTransform, contextSummary } = this.elements;
+      const { strategy } = this.settings;
+
+      DOMUtils.setValue(contextStrategy, strategy);
+      DOMUtils.setValue(contextWindowTurns, String(this.settings.windowTurns));
+      DOMUtils.setValue(contextTokenBudget, String(this.settings.tokenBudget));
+      DOMUtils.setValue(contextKeepTurns, String(this.settings.keepTurns));
+      DOMUtils.setChecked(middleOutTransform, this.settings.middleOut);
+
+      [[contextWindowTurns, 'window'], [contextTokenBudget, 'budget'], [contextKeepTurns, 'summarize']].forEach(([input, forStrategy]) => {
+        const field = input ? input.closest('label') : null;
+        if (field) {
+          DOMUtils.showElement(field, strategy === forStrategy ? 'inline-flex' : 'none');
+        }
+      });
+
+      if (contextSummary) {
+        const labels = {
+          all: 'all messages',
+          window: `last ${this.settings.windowTurns} turns`,
+          budget: `${UsageTracker.formatTokens(this.settings.tokenBudget)} token budget`,
+          summarize: `summarize, keep last ${this.settings.keepTurns} turns`
+        };
+        DOMUtils.setTextContent(contextSummary, labels[strategy] + (this.settings.middleOut ? ' + middle-out' : ''));
+      }
+    }
+
+    /**
+     * Get extra request body fields
+     * @returns {Object} `transforms` when middle-out compression is enabled
+     */
+    getRequestOptions() {
+      return this.settings.middleOut ? { transforms: ['middle-out'] } : {};
+    }
+
+    /**
+     * Check whether OpenRouter compresses requests that do not fit the context window
+     * @returns {boolean} Whether middle-out is enabled
+     */
+    isMiddleOutEnabled() {
+      return this.settings.middleOut;
+    }
+
+    /**
+     * Choose the messages to send with the next request
+     * @param {Array} history - Message history (the displayed path)
+     * @param {Object|null} model - Model the request goes to (for token counts)
+     * @param {string} systemPrompt - System prompt
+     * @returns {Object} { history, omittedIds, summary, pendingSummary }: the entries to send,
+     *   IDs of the ones left out, the summary text to send (if any) and the entries a
+     *   summarize request still has to cover
+     */
+    selectHistory(history, model, systemPrompt) {
+      const turns = splitTurns(history);
+      const { strategy } = this.settings;
+      let keptTurns = turns;
+
+      if (strategy === 'window') {
+        keptTurns = turns.slice(-this.settings.windowTurns);
+      } else if (strategy === 'budget') {
+        keptTurns = this.fitTokenBudget(turns, model, systemPrompt);
+      } else if (strategy === 'summarize') {
+        keptTurns = turns.slice(-this.settings.keepTurns);
+      }
+
+      const all = turns.flat();
+      const kept = keptTurns.flat();
+      const older = all.slice(0, all.length - kept.length);
+      const selection = {
+        history: kept,
+        omittedIds: older.map(message => message.id),
+        summary: null,
+        pendingSummary: []
+      };
+
+      if (strategy === 'summarize' && older.length > 0) {
+        const covered = this.getValidSummary(older);
+        selection.summary = covered ? covered.text : null;
+        selection.pendingSummary = older.slice(covered ? covered.coveredIds.length : 0);
+      }
+
+      return selection;
+    }
+
+    /**
+     * Keep the most recent turns that fit the token budget
+     * @param {Array<Array>} turns - Conversation turns
+     * @param {Object|null} model - Model the request goes to
+     * @param {string} systemPrompt - System prompt (counted against the budget)
+     * @returns {Array<Array>} Kept turns, at least the newest one
+     */
+    fitTokenBudget(turns, model, systemPrompt) {
+      const countTokens = (messages) => {
+        const counts = TokenCounter.countMessages(messages, model);
+        return counts.tokens + counts.imageTokens;
+      };
+      let total = countTokens(APIService.buildMessagesFromHistory([], systemPrompt));
+      let start = turns.length;
+
+      while (start > 0) {
+        const tokens = countTokens(APIService.buildMessagesFromHistory(turns[start - 1]));
+        if (start < turns.length && total + tokens > this.settings.tokenBudget) break;
+        total += tokens;
+        start--;
+      }
+
+      return turns.slice(start);
+    }
+
+    /**
+     * Get the stored summary if it still describes the start of these messages
+     * Branch switches and edits can change the earlier conversation.
+     * @param {Array} older - Messages that are not sent verbatim
+     * @returns {Object|null} Summary or null
+     */
+    getValidSummary(older) {
+      const summary = this.summary;
+      if (!summary || summary.coveredIds.length > older.length) return null;
+
+      const matches = summary.coveredIds.every((id, index) => older[index].id === id);
+      return matches ? summary : null;
+    }
+
+    /**
+     * Build the API messages of a selection
+     * The summary follows the system prompt as a system message of its own.
+     * @param {Object} selection - Result of selectHistory
+     * @param {string} systemPrompt - System prompt
+     * @returns {Array} Chat completion messages
+     */
+    buildMessages(selection, systemPrompt) {
+      const messages = APIService.buildMessagesFromHistory(selection.history, systemPrompt);
+
+      if (selection.summary) {
+        messages.splice(systemPrompt ? 1 : 0, 0, {
+          role: 'system',
+          content: `Summary of the earlier conversation:\n${selection.summary}`
+        });
+      }
+
+      return messages;
+    }
+
+    /**
+     * Build the messages that ask a model to extend the summary with more turns
+     * @param {Object} selection - Result of selectHistory with pending messages
+     * @returns {Array} Chat completion messages
+     */
+    buildSummaryRequest(selection) {
+      const lines = [];
+      if (selection.summary) {
+        lines.push(`Summary so far:\n${selection.summary}`, '');
+      }
+      selection.pendingSummary.forEach(message => {
+        const images = message.images && message.images.length > 0 ? ` [${message.images.length} image(s)]` : '';
+        lines.push(`${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content || ''}${images}`);
+      });
+
+      return [
+        { role: 'system', content: SUMMARY_INSTRUCTIONS },
+        { role: 'user', content: lines.join('\n') }
+      ];
+    }
+
+    /**
+     * Store a new summary covering the start of the conversation
+     * @param {Object} selection - Selection the summary was requested for
+     * @param {string} text - Summary written by the model
+     * @param {string} model - Model that wrote it
+     */
+    setSummary(selection, text, model) {
+      const coveredIds = this.summary && selection.summary ? this.summary.coveredIds.slice() : [];
+      selection.pendingSummary.forEach(message => coveredIds.push(message.id));
+
+      this.summary = { text, coveredIds, model };
+      selection.summary = text;
+      selection.pendingSummary = [];
+      this.renderSummary();
+    }
+
+    /**
+     * Render the pinned summary above the chat
+     */
+    renderSummary() {
+      const { contextSummaryPanel, contextSummaryLabel, contextSummaryText } = this.elements;
+      if (!contextSummaryPanel) return;
+
+      if (!this.summary) {
+        DOMUtils.hideElement(contextSummaryPanel);
+        return;
+      }
+
+      const modelName = window.ModelManager ? ModelManager.getModelName(this.summary.model) : this.summary.model;
+      DOMUtils.setTextContent(contextSummaryLabel, `${this.summary.coveredIds.length} earlier messages, by ${modelName}`);
+      MarkdownRenderer.renderInto(contextSummaryText, this.summary.text);
+      DOMUtils.showElement(contextSummaryPanel, 'block');
+    }
+
+    /**
+     * Get the summary saved with the conversation
+     * @returns {Object|null} Summary
+     */
+    getState() {
+      return this.summary ? { ...this.summary, coveredIds: this.summary.coveredIds.slice() } : null;
+    }
+
+    /**
+     * Restore the summary of a saved conversation
+     * @param {Object|null} summary - Summary from getState
+     */
+    restoreState(summary) {
+      this.summary = summary && Array.isArray(summary.coveredIds) ? { ...summary } : null;
+      this.renderSummary();
+    }
+
+    /**
+     * Forget the summary (new conversation)
+     */
+    reset() {
+      this.restoreState(null);
+    }
+
+    /**
+     * Notify listeners that the settings or summary changed
+     */
+    notifyChange() {
+      if (this.onChange) {
+        this.onChange();
+      }
+    }
+
+    /**
+     * Set change callback
+     * @param {Function} callback - Callback function
+     */
+    setOnChange(callback) {
+      this.onChange = callback;
+    }
+
+    /**
+     * Load context settings from localStorage
+     * @returns {Object} Saved settings
+     */
+    loadSettings() {
+      try {
+        const saved = localStorage.getItem(CONTEXT_KEY);
+        return saved ? JSON.parse(saved) : {};
+      } catch (e) {
+        console.warn('Failed to load context settings:', e);
+        return {};
+      }
+    }
+
+    /**
+     * Save context settings to localStorage
+     */
+    saveSettings() {
+      try {
+        localStorage.setItem(CONTEXT_KEY, JSON.stringify(this.settings));
+      } catch (e) {
+        console.warn('Failed to save context settings:', e);
+      }
+    }
+  }
+
+  // Export singleton instance
+  window.ContextManager = new ContextManager();
+
+})();
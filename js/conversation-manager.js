@@ -0,0 +1,538 @@
+/**
+ * Conversation Manager Module
+ * Handles saved conversations and the conversation sidebar
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  const STORE_NAME = 'conversations';
+  const CURRENT_CONVERSATION_KEY = 'or_current_conversation';
+  const MAX_TITLE_LENGTH = 60;
+
+  /**
+   * Conversation Manager Class
+   * Encapsulates conversation persistence and sidebar UI
+   */
+  class ConversationManager {
+    constructor() {
+      this.conversations = [];
+      this.currentConversationId = null;
+      this.currentConversation = null;
+      this.isAvailable = true;
+
+      // DOM elements (will be injected)
+      this.elements = {};
+
+      // Event callbacks
+      this.onCollectState = null;
+      this.onConversationOpened = null;
+      this.onNewConversation = null;
+    }
+
+    /**
+     * Initialize the conversation manager with DOM elements
+     * @param {Object} elements - DOM elements object
+     */
+    initialize(elements) {
+      this.elements = elements;
+      this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for the sidebar and the export button
+     */
+    setupEventListeners() {
+      const { newConversationBtn, exportChatBtn } = this.elements;
+
+      if (newConversationBtn) {
+        DOMUtils.addEventListener(newConversationBtn, 'click', () => {
+          if (this.onNewConversation) {
+            this.onNewConversation();
+          }
+        });
+      }
+
+      if (exportChatBtn) {
+        DOMUtils.addEventListener(exportChatBtn, 'click', () => {
+          ExportManager.showExportDialog(this.buildCurrentRecord());
+        });
+      }
+    }
+
+    /**
+     * Load saved conversations and reopen the last active one
+     */
+    async loadConversations() {
+      try {
+        const records = await StorageService.getAll(STORE_NAME);
+        this.conversations = this.sortConversations(records);
+      } catch (error) {
+        console.warn('Failed to load conversations:', error);
+        this.isAvailable = false;
+        this.conversations = [];
+      }
+
+      this.renderConversationList();
+
+      const lastId = this.loadCurrentConversationId();
+      if (lastId && this.conversations.some(c => c.id === lastId)) {
+        await this.openConversation(lastId);
+      }
+    }
+
+    /**
+     * Sort conversations by last update (newest first)
+     * @param {Array} conversations - Conversation records
+     * @returns {Array} Sorted conversations
+     */
+    sortConversations(conversations) {
+      return [...conversations].sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    }
+
+    /**
+     * Save the current conversation
+     * The record is built synchronously so it always reflects the chat at call time.
+     * @returns {Promise} Save promise
+     */
+    saveCurrentConversation() {
+      const messages = ChatManager.getMessageHistory();
+      if (!this.isAvailable || (!this.currentConversationId && messages.length === 0)) {
+        return Promise.resolve();
+      }
+
+      if (!this.currentConversationId) {
+        this.currentConversationId = StorageService.generateId('conv');
+        this.saveCurrentConversationId(this.currentConversationId);
+      }
+
+      const record = this.buildCurrentRecord();
+
+      this.currentConversation = record;
+      this.upsertConversation(record);
+      this.renderConversationList();
+
+      return StorageService.put(STORE_NAME, record).catch(error => {
+        console.warn('Failed to save conversation:', error);
+      });
+    }
+
+    /**
+     * Build a record of the chat as it is now, without saving it
+     * @returns {Object} Conversation record
+     */
+    buildCurrentRecord() {
+      const messages = ChatManager.getMessageHistory();
+      const now = Date.now();
+      const existing = this.currentConversation || {};
+      const state = this.onCollectState ? this.onCollectState() : {};
+
+      return {
+        ...existing,
+        ...state,
+        id: this.currentConversationId,
+        title: existing.titleCustomized ? existing.title : this.generateTitle(messages),
+        titleCustomized: !!existing.titleCustomized,
+        createdAt: existing.createdAt || now,
+        updatedAt: now,
+        messages: messages.map(msg => this.serializeMessage(msg))
+      };
+    }
+
+    /**
+     * Convert a message history entry into a storable object
+     * @param {Object} message - Message history entry
+     * @returns {Object} Serializable message
+     */
+    serializeMessage(message) {
+      return {
+        ...message,
+        images: this.serializeImages(message.images),
+        timestamp: message.timestamp instanceof Date ? message.timestamp.getTime() : message.timestamp
+      };
+    }
+
+    /**
+     * Reduce image entries to their data URL / URL strings
+     * @param {Array} images - Image entries (strings or { data, file } objects)
+     * @returns {Array} Array of image URLs
+     */
+    serializeImages(images) {
+      return (images || []).map(img => typeof img === 'string' ? img : img.data);
+    }
+
+    /**
+     * Generate a conversation title from its first user message
+     * @param {Array} messages - Message history
+     * @returns {string} Conversation title
+     */
+    generateTitle(messages) {
+      const firstUser = messages.find(msg => msg.role === 'user');
+      if (!firstUser) return 'New conversation';
+
+      const text = (firstUser.content || '').replace(/\s+/g, ' ').trim();
+      if (!text) {
+        return firstUser.images && firstUser.images.length > 0 ? 'Image conversation' : 'New conversation';
+      }
+
+      return text.length > MAX_TITLE_LENGTH ? `${text.slice(0, MAX_TITLE_LENGTH - 1)}…` : text;
+    }
+
+    /**
+     * Insert or replace a conversation in the in-memory list
+     * @param {Object} record - Conversation record
+     */
+    upsertConversation(record) {
+      const others = this.conversations.filter(c => c.id !== record.id);
+      this.conversations = this.sortConversations([...others, record]);
+    }
+
+    /**
+     * Open a saved conversation
+     * @param {string} id - Conversation ID
+     * @returns {Promise<boolean>} Whether the conversation was opened
+     */
+    async openConversation(id) {
+      if (window.ChatManager && ChatManager.isStreaming) {
+        alert('Please stop the current response before switching conversations.');
+        return false;
+      }
+
+      let record = null;
+      try {
+        record = await StorageService.get(STORE_NAME, id);
+      } catch (error) {
+        console.warn('Failed to open conversation:', error);
+      }
+
+      if (!record) return false;
+
+      this.currentConversationId = record.id;
+      this.currentConversation = record;
+      this.saveCurrentConversationId(record.id);
+
+      if (this.onConversationOpened) {
+        this.onConversationOpened(record);
+      }
+
+      this.renderConversationList();
+      return true;
+    }
+
+    /**
+     * Detach from the current conversation so the next message starts a new one
+     * @param {string} [title] - Title to keep instead of one generated from the first message
+     */
+    startNewConversation(title) {
+      this.currentConversationId = null;
+      this.currentConversation = title ? { title, titleCustomized: true } : null;
+      this.saveCurrentConversationId(null);
+      this.renderConversationList();
+    }
+
+    /**
+     * Rename a conversation
+     * @param {string} id - Conversation ID
+     * @param {string} title - New title
+     */
+    async renameConversation(id, title) {
+      const cleanTitle = (title || '').trim();
+      const record = this.conversations.find(c => c.id === id);
+      if (!record || !cleanTitle || cleanTitle === record.title) {
+        this.renderConversationList();
+        return;
+      }
+
+      const updated = { ...record, title: cleanTitle, titleCustomized: true };
+      if (this.currentConversationId === id) {
+        this.currentConversation = updated;
+      }
+
+      this.upsertConversation(updated);
+      this.renderConversationList();
+
+      try {
+        await StorageService.put(STORE_NAME, updated);
+      } catch (error) {
+        console.warn('Failed to rename conversation:', error);
+      }
+    }
+
+    /**
+     * Duplicate a conversation
+     * @param {string} id - Conversation ID
+     */
+    async duplicateConversation(id) {
+      try {
+        const record = await StorageService.get(STORE_NAME, id);
+        if (!record) return;
+
+        const now = Date.now();
+        const copy = {
+          ...record,
+          id: StorageService.generateId('conv'),
+          title: `${record.title} (copy)`,
+          titleCustomized: true,
+          createdAt: now,
+          updatedAt: now
+        };
+
+        await StorageService.put(STORE_NAME, copy);
+        this.upsertConversation(copy);
+        this.renderConversationList();
+      } catch (error) {
+        console.warn('Failed to duplicate conversation:', error);
+      }
+    }
+
+    /**
+     * Export a conversation; the open one is exported as currently shown
+     * @param {string} id - Conversation ID
+     */
+    async exportConversation(id) {
+      if (id === this.currentConversationId) {
+        ExportManager.showExportDialog(this.buildCurrentRecord());
+        return;
+      }
+
+      try {
+        const record = await StorageService.get(STORE_NAME, id);
+        if (record) {
+          ExportManager.showExportDialog(record);
+        }
+      } catch (error) {
+        console.warn('Failed to export conversation:', error);
+      }
+    }
+
+    /**
+     * Delete a conversation after confirmation
+     * @param {string} id - Conversation ID
+     */
+    async deleteConversation(id) {
+      const record = this.conversations.find(c => c.id === id);
+      if (!record) return;
+
+      const confirmed = await ModalManager.showConfirmationModal({
+        title: 'Delete conversation',
+        message: `Delete "${DOMUtils.escapeHtml(record.title)}"? This cannot be undone.`,
+        confirmText: 'Delete',
+        cancelText: 'Cancel'
+      });
+      if (!confirmed) return;
+
+      try {
+        await StorageService.delete(STORE_NAME, id);
+      } catch (error) {
+        console.warn('Failed to delete conversation:', error);
+        return;
+      }
+
+      this.conversations = this.conversations.filter(c => c.id !== id);
+
+      if (this.currentConversationId === id && this.onNewConversation) {
+        this.onNewConversation();
+      } else {
+        this.renderConversationList();
+      }
+    }
+
+    /**
+     * Render the conversation list in the sidebar
+     */
+    renderConversationList() {
+      const { conversationList } = this.elements;
+      if (!conversationList) return;
+
+      DOMUtils.setInnerHTML(conversationList, '');
+
+      if (!this.isAvailable) {
+        conversationList.appendChild(DOMUtils.createElement('div', {
+          className: 'conversation-empty',
+          textContent: 'Saving is unavailable (IndexedDB is disabled).'
+        }));
+        return;
+      }
+
+      if (this.conversations.length === 0) {
+        conversationList.appendChild(DOMUtils.createElement('div', {
+          className: 'conversation-empty',
+          textContent: 'No saved conversations yet.'
+        }));
+        return;
+      }
+
+      this.conversations.forEach(conversation => {
+        conversationList.appendChild(this.createConversationItem(conversation));
+      });
+    }
+
+    /**
+     * Create a sidebar item for a conversation
+     * @param {Object} conversation - Conversation record
+     * @returns {HTMLElement} Conversation item element
+     */
+    createConversationItem(conversation) {
+      const isActive = conversation.id === this.currentConversationId;
+      const item = DOMUtils.createElement('div', {
+        className: `conversation-item${isActive ? ' active' : ''}`,
+        'data-conversation-id': conversation.id
+      });
+
+      const title = DOMUtils.createElement('div', {
+        className: 'conversation-title',
+        textContent: conversation.title
+      });
+
+      const messageCount = (conversation.messages || []).length;
+      const updated = new Date(conversation.updatedAt || conversation.createdAt || Date.now());
+      const meta = DOMUtils.createElement('div', {
+        className: 'conversation-meta',
+        textContent: `${messageCount} msg · ${updated.toLocaleDateString()} ${updated.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+      });
+
+      const actions = DOMUtils.createElement('div', { className: 'conversation-actions' });
+      actions.appendChild(this.createActionButton('✏️', 'Rename', () => this.startRename(item, conversation)));
+      actions.appendChild(this.createActionButton('⧉', 'Duplicate', () => this.duplicateConversation(conversation.id)));
+      actions.appendChild(this.createActionButton('📤', 'Export', () => this.exportConversation(conversation.id)));
+      actions.appendChild(this.createActionButton('🗑️', 'Delete', () => this.deleteConversation(conversation.id)));
+
+      item.appendChild(title);
+      item.appendChild(meta);
+      item.appendChild(actions);
+
+      DOMUtils.addEventListener(item, 'click', () => {
+        if (conversation.id !== this.currentConversationId) {
+          this.openConversation(conversation.id);
+        }
+      });
+
+      return item;
+    }
+
+    /**
+     * Create a small action button for a sidebar item
+     * @param {string} icon - Button label
+     * @param {string} title - Button tooltip
+     * @param {Function} handler - Click handler
+     * @returns {HTMLElement} Button element
+     */
+    createActionButton(icon, title, handler) {
+      const button = DOMUtils.createElement('button', {
+        className: 'conversation-action-btn',
+        title: title,
+        textContent: icon
+      });
+
+      DOMUtils.addEventListener(button, 'click', (event) => {
+        event.stopPropagation();
+        handler();
+      });
+
+      return button;
+    }
+
+    /**
+     * Replace a conversation title with an inline rename input
+     * @param {HTMLElement} item - Conversation item element
+     * @param {Object} conversation - Conversation record
+     */
+    startRename(item, conversation) {
+      const titleEl = item.querySelector('.conversation-title');
+      if (!titleEl) return;
+
+      const input = DOMUtils.createElement('input', {
+        type: 'text',
+        className: 'conversation-rename-input'
+      });
+      input.value = conversation.title;
+
+      let finished = false;
+      const finish = (save) => {
+        if (finished) return;
+        finished = true;
+        if (save) {
+          this.renameConversation(conversation.id, input.value);
+        } else {
+          this.renderConversationList();
+        }
+      };
+
+      DOMUtils.addEventListener(input, 'click', (event) => event.stopPropagation());
+      DOMUtils.addEventListener(input, 'keydown', (event) => {
+        event.stopPropagation();
+        if (event.key === 'Enter') {
+          event.preventDefault();
+          finish(true);
+        } else if (event.key === 'Escape') {
+          event.preventDefault();
+          finish(false);
+        }
+      });
+      DOMUtils.addEventListener(input, 'blur', () => finish(true));
+
+      titleEl.replaceWith(input);
+      input.focus();
+      input.select();
+    }
+
+    /**
+     * Get the current conversation ID
+     * @returns {string|null} Current conversation ID
+     */
+    getCurrentConversationId() {
+      return this.currentConversationId;
+    }
+
+    /**
+     * Get the current conversation record
+     * @returns {Object|null} Current conversation record
+     */
+    getCurrentConversation() {
+      return this.currentConversation;
+    }
+
+    /**
+     * Save current conversation ID to localStorage
+     * @param {string|null} id - Conversation ID
+     */
+    saveCurrentConversationId(id) {
+      try {
+        if (id) {
+          localStorage.setItem(CURRENT_CONVERSATION_KEY, id);
+        } else {
+          localStorage.removeItem(CURRENT_CONVERSATION_KEY);
+        }
+      } catch (e) {
+        console.warn('Failed to save current conversation:', e);
+      }
+    }
+
+    /**
+     * Load current conversation ID from localStorage
+     * @returns {string|null} Conversation ID
+     */
+    loadCurrentConversationId() {
+      try {
+        return localStorage.getItem(CURRENT_CONVERSATION_KEY);
+      } catch (e) {
+        console.warn('Failed to load current conversation:', e);
+        return null;
+      }
+    }
+
+    /**
+     * Set event callbacks
+     * @param {Object} callbacks - Callback functions
+     */
+    setCallbacks(callbacks) {
+      this.onCollectState = callbacks.onCollectState;
+      this.onConversationOpened = callbacks.onConversationOpened;
+      this.onNewConversation = callbacks.onNewConversation;
+    }
+  }
+
+  // Export singleton instance
+  window.ConversationManager = new ConversationManager();
+
+})();
@@ -147,6 +147,20 @@
     }
   }
 
+  /**
+   * Escape text for safe insertion into HTML markup
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Get element value safely
    * @param {HTMLElement} element - Target element
@@ -217,6 +231,50 @@
     }
   }
 
+  /**
+   * Copy text to the clipboard
+   * @param {string} text - Text to copy
+   * @returns {Promise<boolean>} Whether the copy succeeded
+   */
+  function copyToClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+      return navigator.clipboard.writeText(text).then(() => true, () => false);
+    }
+
+    // Fallback for non-secure contexts (e.g. served over plain HTTP on a LAN address)
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.style.cssText = 'position: fixed; top: -1000px; opacity: 0;';
+    document.body.appendChild(textarea);
+    textarea.select();
+    let copied = false;
+    try {
+      copied = document.execCommand('copy');
+    } catch (e) {
+      copied = false;
+    }
+    document.body.removeChild(textarea);
+    return Promise.resolve(copied);
+  }
+
+  /**
+   * Download text content as a file
+   * @param {string} content - File content
+   * @param {string} filename - File name
+   * @param {string} mimeType - MIME type (default: 'text/plain')
+   */
+  function downloadFile(content, filename, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   /**
    * Clear element cache (useful for testing or dynamic content)
    */
@@ -237,6 +295,7 @@
     toggleElement,
     setTextContent,
     setInnerHTML,
+    escapeHtml,
     getValue,
     setValue,
     isChecked,
@@ -244,6 +303,8 @@
     disableElement,
     enableElement,
     scrollToBottom,
+    copyToClipboard,
+    downloadFile,
     clearCache
   };
 
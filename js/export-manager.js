@@ -0,0 +1,394 @@
+/**
+ * Export Manager Module
+ * Turns conversations into Markdown, JSON, standalone HTML and fine-tuning JSONL files
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  // Marks the app's own JSON export so it can be recognised on import
+  const EXPORT_FORMAT = 'openrouter-playground-conversation';
+  const EXPORT_VERSION = 1;
+
+  const FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    json: { label: 'JSON (full fidelity)', extension: 'json', mimeType: 'application/json' },
+    html: { label: 'HTML (standalone page)', extension: 'html', mimeType: 'text/html' },
+    jsonl: { label: 'JSONL (fine-tuning)', extension: 'jsonl', mimeType: 'application/jsonl' }
+  };
+
+  const ROLE_LABELS = { system: 'System', user: 'User', assistant: 'Assistant' };
+
+  // Styles inlined into the HTML export so it renders offline
+  const HTML_STYLES = `
+    body { margin: 0; background: #0f0f10; color: #e5e5e5; font: 14px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+    main { max-width: 860px; margin: 0 auto; padding: 24px 16px 48px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    .meta { color: #9ca3af; font-size: 12px; margin-bottom: 24px; }
+    .message { border: 1px solid #2a2a2e; border-radius: 8px; padding: 12px 14px; margin-bottom: 14px; background: #18181b; }
+    .message.user { background: #1e2a3a; border-color: #2c4060; }
+    .message.system { background: #1f1b2e; border-color: #3b3360; }
+    .message-role { font-size: 12px; font-weight: 600; text-transform: uppercase; letter-spacing: .04em; color: #9ca3af; margin-bottom: 6px; }
+    .message-footer { color: #9ca3af; font-size: 12px; margin-top: 8px; }
+    .message-images img { max-width: 100%; border-radius: 6px; margin-top: 8px; display: block; }
+    details { margin: 6px 0 10px; color: #c4c4c4; }
+    summary { cursor: pointer; color: #9ca3af; font-size: 12px; }
+    .comparison { display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 10px; }
+    .comparison > div { border: 1px solid #2a2a2e; border-radius: 6px; padding: 8px; }
+    .comparison .winner { border-color: #f5b942; }
+    .markdown-body p, .markdown-body ul, .markdown-body ol, .markdown-body blockquote, .markdown-body pre { margin: 0 0 8px; }
+    .markdown-body a { color: #60a5fa; }
+    .markdown-body code { background: #27272a; border-radius: 4px; padding: 1px 4px; font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 13px; }
+    .markdown-body pre { background: #111113; border: 1px solid #2a2a2e; border-radius: 6px; padding: 10px; overflow-x: auto; }
+    .markdown-body pre code { background: none; padding: 0; }
+    .markdown-body blockquote { border-left: 3px solid #3f3f46; padding-left: 10px; color: #a1a1aa; }
+    .markdown-body table { border-collapse: collapse; }
+    .markdown-body th, .markdown-body td { border: 1px solid #3f3f46; padding: 4px 8px; }
+    .markdown-body img { max-width: 100%; }
+    .code-block-header { display: flex; justify-content: space-between; font-size: 11px; color: #9ca3af; }
+    .code-block-actions { display: none; }
+    .tok-keyword { color: #c678dd; } .tok-string { color: #98c379; } .tok-comment { color: #6b7280; font-style: italic; }
+    .tok-number, .tok-literal, .tok-attribute { color: #d19a66; } .tok-function { color: #61afef; } .tok-type { color: #e5c07b; }
+    .tok-property, .tok-tag { color: #e06c75; }
+  `;
+
+  /**
+   * Get the URL of an image entry
+   * @param {string|Object} image - Image URL or { data } entry
+   * @returns {string} Image URL
+   */
+  function toImageUrl(image) {
+    return typeof image === 'string' ? image : (image && image.data) || '';
+  }
+
+  /**
+   * Describe a data URL image that is left out of a Markdown export
+   * @param {string} url - Data URL
+   * @returns {string} Short description such as "image/png, 34 KB"
+   */
+  function describeDataUrl(url) {
+    const match = /^data:([^;,]+)[^,]*,(.*)$/.exec(url);
+    if (!match) return 'embedded image';
+    const bytes = Math.round(match[2].length * 3 / 4);
+    return `${match[1]}, ${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+
+  /**
+   * Wrap text in a code fence that is longer than any fence inside it
+   * @param {string} text - Code
+   * @param {string} [language] - Fence language
+   * @returns {string} Fenced code block
+   */
+  function fence(text, language = '') {
+    const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+    const marks = '`'.repeat(longest + 1);
+    return `${marks}${language}\n${text}\n${marks}`;
+  }
+
+  /**
+   * Export Manager Class
+   * Works on conversation records as stored by ConversationManager, so the current
+   * chat and any saved conversation export the same way.
+   */
+  class ExportManager {
+    /**
+     * Get the available export formats
+     * @returns {Object} Formats keyed by ID ({ label, extension, mimeType })
+     */
+    getFormats() {
+      return FORMATS;
+    }
+
+    /**
+     * Get the format marker of the JSON export
+     * @returns {Object} { format, version }
+     */
+    getJsonFormat() {
+      return { format: EXPORT_FORMAT, version: EXPORT_VERSION };
+    }
+
+    /**
+     * Convert a conversation record to one of the export formats
+     * @param {Object} record - Conversation record
+     * @param {string} format - Format ID
+     * @param {Object} [options] - { embedImages } for Markdown
+     * @returns {string} File content
+     */
+    convert(record, format, options = {}) {
+      switch (format) {
+        case 'markdown':
+          return this.toMarkdown(record, options);
+        case 'json':
+          return this.toJSON(record);
+        case 'html':
+          return this.toHTML(record);
+        case 'jsonl':
+          return this.toJSONL(record);
+        default:
+          throw new Error(`Unknown export format: ${format}`);
+      }
+    }
+
+    /**
+     * Convert a conversation to Markdown with a heading per message
+     * @param {Object} record - Conversation record
+     * @param {Object} [options] - { embedImages: keep data URL images inline (default true) }
+     * @returns {string} Markdown
+     */
+    toMarkdown(record, options = {}) {
+      const embedImages = options.embedImages !== false;
+      const lines = [`# ${record.title || 'Conversation'}`, ''];
+
+      const details = this.describeRecord(record);
+      if (details.length > 0) {
+        lines.push(...details.map(text => `- ${text}`), '');
+      }
+
+      if (record.systemPrompt) {
+        lines.push('## System', '', record.systemPrompt, '');
+      }
+
+      (record.messages || []).forEach(msg => {
+        const label = ROLE_LABELS[msg.role] || msg.role;
+        lines.push(msg.role === 'assistant' && msg.model ? `## ${label} (${msg.model})` : `## ${label}`, '');
+
+        if (msg.reasoning) {
+          lines.push('<details><summary>Thinking</summary>', '', msg.reasoning, '', '</details>', '');
+        }
+
+        if (msg.toolRounds && msg.toolRounds.length > 0) {
+          lines.push('<details><summary>Tool calls</summary>', '');
+          msg.toolRounds.forEach(round => {
+            round.calls.forEach(call => {
+              lines.push(`**${call.name}**`, '', fence(call.arguments || '{}', 'json'), '', fence(call.result || ''), '');
+            });
+          });
+          lines.push('</details>', '');
+        }
+
+        if (msg.content) {
+          lines.push(msg.structured ? fence(msg.content, 'json') : msg.content, '');
+        }
+
+        (msg.images || []).forEach((image, index) => {
+          const url = toImageUrl(image);
+          if (url.startsWith('data:') && !embedImages) {
+            lines.push(`*[Image ${index + 1}: ${describeDataUrl(url)}, not embedded]*`, '');
+          } else {
+            lines.push(`![Image ${index + 1}](${url})`, '');
+          }
+        });
+
+        if (msg.comparison) {
+          lines.push('<details><summary>Comparison</summary>', '');
+          msg.comparison.results.forEach((result, index) => {
+            const mark = msg.comparison.winner === index ? ' ★' : '';
+            lines.push(`### ${result.model}${mark}`, '', result.error ? `Error: ${result.error}` : (result.content || ''), '');
+          });
+          lines.push('</details>', '');
+        }
+      });
+
+      return lines.join('\n');
+    }
+
+    /**
+     * Convert a conversation to JSON with everything needed to restore it
+     * Messages, parameters, model, usage, persona, branches and the context summary are all kept.
+     * @param {Object} record - Conversation record
+     * @returns {string} JSON
+     */
+    toJSON(record) {
+      return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        conversation: record
+      }, null, 2);
+    }
+
+    /**
+     * Convert a conversation to a standalone HTML page
+     * Markdown is rendered ahead of time and the styles are inlined, so no script or network is needed.
+     * @param {Object} record - Conversation record
+     * @returns {string} HTML document
+     */
+    toHTML(record) {
+      const escape = DOMUtils.escapeHtml;
+      const title = record.title || 'Conversation';
+      const parts = [];
+
+      if (record.systemPrompt) {
+        parts.push(this.renderHtmlMessage('system', 'System', this.renderMarkdown(record.systemPrompt), ''));
+      }
+
+      (record.messages || []).forEach(msg => {
+        const extras = [];
+
+        if (msg.reasoning) {
+          extras.push(`<details><summary>Thinking</summary><div class="markdown-body">${this.renderMarkdown(msg.reasoning)}</div></details>`);
+        }
+
+        (msg.toolRounds || []).forEach(round => {
+          round.calls.forEach(call => {
+            extras.push(`<details><summary>Tool call: ${escape(call.name)}</summary>` +
+              `<div class="markdown-body">${this.renderMarkdown(`${fence(call.arguments || '{}', 'json')}\n\n${fence(call.result || '')}`)}</div></details>`);
+          });
+        });
+
+        let body = this.renderMarkdown(msg.structured ? fence(msg.content || '', 'json') : (msg.content || ''));
+
+        const images = (msg.images || [])
+          .map(image => MarkdownRenderer.sanitizeUrl(toImageUrl(image), true))
+          .filter(Boolean)
+          .map((url, index) => `<img src="${escape(url)}" alt="Image ${index + 1}">`);
+        if (images.length > 0) {
+          body += `<div class="message-images">${images.join('')}</div>`;
+        }
+
+        if (msg.comparison) {
+          body += '<div class="comparison">' + msg.comparison.results.map((result, index) => {
+            const isWinner = msg.comparison.winner === index;
+            const content = result.error ? `<p>Error: ${escape(result.error)}</p>` : this.renderMarkdown(result.content || '');
+            return `<div class="${isWinner ? 'winner' : ''}"><div class="message-role">${escape(result.model)}${isWinner ? ' ★' : ''}</div>` +
+              `<div class="markdown-body">${content}</div></div>`;
+          }).join('') + '</div>';
+        }
+
+        const footer = [msg.model, msg.usage && window.UsageTracker ? UsageTracker.formatUsage(msg.usage) : '']
+          .filter(Boolean)
+          .map(escape)
+          .join(' · ');
+
+        parts.push(this.renderHtmlMessage(msg.role, ROLE_LABELS[msg.role] || msg.role, extras.join('') + body, footer));
+      });
+
+      const details = this.describeRecord(record).map(escape).join(' · ');
+
+      return '<!DOCTYPE html>\n' +
+        '<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+        '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+        `<title>${escape(title)}</title>\n<style>${HTML_STYLES}</style>\n</head>\n<body>\n<main>\n` +
+        `<h1>${escape(title)}</h1>\n<div class="meta">${details}</div>\n` +
+        parts.join('\n') +
+        '\n</main>\n</body>\n</html>\n';
+    }
+
+    /**
+     * Render one message of the HTML export
+     * @param {string} role - Message role (used as class)
+     * @param {string} label - Role label
+     * @param {string} body - Rendered message HTML
+     * @param {string} footer - Footer HTML
+     * @returns {string} HTML
+     */
+    renderHtmlMessage(role, label, body, footer) {
+      return `<section class="message ${DOMUtils.escapeHtml(role)}">` +
+        `<div class="message-role">${DOMUtils.escapeHtml(label)}</div>` +
+        `<div class="markdown-body">${body}</div>` +
+        (footer ? `<div class="message-footer">${footer}</div>` : '') +
+        '</section>';
+    }
+
+    /**
+     * Render Markdown for the HTML export
+     * @param {string} markdown - Markdown source
+     * @returns {string} Sanitized HTML
+     */
+    renderMarkdown(markdown) {
+      return MarkdownRenderer.render(markdown);
+    }
+
+    /**
+     * Convert a conversation to an OpenAI-style fine-tuning example
+     * The displayed branch becomes one `{"messages": [...]}` line, with images as `image_url` parts
+     * and tool calls as `tool_calls` / `tool` messages.
+     * @param {Object} record - Conversation record
+     * @returns {string} JSONL
+     */
+    toJSONL(record) {
+      const messages = APIService.buildMessagesFromHistory(record.messages || [], record.systemPrompt || '');
+      return `${JSON.stringify({ messages })}\n`;
+    }
+
+    /**
+     * Summarize a record's model and dates for the export header
+     * @param {Object} record - Conversation record
+     * @returns {Array<string>} Detail lines
+     */
+    describeRecord(record) {
+      const details = [];
+      if (record.model) details.push(`Model: ${record.model}`);
+      if (record.createdAt) details.push(`Created: ${new Date(record.createdAt).toLocaleString()}`);
+      details.push(`Exported: ${new Date().toLocaleString()}`);
+      return details;
+    }
+
+    /**
+     * Build a file name for an exported conversation
+     * @param {Object} record - Conversation record
+     * @param {string} format - Format ID
+     * @returns {string} File name
+     */
+    getFilename(record, format) {
+      const slug = String(record.title || 'conversation')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 50) || 'conversation';
+      return `${slug}.${FORMATS[format].extension}`;
+    }
+
+    /**
+     * Ask for a format and download (or copy) a conversation
+     * @param {Object} record - Conversation record
+     */
+    showExportDialog(record) {
+      if (!record || !record.messages || record.messages.length === 0) {
+        ModalManager.showAlertModal({ title: 'Export conversation', message: 'There are no messages to export yet.' });
+        return;
+      }
+
+      const options = Object.keys(FORMATS).map((id, index) => `
+        <label style="display: block; margin-bottom: 6px;">
+          <input type="radio" name="exportFormat" value="${id}"${index === 0 ? ' checked' : ''}> ${FORMATS[id].label}
+        </label>`).join('');
+
+      const modal = ModalManager.createCustomModal({
+        title: `Export "${record.title || 'Conversation'}"`,
+        content: `
+          <div style="margin-bottom: 12px;">${options}</div>
+          <label style="display: block; margin-bottom: 20px;" title="Otherwise uploaded and generated images are left out; remote images stay linked">
+            <input type="checkbox" data-option="embedImages" checked> Embed images in Markdown
+          </label>
+          <div style="display: flex; gap: 10px; justify-content: flex-end;">
+            <button class="btn secondary" data-action="copy">Copy</button>
+            <button class="btn primary" data-action="download">Download</button>
+          </div>
+        `
+      });
+
+      const buttons = modal.querySelectorAll('button[data-action]');
+      buttons.forEach(button => {
+        DOMUtils.addEventListener(button, 'click', async () => {
+          const format = modal.querySelector('input[name="exportFormat"]:checked').value;
+          const embedImages = modal.querySelector('input[data-option="embedImages"]').checked;
+          const content = this.convert(record, format, { embedImages });
+
+          if (button.dataset.action === 'copy') {
+            const copied = await DOMUtils.copyToClipboard(content);
+            DOMUtils.setTextContent(button, copied ? 'Copied' : 'Copy failed');
+            return;
+          }
+
+          DOMUtils.downloadFile(content, this.getFilename(record, format), FORMATS[format].mimeType);
+          ModalManager.closeCustomModal(modal);
+        });
+      });
+    }
+  }
+
+  // Export singleton instance
+  window.ExportManager = new ExportManager();
+
+})();
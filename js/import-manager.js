@@ -0,0 +1,443 @@
+/**
+ * Import Manager Module
+ * Reads conversations from the app's JSON export, OpenAI-style JSONL and Markdown transcripts
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  // Role names accepted in Markdown headings
+  const ROLE_NAMES = {
+    system: 'system',
+    user: 'user',
+    human: 'user',
+    you: 'user',
+    assistant: 'assistant',
+    ai: 'assistant',
+    model: 'assistant',
+    bot: 'assistant'
+  };
+
+  const ROLE_HEADING_REGEX = /^#{1,6}\s+(system|user|human|you|assistant|ai|model|bot)\s*(?:\(([^)]*)\))?\s*:?\s*$/i;
+  const TITLE_REGEX = /^#\s+(.+?)\s*$/;
+  const MODEL_LINE_REGEX = /^[-*]\s+Model:\s*`?([^`\s]+)`?\s*$/i;
+  const IMAGE_LINE_REGEX = /^!\[[^\]]*\]\(\s*<?((?:data:image\/[\w.+-]+;base64,[A-Za-z0-9+/=\s]+)|(?:https?:\/\/[^\s)>]+))>?\s*\)$/;
+  const OMITTED_IMAGE_REGEX = /^\*\[Image \d+: [^\]]*not embedded\]\*$/;
+  const FENCE_REGEX = /^\s{0,3}(`{3,}|~{3,})/;
+  const DETAILS_REGEX = /^<details><summary>([^<]*)<\/summary>$/;
+
+  /**
+   * Import Manager Class
+   * Every format is turned into a conversation record like the ones ConversationManager stores;
+   * fields a format cannot carry are left out so the current settings apply.
+   */
+  class ImportManager {
+    constructor() {
+      // DOM elements (will be injected)
+      this.elements = {};
+
+      // Event callbacks
+      this.onImport = null;
+    }
+
+    /**
+     * Initialize the import manager with DOM elements
+     * @param {Object} elements - DOM elements object
+     */
+    initialize(elements) {
+      this.elements = elements;
+      this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for the import button and file input
+     */
+    setupEventListeners() {
+      const { importBtn, importFile } = this.elements;
+
+      if (importBtn && importFile) {
+        DOMUtils.addEventListener(importBtn, 'click', () => {
+          importFile.click();
+        });
+
+        DOMUtils.addEventListener(importFile, 'change', (event) => {
+          const file = event.target.files[0];
+          // Clear the input so the same file can be imported again
+          event.target.value = '';
+          if (file) {
+            this.importFile(file);
+          }
+        });
+      }
+    }
+
+    /**
+     * Read a file and hand its conversations to the import callback
+     * @param {File} file - Selected file
+     */
+    async importFile(file) {
+      let records;
+      try {
+        records = this.parse(await file.text(), file.name);
+      } catch (error) {
+        ModalManager.showAlertModal({
+          title: 'Import failed',
+          message: `Could not import ${DOMUtils.escapeHtml(file.name)}: ${DOMUtils.escapeHtml(error.message)}`
+        });
+        return;
+      }
+
+      if (this.onImport) {
+        this.onImport(records);
+      }
+    }
+
+    /**
+     * Parse an exported conversation file
+     * @param {string} text - File content
+     * @param {string} [filename] - File name, used to tell the formats apart
+     * @returns {Array<Object>} Conversation records (at least one)
+     */
+    parse(text, filename = '') {
+      const name = filename.toLowerCase();
+      const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+      if (!trimmed) {
+        throw new Error('the file is empty.');
+      }
+
+      let records;
+      if (name.endsWith('.jsonl') || name.endsWith('.ndjson')) {
+        records = this.parseJSONL(trimmed);
+      } else if (name.endsWith('.json') || /^[{[]/.test(trimmed)) {
+        records = this.parseJSON(trimmed);
+      } else {
+        records = [this.parseMarkdown(trimmed)];
+      }
+
+      records = records.filter(record => record.messages.length > 0);
+      if (records.length === 0) {
+        throw new Error('no messages were found.');
+      }
+      return records;
+    }
+
+    /**
+     * Parse the app's JSON export, a bare `{ messages }` object or an array of either
+     * Several JSON objects, one per line, are read as JSONL.
+     * @param {string} text - JSON text
+     * @returns {Array<Object>} Conversation records
+     */
+    parseJSON(text) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        if (text.includes('\n')) {
+          return this.parseJSONL(text);
+        }
+        throw new Error(`invalid JSON (${error.message})`);
+      }
+
+      const items = Array.isArray(data) && data.some(item => item && Array.isArray(item.messages)) ? data : [data];
+      return items.map(item => this.parseObject(item));
+    }
+
+    /**
+     * Parse OpenAI-style JSONL, one `{"messages": [...]}` conversation per line
+     * @param {string} text - JSONL text
+     * @returns {Array<Object>} Conversation records
+     */
+    parseJSONL(text) {
+      return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map((line, index) => {
+          try {
+            return this.parseObject(JSON.parse(line));
+          } catch (error) {
+            throw new Error(`line ${index + 1}: ${error.message}`);
+          }
+        });
+    }
+
+    /**
+     * Turn one parsed JSON value into a conversation record
+     * @param {Object} data - App export, conversation record or `{ messages }` object
+     * @returns {Object} Conversation record
+     */
+    parseObject(data) {
+      if (!data || typeof data !== 'object') {
+        throw new Error('expected a conversation object.');
+      }
+
+      if (data.format === ExportManager.getJsonFormat().format) {
+        return this.parseRecord(data.conversation);
+      }
+
+      // A record of the app: messages carry IDs and app-specific fields
+      if (Array.isArray(data.messages) && data.messages.every(msg => msg && msg.id && !msg.tool_calls)) {
+        return this.parseRecord(data);
+      }
+
+      if (Array.isArray(data.messages)) {
+        return this.fromApiMessages(data.messages);
+      }
+
+      throw new Error('no "messages" array found.');
+    }
+
+    /**
+     * Check a conversation record from the app's own export
+     * Everything is kept, so branches, parameters and usage come back as they were.
+     * @param {Object} record - Conversation record
+     * @returns {Object} Conversation record without its storage ID
+     */
+    parseRecord(record) {
+      if (!record || !Array.isArray(record.messages)) {
+        throw new Error('the export holds no conversation.');
+      }
+
+      const { id, ...rest } = record;
+      return {
+        ...rest,
+        messages: record.messages
+          .filter(msg => msg && (msg.role === 'user' || msg.role === 'assistant'))
+          .map(msg => this.createMessage(msg.role, msg.content, msg.images, msg))
+      };
+    }
+
+    /**
+     * Rebuild a conversation from chat completion messages
+     * Tool calls and their results become the tool rounds of the assistant reply that follows them.
+     * @param {Array} apiMessages - OpenAI-style messages
+     * @returns {Object} Conversation record
+     */
+    fromApiMessages(apiMessages) {
+      const systemPrompts = [];
+      const messages = [];
+      let toolRounds = [];
+
+      apiMessages.forEach(msg => {
+        if (!msg || !msg.role) return;
+        const { text, images } = this.splitContent(msg.content);
+
+        if (msg.role === 'system' || msg.role === 'developer') {
+          systemPrompts.push(text);
+        } else if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+          toolRounds.push({
+            content: text,
+            calls: msg.tool_calls.map(call => ({
+              id: call.id,
+              name: call.function ? call.function.name : call.name,
+              arguments: call.function ? call.function.arguments : call.arguments,
+              result: ''
+            }))
+          });
+        } else if (msg.role === 'tool') {
+          toolRounds.forEach(round => round.calls.forEach(call => {
+            if (call.id === msg.tool_call_id) {
+              call.result = text;
+            }
+          }));
+        } else if (msg.role === 'user' || msg.role === 'assistant') {
+          const extra = {};
+          if (msg.role === 'assistant' && toolRounds.length > 0) {
+            extra.toolRounds = toolRounds;
+            toolRounds = [];
+          }
+          if (typeof msg.reasoning === 'string' && msg.reasoning) {
+            extra.reasoning = msg.reasoning;
+          }
+          messages.push(this.createMessage(msg.role, text, images, extra));
+        }
+      });
+
+      // Tool calls the file ends with still belong to an (empty) assistant reply
+      if (toolRounds.length > 0) {
+        messages.push(this.createMessage('assistant', '', [], { toolRounds }));
+      }
+
+      return {
+        systemPrompt: systemPrompts.filter(Boolean).join('\n\n'),
+        personaId: null,
+        messages
+      };
+    }
+
+    /**
+     * Split chat completion content into text and image URLs
+     * @param {string|Array|null} content - Message content
+     * @returns {Object} { text, images }
+     */
+    splitContent(content) {
+      if (!Array.isArray(content)) {
+        return { text: typeof content === 'string' ? content : '', images: [] };
+      }
+
+      const texts = [];
+      const images = [];
+      content.forEach(part => {
+        if (part.type === 'text') {
+          texts.push(part.text || '');
+        } else if (part.type === 'image_url' && part.image_url) {
+          images.push(typeof part.image_url === 'string' ? part.image_url : part.image_url.url);
+        }
+      });
+      return { text: texts.join('\n\n'), images: images.filter(Boolean) };
+    }
+
+    /**
+     * Parse a Markdown transcript with a heading per message ("## User", "## Assistant", ...)
+     * The Markdown export reads back in: its title, model, thinking panels and embedded
+     * images are restored, while tool call and comparison panels are dropped.
+     * @param {string} text - Markdown
+     * @returns {Object} Conversation record
+     */
+    parseMarkdown(text) {
+      const record = { systemPrompt: '', personaId: null, messages: [] };
+      const sections = [];
+      let current = null;
+      let fenceMarker = null;
+
+      text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        const fenceMatch = FENCE_REGEX.exec(line);
+        if (fenceMarker) {
+          if (fenceMatch && fenceMatch[1][0] === fenceMarker[0] && fenceMatch[1].length >= fenceMarker.length) {
+            fenceMarker = null;
+          }
+        } else if (fenceMatch) {
+          fenceMarker = fenceMatch[1];
+        } else {
+          const heading = ROLE_HEADING_REGEX.exec(line);
+          if (heading) {
+            current = { role: ROLE_NAMES[heading[1].toLowerCase()], model: heading[2] || null, lines: [] };
+            sections.push(current);
+            return;
+          }
+
+          // Lines before the first message: the export's title and details
+          if (!current) {
+            const title = TITLE_REGEX.exec(line);
+            const model = MODEL_LINE_REGEX.exec(line);
+            if (title && !record.title) {
+              record.title = title[1];
+              record.titleCustomized = true;
+            } else if (model) {
+              record.model = model[1];
+            }
+            return;
+          }
+        }
+
+        if (current) {
+          current.lines.push(line);
+        }
+      });
+
+      if (sections.length === 0) {
+        throw new Error('no role headings such as "## User" or "## Assistant" were found.');
+      }
+
+      sections.forEach(section => {
+        const { content, images, reasoning } = this.parseMarkdownSection(section.lines);
+        if (section.role === 'system') {
+          record.systemPrompt = [record.systemPrompt, content].filter(Boolean).join('\n\n');
+          return;
+        }
+
+        const extra = {};
+        if (reasoning) extra.reasoning = reasoning;
+        if (section.model) extra.model = section.model;
+        record.messages.push(this.createMessage(section.role, content, images, extra));
+      });
+
+      return record;
+    }
+
+    /**
+     * Split the body of a Markdown message into text, images and thinking
+     * @param {Array<string>} lines - Lines below the role heading
+     * @returns {Object} { content, images, reasoning }
+     */
+    parseMarkdownSection(lines) {
+      const kept = [];
+      const images = [];
+      const reasoning = [];
+      let panel = null;
+      let fenceMarker = null;
+
+      lines.forEach(line => {
+        const fenceMatch = FENCE_REGEX.exec(line);
+        if (fenceMarker || fenceMatch) {
+          if (fenceMarker && fenceMatch && fenceMatch[1][0] === fenceMarker[0] && fenceMatch[1].length >= fenceMarker.length) {
+            fenceMarker = null;
+          } else if (!fenceMarker) {
+            fenceMarker = fenceMatch[1];
+          }
+        } else {
+          const details = DETAILS_REGEX.exec(line.trim());
+          if (details && !panel) {
+            panel = details[1].trim().toLowerCase();
+            return;
+          }
+          if (panel && line.trim() === '</details>') {
+            panel = null;
+            return;
+          }
+
+          const image = IMAGE_LINE_REGEX.exec(line.trim());
+          if (!panel && image) {
+            images.push(image[1].replace(/\s+/g, ''));
+            return;
+          }
+          if (!panel && OMITTED_IMAGE_REGEX.test(line.trim())) {
+            return;
+          }
+        }
+
+        if (panel === 'thinking') {
+          reasoning.push(line);
+        } else if (!panel) {
+          kept.push(line);
+        }
+      });
+
+      return {
+        content: kept.join('\n').trim(),
+        images,
+        reasoning: reasoning.join('\n').trim()
+      };
+    }
+
+    /**
+     * Create a message history entry
+     * @param {string} role - Message role
+     * @param {string} content - Message text
+     * @param {Array} images - Image URLs
+     * @param {Object} [extra] - Further entry fields (id, model, reasoning, toolRounds, ...)
+     * @returns {Object} Message history entry
+     */
+    createMessage(role, content, images, extra = {}) {
+      return {
+        ...extra,
+        id: extra.id || StorageService.generateId('msg'),
+        role,
+        content: typeof content === 'string' ? content : '',
+        images: (images || []).map(img => typeof img === 'string' ? img : img && img.data).filter(Boolean),
+        timestamp: extra.timestamp || Date.now()
+      };
+    }
+
+    /**
+     * Set import callback
+     * @param {Function} callback - Called with the parsed conversation records
+     */
+    setOnImport(callback) {
+      this.onImport = callback;
+    }
+  }
+
+  // Export singleton instance
+  window.ImportManager = new ImportManager();
+
+})();
@@ -0,0 +1,556 @@
+/**
+ * Markdown Renderer Module
+ * Converts Markdown to sanitized HTML for chat messages
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  const FENCE_REGEX = /^\s{0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+  const HEADING_REGEX = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+  const HR_REGEX = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+  const LIST_ITEM_REGEX = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+  const BLOCKQUOTE_REGEX = /^\s{0,3}>\s?(.*)$/;
+  const TABLE_SEPARATOR_REGEX = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+  const PLACEHOLDER_REGEX = /\u0000(\d+)\u0000/g;
+
+  /**
+   * Markdown Renderer Class
+   * All input is escaped before formatting, so raw HTML in Markdown is shown as text.
+   */
+  class MarkdownRenderer {
+    /**
+     * Render Markdown to sanitized HTML
+     * @param {string} markdown - Markdown source
+     * @returns {string} Sanitized HTML
+     */
+    render(markdown) {
+      return this.splitBlocks(markdown).map(block => this.renderBlock(block)).join('');
+    }
+
+    /**
+     * Render Markdown into an element, only replacing blocks that changed
+     * Keeps streaming updates cheap and avoids re-creating the whole message.
+     * @param {HTMLElement} element - Target element
+     * @param {string} markdown - Markdown source
+     */
+    renderInto(element, markdown) {
+      if (!element) return;
+
+      const blocks = this.splitBlocks(markdown);
+      let previous = element._markdownBlocks;
+
+      if (!previous || element.children.length !== previous.length) {
+        DOMUtils.setInnerHTML(element, '');
+        previous = [];
+      }
+
+      blocks.forEach((block, index) => {
+        const existing = element.children[index];
+        if (existing && previous[index] === block) return;
+
+        const blockEl = DOMUtils.createElement('div', {
+          className: 'md-block',
+          innerHTML: this.renderBlock(block)
+        });
+
+        if (existing) {
+          element.replaceChild(blockEl, existing);
+        } else {
+          element.appendChild(blockEl);
+        }
+      });
+
+      while (element.children.length > blocks.length) {
+        element.removeChild(element.lastElementChild);
+      }
+
+      element._markdownBlocks = blocks;
+    }
+
+    /**
+     * Clear incremental render state from an element
+     * @param {HTMLElement} element - Target element
+     */
+    reset(element) {
+      if (element) {
+        element._markdownBlocks = null;
+      }
+    }
+
+    /**
+     * Split Markdown into top-level blocks separated by blank lines
+     * Fenced code blocks and loose lists are kept together.
+     * @param {string} markdown - Markdown source
+     * @returns {Array<string>} Block sources
+     */
+    splitBlocks(markdown) {
+      const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+      const blocks = [];
+      let current = [];
+      let fence = null;
+
+      const flush = () => {
+        if (current.length > 0) {
+          blocks.push(current.join('\n'));
+          current = [];
+        }
+      };
+
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (fence) {
+          current.push(line);
+          if (this.isClosingFence(line, fence)) {
+            fence = null;
+          }
+          continue;
+        }
+
+        const fenceMatch = line.match(FENCE_REGEX);
+        if (fenceMatch) {
+          fence = fenceMatch[1];
+          current.push(line);
+          continue;
+        }
+
+        if (line.trim() === '') {
+          if (current.length > 0 && this.continuesList(current, lines, i)) {
+            current.push(line);
+          } else {
+            flush();
+          }
+          continue;
+        }
+
+        current.push(line);
+      }
+
+      flush();
+      return blocks;
+    }
+
+    /**
+     * Check whether a blank line inside a list should keep the list together
+     * @param {Array<string>} current - Lines of the current block
+     * @param {Array<string>} lines - All lines
+     * @param {number} index - Index of the blank line
+     * @returns {boolean} Whether the list continues after the blank line
+     */
+    continuesList(current, lines, index) {
+      if (!LIST_ITEM_REGEX.test(current[0])) return false;
+
+      for (let i = index + 1; i < lines.length; i++) {
+        if (lines[i].trim() === '') continue;
+        return LIST_ITEM_REGEX.test(lines[i]) || /^\s{2,}\S/.test(lines[i]);
+      }
+      return false;
+    }
+
+    /**
+     * Check whether a line closes an open code fence
+     * @param {string} line - Line to check
+     * @param {string} fence - Opening fence marker
+     * @returns {boolean} Whether the fence is closed
+     */
+    isClosingFence(line, fence) {
+      const trimmed = line.trim();
+      return trimmed.length >= fence.length &&
+        trimmed[0] === fence[0] &&
+        new RegExp(`^\\${fence[0]}{${fence.length},}$`).test(trimmed);
+    }
+
+    /**
+     * Render a single block of Markdown (may contain several block elements)
+     * @param {string} block - Block source
+     * @returns {string} Sanitized HTML
+     */
+    renderBlock(block) {
+      const lines = block.split('\n');
+      const html = [];
+      let i = 0;
+
+      while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === '') {
+          i++;
+          continue;
+        }
+
+        const fenceMatch = line.match(FENCE_REGEX);
+        if (fenceMatch) {
+          const codeLines = [];
+          i++;
+          while (i < lines.length && !this.isClosingFence(lines[i], fenceMatch[1])) {
+            codeLines.push(lines[i]);
+            i++;
+          }
+          i++; // Skip closing fence (or run past the end while streaming)
+          html.push(this.renderCodeBlock(codeLines.join('\n'), fenceMatch[2]));
+          continue;
+        }
+
+        const headingMatch = line.match(HEADING_REGEX);
+        if (headingMatch) {
+          const level = headingMatch[1].length;
+          html.push(`<h${level}>${this.renderInline(headingMatch[2])}</h${level}>`);
+          i++;
+          continue;
+        }
+
+        if (HR_REGEX.test(line)) {
+          html.push('<hr>');
+          i++;
+          continue;
+        }
+
+        if (BLOCKQUOTE_REGEX.test(line)) {
+          const quoteLines = [];
+          while (i < lines.length && BLOCKQUOTE_REGEX.test(lines[i])) {
+            quoteLines.push(lines[i].match(BLOCKQUOTE_REGEX)[1]);
+            i++;
+          }
+          html.push(`<blockquote>${this.render(quoteLines.join('\n'))}</blockquote>`);
+          continue;
+        }
+
+        if (this.isTableStart(lines, i)) {
+          const tableLines = [line, lines[i + 1]];
+          i += 2;
+          while (i < lines.length && lines[i].indexOf('|') !== -1 && lines[i].trim() !== '') {
+            tableLines.push(lines[i]);
+            i++;
+          }
+          html.push(this.renderTable(tableLines));
+          continue;
+        }
+
+        if (LIST_ITEM_REGEX.test(line)) {
+          const listLines = [];
+          while (i < lines.length && (listLines.length === 0 || (!this.startsNonListBlock(lines, i) && !this.startsOtherList(line, lines[i])))) {
+            listLines.push(lines[i]);
+            i++;
+          }
+          html.push(this.renderList(listLines));
+          continue;
+        }
+
+        // Paragraph: collect lines until another block starts
+        const paragraphLines = [];
+        while (i < lines.length && lines[i].trim() !== '' && (paragraphLines.length === 0 || !this.startsBlock(lines, i))) {
+          paragraphLines.push(lines[i]);
+          i++;
+        }
+        html.push(`<p>${this.renderInline(paragraphLines.join('\n'))}</p>`);
+      }
+
+      return html.join('');
+    }
+
+    /**
+     * Check whether a line starts a new block element
+     * @param {Array<string>} lines - Block lines
+     * @param {number} index - Line index
+     * @returns {boolean} Whether a block starts here
+     */
+    startsBlock(lines, index) {
+      const line = lines[index];
+      return FENCE_REGEX.test(line) ||
+        HEADING_REGEX.test(line) ||
+        HR_REGEX.test(line) ||
+        BLOCKQUOTE_REGEX.test(line) ||
+        LIST_ITEM_REGEX.test(line) ||
+        this.isTableStart(lines, index);
+    }
+
+    /**
+     * Check whether a line ends a list by starting a different block element
+     * @param {Array<string>} lines - Block lines
+     * @param {number} index - Line index
+     * @returns {boolean} Whether a non-list block starts here
+     */
+    startsNonListBlock(lines, index) {
+      const line = lines[index];
+      if (/^\s/.test(line) || line.trim() === '') return false;
+      return !LIST_ITEM_REGEX.test(line) && this.startsBlock(lines, index);
+    }
+
+    /**
+     * Check whether a line starts a sibling list of a different type (ordered vs bullet)
+     * @param {string} firstLine - First line of the current list
+     * @param {string} line - Line to check
+     * @returns {boolean} Whether a different list starts here
+     */
+    startsOtherList(firstLine, line) {
+      const first = firstLine.match(LIST_ITEM_REGEX);
+      const match = line.match(LIST_ITEM_REGEX);
+      if (!first || !match || match[1].length > first[1].length + 1) return false;
+      return /\d/.test(first[2]) !== /\d/.test(match[2]);
+    }
+
+    /**
+     * Check whether a table starts at the given line
+     * @param {Array<string>} lines - Block lines
+     * @param {number} index - Line index
+     * @returns {boolean} Whether a table starts here
+     */
+    isTableStart(lines, index) {
+      return index + 1 < lines.length &&
+        lines[index].indexOf('|') !== -1 &&
+        lines[index + 1].indexOf('-') !== -1 &&
+        TABLE_SEPARATOR_REGEX.test(lines[index + 1]);
+    }
+
+    /**
+     * Render a fenced code block with a header (language label, copy and download actions)
+     * @param {string} code - Code content
+     * @param {string} language - Fence language
+     * @returns {string} Sanitized HTML
+     */
+    renderCodeBlock(code, language) {
+      const lang = (language || '').replace(/[^\w+#.-]/g, '').toLowerCase();
+      const info = CodeHighlighter.getLanguageInfo(lang);
+      const classAttr = lang ? ` class="language-${DOMUtils.escapeHtml(lang)}"` : '';
+
+      return `<div class="code-block" data-language="${DOMUtils.escapeHtml(lang)}">` +
+        '<div class="code-block-header">' +
+          `<span class="code-language">${DOMUtils.escapeHtml(info.label)}</span>` +
+          '<span class="code-block-actions">' +
+            '<button type="button" class="code-action-btn" data-code-action="copy" title="Copy code to clipboard">Copy</button>' +
+            `<button type="button" class="code-action-btn" data-code-action="download" title="Download as .${DOMUtils.escapeHtml(info.extension)} file">Download</button>` +
+          '</span>' +
+        '</div>' +
+        `<pre><code${classAttr}>${CodeHighlighter.highlight(code, lang)}</code></pre>` +
+      '</div>';
+    }
+
+    /**
+     * Render a GitHub-style table
+     * @param {Array<string>} lines - Table lines (header, separator, rows)
+     * @returns {string} Sanitized HTML
+     */
+    renderTable(lines) {
+      const header = this.splitTableRow(lines[0]);
+      const alignments = this.splitTableRow(lines[1]).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        if (left) return 'left';
+        return '';
+      });
+
+      const cellHtml = (tag, text, index) => {
+        const align = alignments[index] ? ` style="text-align: ${alignments[index]}"` : '';
+        return `<${tag}${align}>${this.renderInline(text)}</${tag}>`;
+      };
+
+      let html = '<div class="md-table-wrap"><table><thead><tr>';
+      html += header.map((cell, index) => cellHtml('th', cell, index)).join('');
+      html += '</tr></thead><tbody>';
+
+      lines.slice(2).forEach(line => {
+        const cells = this.splitTableRow(line);
+        html += '<tr>';
+        for (let c = 0; c < header.length; c++) {
+          html += cellHtml('td', cells[c] || '', c);
+        }
+        html += '</tr>';
+      });
+
+      html += '</tbody></table></div>';
+      return html;
+    }
+
+    /**
+     * Split a table row into trimmed cells
+     * @param {string} line - Table row
+     * @returns {Array<string>} Cell texts
+     */
+    splitTableRow(line) {
+      let row = line.trim();
+      if (row.startsWith('|')) row = row.slice(1);
+      if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+      return row
+        .replace(/\\\|/g, '\u0001')
+        .split('|')
+        .map(cell => cell.replace(/\u0001/g, '|').trim());
+    }
+
+    /**
+     * Render an ordered or unordered list (with nesting)
+     * @param {Array<string>} lines - List lines
+     * @returns {string} Sanitized HTML
+     */
+    renderList(lines) {
+      const first = lines[0].match(LIST_ITEM_REGEX);
+      const baseIndent = first[1].length;
+      const ordered = /\d/.test(first[2]);
+      const items = [];
+
+      lines.forEach(line => {
+        const match = line.match(LIST_ITEM_REGEX);
+        if (match && match[1].length <= baseIndent + 1) {
+          items.push({
+            text: [match[3]],
+            children: [],
+            contentIndent: match[1].length + match[2].length + 1
+          });
+          return;
+        }
+
+        const item = items[items.length - 1];
+        if (!item) return;
+
+        const indent = line.match(/^\s*/)[0].length;
+        if (line.trim() === '' || indent > baseIndent || item.children.length > 0) {
+          item.children.push(line.slice(Math.min(indent, item.contentIndent)));
+        } else {
+          // Lazy continuation of the item text
+          item.text.push(line.trim());
+        }
+      });
+
+      const tag = ordered ? 'ol' : 'ul';
+      const start = ordered ? parseInt(first[2], 10) : 1;
+      const startAttr = ordered && start !== 1 ? ` start="${start}"` : '';
+
+      const itemsHtml = items.map(item => {
+        let text = item.text.join('\n');
+        let checkbox = '';
+        const taskMatch = text.match(/^\[([ xX])\]\s+/);
+        if (taskMatch) {
+          checkbox = `<input type="checkbox" disabled${taskMatch[1] !== ' ' ? ' checked' : ''}> `;
+          text = text.slice(taskMatch[0].length);
+        }
+
+        const childHtml = item.children.some(child => child.trim() !== '')
+          ? this.render(item.children.join('\n'))
+          : '';
+
+        return `<li${checkbox ? ' class="task-item"' : ''}>${checkbox}${this.renderInline(text)}${childHtml}</li>`;
+      }).join('');
+
+      return `<${tag}${startAttr}>${itemsHtml}</${tag}>`;
+    }
+
+    /**
+     * Render inline Markdown (emphasis, code, links, images)
+     * @param {string} text - Inline Markdown
+     * @returns {string} Sanitized HTML
+     */
+    renderInline(text) {
+      const tokens = [];
+      const stash = (html) => {
+        tokens.push(html);
+        return `\u0000${tokens.length - 1}\u0000`;
+      };
+
+      let s = String(text || '').replace(/\u0000/g, '');
+
+      // Backslash escapes
+      s = s.replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, (match, ch) => stash(DOMUtils.escapeHtml(ch)));
+
+      // Code spans
+      s = s.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+        return stash(`<code>${DOMUtils.escapeHtml(code.replace(/^ (.*) $/, '$1'))}</code>`);
+      });
+
+      // Autolinks <https://...>
+      s = s.replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (match, url) => {
+        return stash(this.renderLink(url, DOMUtils.escapeHtml(url)) || DOMUtils.escapeHtml(match));
+      });
+
+      // Images ![alt](url "title")
+      s = s.replace(/!\[([^\]]*)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+"([^"]*)")?\s*\)/g, (match, alt, url, title) => {
+        const safeUrl = this.sanitizeUrl(url, true);
+        if (!safeUrl) return stash(DOMUtils.escapeHtml(alt));
+        const titleAttr = title ? ` title="${DOMUtils.escapeHtml(title)}"` : '';
+        return stash(`<img src="${DOMUtils.escapeHtml(safeUrl)}" alt="${DOMUtils.escapeHtml(alt)}"${titleAttr}>`);
+      });
+
+      // Links [label](url "title")
+      s = s.replace(/\[([^\]]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+"([^"]*)")?\s*\)/g, (match, label, url, title) => {
+        const labelHtml = this.applyEmphasis(DOMUtils.escapeHtml(label));
+        return stash(this.renderLink(url, labelHtml, title) || labelHtml);
+      });
+
+      // Bare URLs
+      s = s.replace(/(^|[\s(])(https?:\/\/[^\s<]*[^\s<.,:;"')\]!?])/g, (match, prefix, url) => {
+        return prefix + stash(this.renderLink(url, DOMUtils.escapeHtml(url)) || DOMUtils.escapeHtml(url));
+      });
+
+      s = DOMUtils.escapeHtml(s);
+      s = this.applyEmphasis(s);
+
+      // Line breaks (chat-style: every newline is a break)
+      s = s.replace(/(?: {2,}|\\)?\n/g, '<br>');
+
+      // Restore stashed HTML (stashed fragments may contain placeholders themselves)
+      for (let depth = 0; depth < 5 && s.indexOf('\u0000') !== -1; depth++) {
+        s = s.replace(PLACEHOLDER_REGEX, (match, index) => tokens[Number(index)]);
+      }
+
+      return s;
+    }
+
+    /**
+     * Apply bold, italic and strikethrough formatting to escaped text
+     * @param {string} s - Escaped text
+     * @returns {string} HTML with emphasis tags
+     */
+    applyEmphasis(s) {
+      return s
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?=[^\w]|$)/g, '$1<strong>$2</strong>')
+        .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?=[^\w]|$)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    }
+
+    /**
+     * Render a safe anchor element
+     * @param {string} url - Link target
+     * @param {string} labelHtml - Already-sanitized label HTML
+     * @param {string} title - Optional title
+     * @returns {string|null} Anchor HTML or null if the URL is unsafe
+     */
+    renderLink(url, labelHtml, title) {
+      const safeUrl = this.sanitizeUrl(url, false);
+      if (!safeUrl) return null;
+
+      const titleAttr = title ? ` title="${DOMUtils.escapeHtml(title)}"` : '';
+      return `<a href="${DOMUtils.escapeHtml(safeUrl)}"${titleAttr} target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+    }
+
+    /**
+     * Allow only safe URL schemes
+     * @param {string} url - URL to check
+     * @param {boolean} isImage - Whether the URL is used as an image source
+     * @returns {string|null} The URL if safe, otherwise null
+     */
+    sanitizeUrl(url, isImage) {
+      const trimmed = String(url || '').trim().replace(/^<|>$/g, '');
+      const normalized = trimmed.replace(/[\u0000- \u007F]+/g, '').toLowerCase();
+
+      if (isImage) {
+        if (/^https?:\/\//.test(normalized) || /^data:image\/(png|jpe?g|gif|webp);base64,/.test(normalized)) {
+          return trimmed;
+        }
+        return null;
+      }
+
+      if (/^(https?:\/\/|mailto:)/.test(normalized) || normalized.startsWith('#')) {
+        return trimmed;
+      }
+      return null;
+    }
+  }
+
+  // Export singleton instance
+  window.MarkdownRenderer = new MarkdownRenderer();
+
+})();
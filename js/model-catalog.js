@@ -0,0 +1,189 @@
+/**
+ * Model Catalog Module
+ * Caches the /models response in IndexedDB and tracks what changed since the last visit
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  const STORE_NAME = 'cache';
+  const CATALOG_KEY = 'models';
+
+  // Pricing fields compared between catalogs (USD per token, request or image)
+  const PRICE_FIELDS = ['prompt', 'completion', 'request', 'image'];
+
+  /**
+   * Format the age of a timestamp ("just now", "5 min ago", "2 days ago")
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {string} Display text
+   */
+  function formatAge(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    const days = Math.floor(hours / 24);
+    return `${days} day${days === 1 ? '' : 's'} ago`;
+  }
+
+  /**
+   * Model Catalog Class
+   * The catalog cached at the last visit is the baseline: models added, removed or repriced
+   * since then stay flagged until the page is reloaded or the changes are dismissed.
+   */
+  class ModelCatalog {
+    constructor() {
+      this.baseline = null;    // Models of the last visit (null on the first visit)
+      this.fetchedAt = null;   // When the shown catalog was fetched
+      this.isStale = false;    // Whether the last refresh failed and the cache is shown
+      this.changes = this.createEmptyChanges();
+    }
+
+    /**
+     * Create an empty change set
+     * @returns {Object} { added, removed, repriced }
+     */
+    createEmptyChanges() {
+      return { added: [], removed: [], repriced: [] };
+    }
+
+    /**
+     * Load the cached catalog and make it the baseline for change tracking
+     * @returns {Promise<Array|null>} Cached models, null if nothing is cached
+     */
+    async loadCached() {
+      try {
+        const record = await StorageService.get(STORE_NAME, CATALOG_KEY);
+        if (!record || !Array.isArray(record.models)) return null;
+
+        this.baseline = record.models;
+        this.fetchedAt = record.fetchedAt || null;
+        return record.models;
+      } catch (error) {
+        console.warn('Failed to load cached models:', error);
+        return null;
+      }
+    }
+
+    /**
+     * Store a freshly fetched catalog and recompute the changes since the last visit
+     * @param {Array} models - Models from /models
+     */
+    async update(models) {
+      this.fetchedAt = Date.now();
+      this.isStale = false;
+      this.changes = this.baseline ? this.diff(this.baseline, models) : this.createEmptyChanges();
+
+      try {
+        await StorageService.put(STORE_NAME, { key: CATALOG_KEY, models, fetchedAt: this.fetchedAt });
+      } catch (error) {
+        console.warn('Failed to cache models:', error);
+      }
+    }
+
+    /**
+     * Remember that the latest refresh failed
+     */
+    markStale() {
+      this.isStale = true;
+    }
+
+    /**
+     * Compare two catalogs
+     * @param {Array} before - Previous models
+     * @param {Array} after - Current models
+     * @returns {Object} { added: [model], removed: [model], repriced: [{ model, before, after }] }
+     */
+    diff(before, after) {
+      const previous = new Map(before.map(model => [model.id, model]));
+      const current = new Set(after.map(model => model.id));
+      const changes = this.createEmptyChanges();
+
+      after.forEach(model => {
+        const old = previous.get(model.id);
+        if (!old) {
+          changes.added.push(model);
+        } else if (PRICE_FIELDS.some(field => this.getPrice(old, field) !== this.getPrice(model, field))) {
+          changes.repriced.push({ model, before: old.pricing || {}, after: model.pricing || {} });
+        }
+      });
+
+      changes.removed = before.filter(model => !current.has(model.id));
+      return changes;
+    }
+
+    /**
+     * Get a price field as a number
+     * @param {Object} model - Model with `pricing`
+     * @param {string} field - Pricing field
+     * @returns {number} Price (0 if missing)
+     */
+    getPrice(model, field) {
+      return parseFloat((model.pricing || {})[field]) || 0;
+    }
+
+    /**
+     * Get the change flag of a model
+     * @param {string} modelId - Model ID
+     * @returns {Object|null} { type: 'added' } or { type: 'repriced', text } with the old and new prices
+     */
+    getChange(modelId) {
+      if (this.changes.added.some(model => model.id === modelId)) {
+        return { type: 'added' };
+      }
+
+      const repriced = this.changes.repriced.find(change => change.model.id === modelId);
+      if (repriced) {
+        return { type: 'repriced', text: this.describePriceChange(repriced) };
+      }
+      return null;
+    }
+
+    /**
+     * Describe a price change, listing only the fields that changed
+     * @param {Object} change - { before, after } pricing
+     * @returns {string} Text such as "prompt $0.15/M → $0.20/M"
+     */
+    describePriceChange(change) {
+      return PRICE_FIELDS
+        .filter(field => (parseFloat(change.before[field]) || 0) !== (parseFloat(change.after[field]) || 0))
+        .map(field => field === 'prompt' || field === 'completion'
+          ? `${field} ${UsageTracker.formatTokenPrice(change.before[field])} → ${UsageTracker.formatTokenPrice(change.after[field])}`
+          : `${field} $${parseFloat(change.before[field]) || 0} → $${parseFloat(change.after[field]) || 0}`)
+        .join(', ');
+    }
+
+    /**
+     * Check whether anything changed since the last visit
+     * @returns {boolean} Whether there are changes
+     */
+    hasChanges() {
+      const { added, removed, repriced } = this.changes;
+      return added.length + removed.length + repriced.length > 0;
+    }
+
+    /**
+     * Accept the current catalog as seen, clearing all change flags
+     * @param {Array} models - Current models
+     */
+    dismissChanges(models) {
+      this.baseline = models;
+      this.changes = this.createEmptyChanges();
+    }
+
+    /**
+     * Describe how fresh the shown catalog is
+     * @returns {string} Status text, empty before anything was loaded
+     */
+    describeStatus() {
+      if (!this.fetchedAt) return '';
+      const age = formatAge(this.fetchedAt);
+      return this.isStale ? `Offline: showing the catalog cached ${age}` : `Updated ${age}`;
+    }
+  }
+
+  // Export singleton instance
+  window.ModelCatalog = new ModelCatalog();
+
+})();
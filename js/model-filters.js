@@ -0,0 +1,467 @@
+/**
+ * Model Filters Module
+ * Faceted filtering of the model catalog (provider, modalities, context, price, parameters, moderation)
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  const FILTERS_KEY = 'or_model_filters';
+
+  // Minimum context length steps of the context slider (tokens)
+  const CONTEXT_STEPS = [0, 4000, 8000, 16000, 32000, 64000, 128000, 200000, 1000000];
+
+  // Maximum price steps of the price slider (USD per million prompt plus completion tokens, null = any)
+  const PRICE_STEPS = [0, 0.1, 0.5, 1, 2, 5, 10, 20, 50, null];
+
+  // Supported parameters that can be required
+  const PARAMETER_OPTIONS = [
+    { value: 'tools', label: 'Tools', accepts: ['tools'] },
+    { value: 'response_format', label: 'response_format', accepts: ['response_format', 'structured_outputs'] },
+    { value: 'reasoning', label: 'Reasoning', accepts: ['reasoning', 'include_reasoning'] },
+    { value: 'seed', label: 'Seed', accepts: ['seed'] }
+  ];
+
+  const MODERATION_OPTIONS = [
+    { value: 'any', label: 'Any' },
+    { value: 'moderated', label: 'Moderated' },
+    { value: 'unmoderated', label: 'Unmoderated' }
+  ];
+
+  // Checkbox facets where a model has to match one of the checked options (the others need all of them)
+  const ANY_OF_FACETS = ['providers'];
+
+  /**
+   * Format a token count for the context slider ("128K", "1M")
+   * @param {number} tokens - Token count
+   * @returns {string} Display text
+   */
+  function formatTokens(tokens) {
+    if (tokens >= 1000000) return `${tokens / 1000000}M`;
+    if (tokens >= 1000) return `${tokens / 1000}K`;
+    return String(tokens);
+  }
+
+  /**
+   * Model Filters Class
+   * Options of one facet are counted against every other active facet, so each count is the
+   * number of models that would be shown after ticking that option.
+   */
+  class ModelFilters {
+    constructor() {
+      this.elements = {};
+      this.state = this.loadState();
+      this.onChange = null;
+    }
+
+    /**
+     * Initialize the filter panel
+     * @param {Object} elements - DOM elements
+     */
+    initialize(elements) {
+      this.elements = elements;
+      this.setupEventListeners();
+      this.updateSummary();
+    }
+
+    /**
+     * Setup event listeners for the filter panel
+     */
+    setupEventListeners() {
+      const { modelFiltersBody, resetModelFiltersBtn } = this.elements;
+
+      if (modelFiltersBody) {
+        DOMUtils.addEventListener(modelFiltersBody, 'input', (event) => this.handleInput(event.target));
+        DOMUtils.addEventListener(modelFiltersBody, 'change', (event) => this.handleInput(event.target));
+      }
+
+      if (resetModelFiltersBtn) {
+        DOMUtils.addEventListener(resetModelFiltersBtn, 'click', (event) => {
+          event.preventDefault();
+          this.reset();
+        });
+      }
+    }
+
+    /**
+     * Create the default (inactive) filter state
+     * @returns {Object} Filter state
+     */
+    createDefaultState() {
+      return {
+        providers: [],
+        input: [],
+        output: [],
+        parameters: [],
+        minContext: 0,
+        maxPrice: null,
+        moderation: 'any'
+      };
+    }
+
+    /**
+     * Set the callback run when the filters change
+     * @param {Function} callback - Callback function
+     */
+    setOnChange(callback) {
+      this.onChange = callback;
+    }
+
+    /**
+     * Get the provider of a model from its ID prefix
+     * @param {Object} model - Model object
+     * @returns {string} Provider slug
+     */
+    getProvider(model) {
+      return model.id.split('/')[0];
+    }
+
+    /**
+     * Check whether a model passes the filters
+     * @param {Object} model - Model object
+     * @param {string} [except] - Facet to ignore (used for counting its options)
+     * @returns {boolean} Whether the model matches
+     */
+    matches(model, except = null) {
+      const { providers, input, output, parameters, minContext, maxPrice, moderation } = this.state;
+
+      if (except !== 'providers' && providers.length > 0 && !providers.includes(this.getProvider(model))) {
+        return false;
+      }
+
+      const modalities = ModelManager.getModelModalities(model);
+      if (except !== 'input' && !input.every(modality => modalities.input.includes(modality))) return false;
+      if (except !== 'output' && !output.every(modality => modalities.output.includes(modality))) return false;
+
+      if (except !== 'parameters' && !parameters.every(parameter => this.supportsParameter(model, parameter))) {
+        return false;
+      }
+
+      if (except !== 'minContext' && minContext > 0 && (model.context_length || 0) < minContext) {
+        return false;
+      }
+
+      if (except !== 'maxPrice' && maxPrice !== null && !this.isWithinPrice(model, maxPrice)) {
+        return false;
+      }
+
+      if (except !== 'moderation' && moderation !== 'any' && this.getModeration(model) !== moderation) {
+        return false;
+      }
+
+      return true;
+    }
+
+    /**
+     * Check whether a model supports a required parameter
+     * @param {Object} model - Model object
+     * @param {string} parameter - Parameter option value
+     * @returns {boolean} Whether it is supported
+     */
+    supportsParameter(model, parameter) {
+      const supported = Array.isArray(model.supported_parameters) ? model.supported_parameters : [];
+      const option = PARAMETER_OPTIONS.find(item => item.value === parameter);
+      const accepts = option ? option.accepts : [parameter];
+      return accepts.some(name => supported.includes(name));
+    }
+
+    /**
+     * Check whether a model's prompt plus completion price is within a limit
+     * @param {Object} model - Model object
+     * @param {number} maxPrice - Limit in USD per million tokens
+     * @returns {boolean} Whether the price is known and within the limit
+     */
+    isWithinPrice(model, maxPrice) {
+      const price = ModelManager.getBlendedPrice(model);
+      // Compare in USD per million tokens, rounded to avoid floating point noise
+      return price !== null && Math.round(price * 1e12) / 1e6 <= maxPrice;
+    }
+
+    /**
+     * Get whether the top provider of a model moderates requests
+     * @param {Object} model - Model object
+     * @returns {string} 'moderated' or 'unmoderated'
+     */
+    getModeration(model) {
+      return model.top_provider && model.top_provider.is_moderated ? 'moderated' : 'unmoderated';
+    }
+
+    /**
+     * Get the value of a checkbox option for a model
+     * @param {Object} model - Model object
+     * @param {string} facet - Checkbox facet
+     * @param {string} value - Option value
+     * @returns {boolean} Whether the model has the option
+     */
+    hasOption(model, facet, value) {
+      switch (facet) {
+        case 'providers':
+          return this.getProvider(model) === value;
+        case 'input':
+        case 'output':
+          return ModelManager.getModelModalities(model)[facet].includes(value);
+        case 'parameters':
+          return this.supportsParameter(model, value);
+        default:
+          return false;
+      }
+    }
+
+    /**
+     * Build the facet panel for a catalog
+     * @param {Array} models - All models of the catalog
+     */
+    build(models) {
+      const { modelFiltersBody } = this.elements;
+      if (!modelFiltersBody) return;
+
+      const providers = new Set(this.state.providers);
+      const inputs = new Set(this.state.input);
+      const outputs = new Set(this.state.output);
+      models.forEach(model => {
+        const modalities = ModelManager.getModelModalities(model);
+        providers.add(this.getProvider(model));
+        modalities.input.forEach(modality => inputs.add(modality));
+        modalities.output.forEach(modality => outputs.add(modality));
+      });
+
+      const toOptions = values => Array.from(values).sort().map(value => ({ value, label: value }));
+
+      DOMUtils.setInnerHTML(modelFiltersBody, `
+        ${this.renderCheckboxGroup('providers', 'Provider', toOptions(providers), 'model-filter-providers')}
+        ${this.renderCheckboxGroup('input', 'Input', toOptions(inputs))}
+        ${this.renderCheckboxGroup('output', 'Output', toOptions(outputs))}
+        ${this.renderCheckboxGroup('parameters', 'Supports', PARAMETER_OPTIONS)}
+        <fieldset class="model-filter-group">
+          <legend>Moderation</legend>
+          ${MODERATION_OPTIONS.map(option => `
+            <label class="model-filter-option">
+              <input type="radio" name="modelFilterModeration" data-facet="moderation" value="${option.value}" ${this.state.moderation === option.value ? 'checked' : ''}>
+              <span>${option.label}</span>
+              <span class="model-filter-count" data-count="moderation:${option.value}"></span>
+            </label>
+          `).join('')}
+        </fieldset>
+        <fieldset class="model-filter-group model-filter-range">
+          <legend>Min context <span class="model-filter-value" data-value="minContext"></span> <span class="model-filter-count"></span></legend>
+          <input type="range" data-facet="minContext" min="0" max="${CONTEXT_STEPS.length - 1}" step="1" value="${this.getStepIndex(CONTEXT_STEPS, this.state.minContext)}">
+        </fieldset>
+        <fieldset class="model-filter-group model-filter-range">
+          <legend title="Prompt plus completion price per million tokens">Max price <span class="model-filter-value" data-value="maxPrice"></span> <span class="model-filter-count"></span></legend>
+          <input type="range" data-facet="maxPrice" min="0" max="${PRICE_STEPS.length - 1}" step="1" value="${this.getStepIndex(PRICE_STEPS, this.state.maxPrice)}">
+        </fieldset>
+      `);
+
+      this.updateValues();
+    }
+
+    /**
+     * Render a group of checkbox options
+     * @param {string} facet - Facet key
+     * @param {string} title - Group title
+     * @param {Array} options - [{ value, label }]
+     * @param {string} [className] - Extra class of the group
+     * @returns {string} HTML
+     */
+    renderCheckboxGroup(facet, title, options, className = '') {
+      if (options.length === 0) return '';
+
+      const selected = this.state[facet];
+      return `
+        <fieldset class="model-filter-group ${className}">
+          <legend>${title}</legend>
+          ${options.map(option => `
+            <label class="model-filter-option">
+              <input type="checkbox" data-facet="${facet}" value="${DOMUtils.escapeHtml(option.value)}" ${selected.includes(option.value) ? 'checked' : ''}>
+              <span>${DOMUtils.escapeHtml(option.label)}</span>
+              <span class="model-filter-count" data-count="${facet}:${DOMUtils.escapeHtml(option.value)}"></span>
+            </label>
+          `).join('')}
+        </fieldset>
+      `;
+    }
+
+    /**
+     * Find the slider position of a stored value
+     * @param {Array} steps - Slider steps
+     * @param {number|null} value - Stored value
+     * @returns {number} Step index (the closest step not above the value)
+     */
+    getStepIndex(steps, value) {
+      const index = steps.indexOf(value);
+      if (index !== -1) return index;
+      if (value === null) return steps.length - 1;
+      const below = steps.filter(step => step !== null && step <= value);
+      return Math.max(0, below.length - 1);
+    }
+
+    /**
+     * Apply a changed control to the filter state
+     * @param {HTMLElement} control - Changed input
+     */
+    handleInput(control) {
+      const facet = control && control.dataset ? control.dataset.facet : null;
+      if (!facet) return;
+
+      if (facet === 'minContext') {
+        this.state.minContext = CONTEXT_STEPS[parseInt(control.value, 10)] || 0;
+      } else if (facet === 'maxPrice') {
+        const step = PRICE_STEPS[parseInt(control.value, 10)];
+        this.state.maxPrice = step === undefined ? null : step;
+      } else if (facet === 'moderation') {
+        if (!control.checked) return;
+        this.state.moderation = control.value;
+      } else if (Array.isArray(this.state[facet])) {
+        const values = this.state[facet].filter(value => value !== control.value);
+        if (control.checked) values.push(control.value);
+        this.state[facet] = values;
+      } else {
+        return;
+      }
+
+      this.saveState();
+      this.updateValues();
+      this.updateSummary();
+      if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Clear all filters
+     */
+    reset() {
+      const { modelFiltersBody } = this.elements;
+      this.state = this.createDefaultState();
+      this.saveState();
+
+      if (modelFiltersBody) {
+        modelFiltersBody.querySelectorAll('input[type="checkbox"]').forEach(input => { input.checked = false; });
+        modelFiltersBody.querySelectorAll('input[data-facet="moderation"]').forEach(input => { input.checked = input.value === 'any'; });
+        modelFiltersBody.querySelectorAll('input[data-facet="minContext"]').forEach(input => { input.value = 0; });
+        modelFiltersBody.querySelectorAll('input[data-facet="maxPrice"]').forEach(input => { input.value = PRICE_STEPS.length - 1; });
+      }
+
+      this.updateValues();
+      this.updateSummary();
+      if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Show the current slider values
+     */
+    updateValues() {
+      const { modelFiltersBody } = this.elements;
+      if (!modelFiltersBody) return;
+
+      const { minContext, maxPrice } = this.state;
+      const contextLabel = modelFiltersBody.querySelector('[data-value="minContext"]');
+      const priceLabel = modelFiltersBody.querySelector('[data-value="maxPrice"]');
+
+      if (contextLabel) {
+        DOMUtils.setTextContent(contextLabel, minContext > 0 ? `≥ ${formatTokens(minContext)}` : 'any');
+      }
+      if (priceLabel) {
+        DOMUtils.setTextContent(priceLabel, maxPrice === null ? 'any' : maxPrice === 0 ? 'free only' : `≤ $${maxPrice}/M`);
+      }
+    }
+
+    /**
+     * Count the matching models of every option
+     * @param {Array} models - Models passing the search and the filter buttons
+     */
+    updateCounts(models) {
+      const { modelFiltersBody } = this.elements;
+      if (!modelFiltersBody) return;
+
+      const remaining = {};
+      const getRemaining = facet => {
+        if (!remaining[facet]) remaining[facet] = models.filter(model => this.matches(model, facet));
+        return remaining[facet];
+      };
+
+      const shown = models.filter(model => this.matches(model)).length;
+
+      modelFiltersBody.querySelectorAll('input[data-facet]').forEach(input => {
+        const facet = input.dataset.facet;
+        const option = input.closest('.model-filter-option');
+        const countEl = (option || input.closest('.model-filter-group')).querySelector('.model-filter-count');
+        let count;
+
+        if (facet === 'minContext' || facet === 'maxPrice') {
+          count = shown;
+        } else if (facet === 'moderation') {
+          count = getRemaining(facet).filter(model => input.value === 'any' || this.getModeration(model) === input.value).length;
+        } else if (ANY_OF_FACETS.includes(facet)) {
+          count = getRemaining(facet).filter(model => this.hasOption(model, facet, input.value)).length;
+        } else {
+          // All checked options are required, so count the models that also have this one
+          count = getRemaining(facet).filter(model => this.matches(model) && this.hasOption(model, facet, input.value)).length;
+        }
+
+        if (countEl) DOMUtils.setTextContent(countEl, String(count));
+        if (option) option.classList.toggle('empty', count === 0 && !input.checked);
+      });
+    }
+
+    /**
+     * Count the active facets
+     * @returns {number} Number of active facets
+     */
+    getActiveCount() {
+      const { providers, input, output, parameters, minContext, maxPrice, moderation } = this.state;
+      return [providers.length > 0, input.length > 0, output.length > 0, parameters.length > 0,
+        minContext > 0, maxPrice !== null, moderation !== 'any'].filter(Boolean).length;
+    }
+
+    /**
+     * Show how many facets are active in the panel header
+     */
+    updateSummary() {
+      const { modelFiltersSummary, resetModelFiltersBtn } = this.elements;
+      const active = this.getActiveCount();
+
+      if (modelFiltersSummary) {
+        DOMUtils.setTextContent(modelFiltersSummary, active > 0 ? `Filters (${active} active)` : 'Filters');
+      }
+      if (resetModelFiltersBtn) {
+        resetModelFiltersBtn.disabled = active === 0;
+      }
+    }
+
+    /**
+     * Load the filter state from localStorage
+     * @returns {Object} Filter state
+     */
+    loadState() {
+      const state = this.createDefaultState();
+      try {
+        const saved = JSON.parse(localStorage.getItem(FILTERS_KEY) || 'null');
+        if (!saved || typeof saved !== 'object') return state;
+
+        ['providers', 'input', 'output', 'parameters'].forEach(facet => {
+          if (Array.isArray(saved[facet])) state[facet] = saved[facet].filter(value => typeof value === 'string');
+        });
+        if (Number.isFinite(saved.minContext) && saved.minContext > 0) state.minContext = saved.minContext;
+        if (Number.isFinite(saved.maxPrice) && saved.maxPrice >= 0) state.maxPrice = saved.maxPrice;
+        if (MODERATION_OPTIONS.some(option => option.value === saved.moderation)) state.moderation = saved.moderation;
+      } catch (e) {
+        console.warn('Failed to load model filters:', e);
+      }
+      return state;
+    }
+
+    /**
+     * Save the filter state to localStorage
+     */
+    saveState() {
+      try {
+        localStorage.setItem(FILTERS_KEY, JSON.stringify(this.state));
+      } catch (e) {
+        console.warn('Failed to save model filters:', e);
+      }
+    }
+  }
+
+  // Export singleton instance
+  window.ModelFilters = new ModelFilters();
+
+})();
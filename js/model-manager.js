@@ -6,6 +6,24 @@
 (function() {
   'use strict';
 
+  // Capability badges in display order (key is also the filter button value)
+  const CAPABILITIES = [
+    { key: 'text', label: 'Text', title: 'Generates text output' },
+    { key: 'vision', label: 'Vision', title: 'Accepts image input' },
+    { key: 'image', label: 'Image output', title: 'Can generate images' },
+    { key: 'audio', label: 'Audio', title: 'Accepts or produces audio' },
+    { key: 'file', label: 'File', title: 'Accepts file input (e.g. PDF)' },
+    { key: 'tools', label: 'Tools', title: 'Supports tool / function calling' },
+    { key: 'structured', label: 'Structured', title: 'Supports structured outputs (response_format)' },
+    { key: 'reasoning', label: 'Reasoning', title: 'Supports reasoning tokens' }
+  ];
+
+  const FALLBACK_MODELS_KEY = 'or_fallback_models';
+  const FALLBACK_STRATEGY_KEY = 'or_fallback_strategy';
+  const FAVORITE_MODELS_KEY = 'or_favorite_models';
+  const RECENT_MODELS_KEY = 'or_recent_models';
+  const MAX_RECENT_MODELS = 5;
+
   /**
    * Model Manager Class
    * Encapsulates all model-related functionality
@@ -19,6 +37,11 @@
       this.currentSort = 'newest'; // Default sort by newest
       this.isLoading = false;
       this.includePaidModels = false; // Toggle state for paid models
+      this.fallbackModels = this.loadFallbackModels(); // Ordered alternates to the selected model
+      this.fallbackStrategy = this.loadFallbackStrategy(); // 'server' (models array) or 'client'
+      this.costContext = { messages: [], maxTokens: null }; // Next request, for the per-model cost estimates
+      this.favoriteModels = this.loadFavoriteModels(); // Starred model IDs in the order they were starred
+      this.recentModels = this.loadRecentModels(); // Last selected model IDs, most recent first
       
       // DOM elements (will be injected)
       this.elements = {};
@@ -35,6 +58,7 @@
     initialize(elements) {
       this.elements = elements;
       this.setupEventListeners();
+      this.renderFallbackChain();
       this.loadModels();
     }
 
@@ -42,12 +66,13 @@
      * Setup event listeners for model management
      */
     setupEventListeners() {
-      const { modelSelectorBtn, modelModalClose, modelSelectorModal, modelSearchPopup, filterButtons, refreshModelsBtn, includePaidModelsToggle, modelSort } = this.elements;
+      const { modelSelectorBtn, modelModalClose, modelSelectorModal, modelSearchPopup, filterButtons, refreshModelsBtn, includePaidModelsToggle, modelSort, fallbackStrategy, dismissCatalogChangesBtn } = this.elements;
 
       // Model selector modal
       if (modelSelectorBtn) {
         DOMUtils.addEventListener(modelSelectorBtn, 'click', () => {
           DOMUtils.showElement(modelSelectorModal);
+          this.updateCostEstimates();
           // Set appropriate filter based on current mode
           this.setFilterBasedOnMode();
         });
@@ -98,6 +123,13 @@
         });
       }
 
+      // Catalog changes
+      if (dismissCatalogChangesBtn) {
+        DOMUtils.addEventListener(dismissCatalogChangesBtn, 'click', () => {
+          this.dismissCatalogChanges();
+        });
+      }
+
       // Paid models toggle
       if (includePaidModelsToggle) {
         DOMUtils.addEventListener(includePaidModelsToggle, 'change', () => {
@@ -116,16 +148,46 @@
         });
       }
 
+      // Fallback strategy
+      if (fallbackStrategy) {
+        DOMUtils.setValue(fallbackStrategy, this.fallbackStrategy);
+        DOMUtils.addEventListener(fallbackStrategy, 'change', () => {
+          this.fallbackStrategy = DOMUtils.getValue(fallbackStrategy) === 'client' ? 'client' : 'server';
+          this.saveFallbackStrategy();
+        });
+      }
+
       // Escape key to close modal
       DOMUtils.addEventListener(document, 'keydown', (event) => {
         if (event.key === 'Escape' && modelSelectorModal && modelSelectorModal.style.display === 'block') {
           DOMUtils.hideElement(modelSelectorModal);
         }
       });
+
+      // Alt+[ / Alt+] cycle through favorites, Alt+1…9 pick one
+      DOMUtils.addEventListener(document, 'keydown', (event) => {
+        if (!event.altKey || event.ctrlKey || event.metaKey) return;
+        if (modelSelectorModal && modelSelectorModal.style.display === 'block') return;
+
+        // Option+key types characters on macOS (“ on US layouts, [ ] | { } on many European ones),
+        // so text fields keep the keystroke
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+        // `code` is layout independent, so the shortcut keys are the same on every layout
+        if (event.code === 'BracketRight' || event.code === 'BracketLeft') {
+          event.preventDefault();
+          this.cycleFavoriteModel(event.code === 'BracketRight' ? 1 : -1);
+        } else if (/^Digit[1-9]$/.test(event.code)) {
+          event.preventDefault();
+          this.selectFavoriteModel(Number(event.code.slice(5)) - 1);
+        }
+      });
     }
 
     /**
-     * Load models from API
+     * Load models: the cached catalog is shown at once, then replaced by a fresh /models response
+     * If the request fails the cached catalog stays in place.
      */
     async loadModels() {
       if (this.isLoading) return;
@@ -133,39 +195,112 @@
       this.isLoading = true;
       this.updateLoadingState(true);
 
+      if (this.allModels.length === 0) {
+        const cached = await ModelCatalog.loadCached();
+        if (cached) {
+          this.setModels(cached);
+        }
+      }
+
       try {
         const models = await APIService.fetchModels();
-        this.allModels = models;
-        
-        // Filter for free models (both prompt and completion pricing are "0")
-        this.freeModels = models.filter(model => {
-          const pricing = model.pricing || {};
-          return pricing.prompt === '0' && pricing.completion === '0';
-        });
-        
-        // Sort models by name for better UX
-        this.freeModels.sort((a, b) => a.name.localeCompare(b.name));
-        
-        this.populateModelSelector();
-        this.updateModelCount();
-        
-        // Restore previously selected model
-        this.restoreSelectedModel();
-        
-        if (this.onModelsLoaded) {
-          this.onModelsLoaded(this.freeModels);
-        }
+        await ModelCatalog.update(models);
+        this.setModels(models);
         
         console.log(`Loaded ${this.freeModels.length} free models`);
       } catch (error) {
         console.error('Error fetching models:', error);
-        this.updateModelCount('Error');
+        if (this.allModels.length > 0) {
+          ModelCatalog.markStale();
+          this.updateModelCount();
+        } else {
+          this.updateModelCount('Error');
+        }
       } finally {
         this.isLoading = false;
         this.updateLoadingState(false);
+        this.renderCatalogStatus();
       }
     }
 
+    /**
+     * Show a model catalog
+     * @param {Array} models - Models from /models (or the cache)
+     */
+    setModels(models) {
+      this.allModels = models;
+      
+      // Filter for free models (both prompt and completion pricing are "0")
+      this.freeModels = models.filter(model => {
+        const pricing = model.pricing || {};
+        return pricing.prompt === '0' && pricing.completion === '0';
+      });
+      
+      // Sort models by name for better UX
+      this.freeModels.sort((a, b) => a.name.localeCompare(b.name));
+      
+      ModelFilters.build(models);
+      this.populateModelSelector();
+      this.filterModels();
+      this.updateModelCount();
+      
+      // Restore previously selected model
+      this.restoreSelectedModel();
+      
+      if (this.onModelsLoaded) {
+        this.onModelsLoaded(this.freeModels);
+      }
+    }
+
+    /**
+     * Render the catalog age and the models added, removed or repriced since the last visit
+     */
+    renderCatalogStatus() {
+      const { modelCatalogStatus, catalogChanges, catalogChangesSummary, catalogChangesList } = this.elements;
+
+      if (modelCatalogStatus) {
+        const status = ModelCatalog.describeStatus();
+        DOMUtils.setTextContent(modelCatalogStatus, status ? `(${status})` : '');
+        modelCatalogStatus.classList.toggle('stale', ModelCatalog.isStale);
+      }
+
+      if (!catalogChanges) return;
+
+      if (!ModelCatalog.hasChanges()) {
+        DOMUtils.hideElement(catalogChanges);
+        return;
+      }
+
+      const { added, removed, repriced } = ModelCatalog.changes;
+      const counts = [
+        added.length > 0 ? `${added.length} added` : '',
+        removed.length > 0 ? `${removed.length} removed` : '',
+        repriced.length > 0 ? `${repriced.length} with new prices` : ''
+      ].filter(Boolean);
+      DOMUtils.setTextContent(catalogChangesSummary, `Since your last visit: ${counts.join(', ')}`);
+
+      DOMUtils.setInnerHTML(catalogChangesList, '');
+      const addItem = (className, text) => {
+        catalogChangesList.appendChild(DOMUtils.createElement('li', { className, textContent: text }));
+      };
+      added.forEach(model => addItem('added', `Added: ${model.name} (${model.id})`));
+      removed.forEach(model => addItem('removed', `Removed: ${model.name} (${model.id})`));
+      repriced.forEach(change => addItem('repriced', `${change.model.name}: ${ModelCatalog.describePriceChange(change)}`));
+
+      DOMUtils.showElement(catalogChanges);
+    }
+
+    /**
+     * Clear the change flags and accept the current catalog as seen
+     */
+    dismissCatalogChanges() {
+      ModelCatalog.dismissChanges(this.allModels);
+      this.populateModelSelector();
+      this.filterModels();
+      this.restoreSelectedModel();
+      this.renderCatalogStatus();
+    }
+
     /**
      * Refresh models
      */
@@ -231,6 +366,7 @@
       if (!modelsGrid) return;
       
       DOMUtils.setInnerHTML(modelsGrid, '');
+      modelsGrid.appendChild(this.createQuickAccess());
       
       const modelsToShow = this.includePaidModels ? this.allModels : this.freeModels;
       const sortedModels = this.sortModels(modelsToShow);
@@ -239,6 +375,8 @@
         const card = this.createModelCard(model);
         modelsGrid.appendChild(card);
       });
+      
+      this.updateCostEstimates();
     }
 
     /**
@@ -294,6 +432,28 @@
             return a.name.localeCompare(b.name);
           });
           
+        case 'price-low':
+          // Sort by blended prompt + completion price (cheapest first, unknown prices last)
+          return sortedModels.sort((a, b) => {
+            const aPrice = this.getBlendedPrice(a);
+            const bPrice = this.getBlendedPrice(b);
+            if (aPrice !== bPrice) {
+              return (aPrice === null ? Infinity : aPrice) - (bPrice === null ? Infinity : bPrice);
+            }
+            return a.name.localeCompare(b.name);
+          });
+          
+        case 'context-per-dollar':
+          // Sort by context tokens per dollar of blended price (free models first, largest context leading)
+          return sortedModels.sort((a, b) => {
+            const aValue = this.getContextPerDollar(a);
+            const bValue = this.getContextPerDollar(b);
+            if (aValue !== bValue) {
+              return bValue - aValue;
+            }
+            return (b.context_length || 0) - (a.context_length || 0) || a.name.localeCompare(b.name);
+          });
+          
         case 'name':
           // Sort alphabetically A-Z
           return sortedModels.sort((a, b) => a.name.localeCompare(b.name));
@@ -307,6 +467,125 @@
       }
     }
 
+    /**
+     * Get a price field of a model
+     * @param {Object} model - Model with `pricing`
+     * @param {string} field - Pricing field (prompt, completion, image, request, input_cache_read, ...)
+     * @returns {number|null} Price in USD, null if missing or variable
+     */
+    getPrice(model, field) {
+      const value = parseFloat((model.pricing || {})[field]);
+      return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+
+    /**
+     * Get the blended per-token price used by the price sorts (prompt plus completion)
+     * @param {Object} model - Model with `pricing`
+     * @returns {number|null} Price in USD per token, null if unknown
+     */
+    getBlendedPrice(model) {
+      const prompt = this.getPrice(model, 'prompt');
+      const completion = this.getPrice(model, 'completion');
+      if (prompt === null && completion === null) return null;
+      return (prompt || 0) + (completion || 0);
+    }
+
+    /**
+     * Get how many context tokens a dollar of blended price buys
+     * @param {Object} model - Model object
+     * @returns {number} Context tokens per dollar per million tokens (Infinity for free models, 0 if unknown)
+     */
+    getContextPerDollar(model) {
+      const price = this.getBlendedPrice(model);
+      const context = model.context_length || 0;
+      if (price === null || context === 0) return 0;
+      return price === 0 ? Infinity : context / (price * 1e6);
+    }
+
+    /**
+     * Describe the prices of a model for its card
+     * @param {Object} model - Model with `pricing`
+     * @returns {Object} { text, title } where text lists the main prices and title all of them
+     */
+    describePricing(model) {
+      const price = (field) => this.getPrice(model, field);
+      const format = (field) => UsageTracker.formatTokenPrice(price(field));
+      const parts = [];
+      const details = [];
+
+      if (!BudgetManager.isPaidModel(model)) {
+        parts.push('Free');
+      } else {
+        parts.push(`In ${format('prompt')}`, `Out ${format('completion')}`);
+        if (price('image') > 0) parts.push(`Image $${price('image')}/img`);
+        if (price('request') > 0) parts.push(`$${price('request')}/request`);
+      }
+
+      [
+        ['prompt', 'Input'],
+        ['completion', 'Output'],
+        ['internal_reasoning', 'Reasoning'],
+        ['input_cache_read', 'Cache read'],
+        ['input_cache_write', 'Cache write']
+      ].forEach(([field, label]) => {
+        if (price(field) !== null) details.push(`${label}: ${format(field)} tokens`);
+      });
+      if (price('image') > 0) details.push(`Image input: $${price('image')} per image`);
+      if (price('request') > 0) details.push(`Request: $${price('request')} per request`);
+      if (price('web_search') > 0) details.push(`Web search: $${price('web_search')} per search`);
+
+      return { text: parts.join(' · '), title: details.join('\n') };
+    }
+
+    /**
+     * Set the next request of the current conversation, used for the per-model cost estimates
+     * @param {Array} messages - Request messages (system prompt and history)
+     * @param {number|null} maxTokens - `max_tokens` parameter, if set
+     */
+    setCostContext(messages, maxTokens) {
+      this.costContext = { messages: messages || [], maxTokens: maxTokens || null };
+
+      const { modelSelectorModal } = this.elements;
+      if (modelSelectorModal && modelSelectorModal.style.display === 'block') {
+        this.updateCostEstimates();
+      }
+    }
+
+    /**
+     * Show what sending the current conversation would cost on every model card
+     */
+    updateCostEstimates() {
+      const { modelsGrid } = this.elements;
+      if (!modelsGrid) return;
+
+      const { messages, maxTokens } = this.costContext;
+      // Models that share a tokenizer profile share a token count
+      const counts = new Map();
+
+      modelsGrid.querySelectorAll('.model-card').forEach(card => {
+        const estimateEl = card.querySelector('.model-estimate');
+        const model = this.allModels.find(m => m.id === card.dataset.modelId);
+        if (!estimateEl || !model) return;
+
+        if (messages.length === 0) {
+          DOMUtils.setTextContent(estimateEl, '');
+          return;
+        }
+
+        const tokenizer = TokenCounter.getTokenizer(model);
+        if (!counts.has(tokenizer)) {
+          counts.set(tokenizer, TokenCounter.countMessages(messages, model));
+        }
+
+        const estimate = BudgetManager.estimateRequestCost(model, messages, { max_tokens: maxTokens, counts: counts.get(tokenizer) });
+        DOMUtils.setTextContent(estimateEl, BudgetManager.isPaidModel(model)
+          ? `This conversation: ~${UsageTracker.formatCost(estimate.cost)} per request`
+          : 'This conversation: free');
+        estimateEl.title = `Estimated cost of sending the current conversation (~${UsageTracker.formatTokens(estimate.promptTokens)} tokens in, ` +
+          `up to ${UsageTracker.formatTokens(estimate.completionTokens)} out) to this model`;
+      });
+    }
+
     /**
      * Create model card element
      * @param {Object} model - Model object
@@ -320,16 +599,24 @@
       
       // Determine model capabilities
       const capabilities = this.getModelCapabilities(model);
-      const capabilityTags = capabilities.map(cap => {
-        return `<span class="capability-tag ${cap}">${cap.charAt(0).toUpperCase() + cap.slice(1)}</span>`;
+      const capabilityTags = CAPABILITIES.filter(cap => capabilities.includes(cap.key)).map(cap => {
+        return `<span class="capability-tag ${cap.key}" title="${cap.title}">${cap.label}</span>`;
       }).join('');
       
       // Get provider name
       const provider = model.id.split('/')[0] || 'Unknown';
       
       // Format pricing info
-      const pricing = model.pricing || {};
-      const pricingText = (pricing.prompt !== '0' || pricing.completion !== '0') ? 'Paid' : 'Free';
+      const pricing = this.describePricing(model);
+      
+      // Flag models added or repriced since the last visit
+      const change = ModelCatalog.getChange(model.id);
+      let changeTag = '';
+      if (change && change.type === 'added') {
+        changeTag = '<span class="catalog-flag added" title="New since your last visit">New</span>';
+      } else if (change) {
+        changeTag = `<span class="catalog-flag repriced" title="${DOMUtils.escapeHtml(`Price changed since your last visit: ${change.text}`)}">Price changed</span>`;
+      }
       
       // Get context length
       const contextLength = model.context_length || 'Unknown';
@@ -343,12 +630,37 @@
         `<div class="model-id">${model.id}</div>` +
         `<div class="model-description">${model.description || 'No description available'}</div>` +
         `<div class="model-capabilities">${capabilityTags}</div>` +
-        `<div class="model-pricing">${pricingText}</div>` +
+        `<div class="model-pricing" title="${DOMUtils.escapeHtml(pricing.title)}">${DOMUtils.escapeHtml(pricing.text)}${changeTag}</div>` +
+        '<div class="model-estimate"></div>' +
         `<div class="model-context">Context: ${contextLength} tokens</div>` +
         `<div class="model-metrics">
           <span class="metric-item">Created: ${createdDate}</span>
         </div>`;
       
+      // Star the model without selecting it
+      const favoriteBtn = DOMUtils.createElement('button', {
+        type: 'button',
+        className: 'favorite-toggle-btn'
+      });
+      this.updateFavoriteButton(favoriteBtn, model.id);
+      DOMUtils.addEventListener(favoriteBtn, 'click', (event) => {
+        event.stopPropagation();
+        this.toggleFavoriteModel(model.id);
+      });
+      card.appendChild(favoriteBtn);
+      
+      // Toggle the model as a fallback without selecting it
+      const fallbackBtn = DOMUtils.createElement('button', {
+        type: 'button',
+        className: 'fallback-toggle-btn'
+      });
+      this.updateFallbackButton(fallbackBtn, model.id);
+      DOMUtils.addEventListener(fallbackBtn, 'click', (event) => {
+        event.stopPropagation();
+        this.toggleFallbackModel(model.id);
+      });
+      card.appendChild(fallbackBtn);
+      
       // Add click handler
       DOMUtils.addEventListener(card, 'click', () => {
         this.selectModel(model);
@@ -358,34 +670,76 @@
     }
 
     /**
-     * Get model capabilities
+     * Get input and output modalities from the model metadata
+     * Falls back to parsing the legacy `architecture.modality` string ("text+image->text").
+     * @param {Object} model - Model object
+     * @returns {Object} { input: Array<string>, output: Array<string> }
+     */
+    getModelModalities(model) {
+      const architecture = model.architecture || {};
+      let input = Array.isArray(architecture.input_modalities) ? architecture.input_modalities : null;
+      let output = Array.isArray(architecture.output_modalities) ? architecture.output_modalities : null;
+
+      if ((!input || !output) && typeof architecture.modality === 'string') {
+        const [inputPart, outputPart] = architecture.modality.split('->');
+        input = input || (inputPart ? inputPart.split('+') : null);
+        output = output || (outputPart ? outputPart.split('+') : null);
+      }
+
+      return {
+        input: (input || ['text']).map(m => m.trim().toLowerCase()),
+        output: (output || ['text']).map(m => m.trim().toLowerCase())
+      };
+    }
+
+    /**
+     * Get model capabilities from its modalities and supported parameters
      * @param {Object} model - Model object
-     * @returns {Array} Array of capability strings
+     * @returns {Array} Array of capability keys (see CAPABILITIES)
      */
     getModelCapabilities(model) {
-      const capabilities = ['text']; // All models support text
-      
-      // Check for image generation capabilities
-      if (model.id.toLowerCase().includes('image') || 
-          model.id.toLowerCase().includes('dall-e') ||
-          model.id.toLowerCase().includes('midjourney') ||
-          model.id.toLowerCase().includes('stable-diffusion') ||
-          (model.id.toLowerCase().includes('gemini') && model.id.toLowerCase().includes('image'))) {
+      const { input, output } = this.getModelModalities(model);
+      const parameters = Array.isArray(model.supported_parameters) ? model.supported_parameters : [];
+      const capabilities = [];
+
+      if (output.includes('text')) {
+        capabilities.push('text');
+      }
+      if (input.includes('image')) {
+        capabilities.push('vision');
+      }
+      if (output.includes('image')) {
         capabilities.push('image');
       }
-      
-      // Check for multimodal capabilities
-      if (model.id.toLowerCase().includes('vision') ||
-          model.id.toLowerCase().includes('multimodal') ||
-          model.id.toLowerCase().includes('gpt-4') ||
-          model.id.toLowerCase().includes('gemini') ||
-          model.id.toLowerCase().includes('claude')) {
-        capabilities.push('multimodal');
+      if (input.includes('audio') || output.includes('audio')) {
+        capabilities.push('audio');
       }
-      
+      if (input.includes('file')) {
+        capabilities.push('file');
+      }
+      if (parameters.includes('tools')) {
+        capabilities.push('tools');
+      }
+      if (parameters.includes('structured_outputs') || parameters.includes('response_format')) {
+        capabilities.push('structured');
+      }
+      if (parameters.includes('reasoning') || parameters.includes('include_reasoning')) {
+        capabilities.push('reasoning');
+      }
+
       return capabilities;
     }
 
+    /**
+     * Check whether a model has a capability
+     * @param {Object} model - Model object
+     * @param {string} capability - Capability key
+     * @returns {boolean} Whether the model has the capability
+     */
+    hasCapability(model, capability) {
+      return !!model && this.getModelCapabilities(model).includes(capability);
+    }
+
     /**
      * Select a model
      * @param {Object} model - Model to select
@@ -417,6 +771,14 @@
       
       // Save selected model to localStorage
       this.saveSelectedModel(model);
+      this.addRecentModel(model.id);
+      
+      // The primary model cannot also be its own fallback
+      if (this.fallbackModels.includes(model.id)) {
+        this.removeFallbackModel(model.id);
+      } else {
+        this.renderFallbackChain();
+      }
       
       if (this.onModelSelected) {
         this.onModelSelected(model);
@@ -424,36 +786,88 @@
     }
 
     /**
-     * Filter models based on search term and current filter
+     * Select a model by ID
+     * If models are not loaded yet the ID is remembered and restored after loading.
+     * @param {string} modelId - Model ID
+     * @returns {boolean} Whether the model was found and selected
+     */
+    selectModelById(modelId) {
+      const model = this.allModels.find(m => m.id === modelId);
+      if (model) {
+        this.selectModel(model);
+        return true;
+      }
+      
+      this.saveSelectedModel({ id: modelId, name: modelId });
+      return false;
+    }
+
+    /**
+     * Filter models based on search query and current filter
+     * Cards are ranked by relevance while the query has search terms, otherwise they keep the sort order.
      */
     filterModels() {
-      const { modelSearchPopup } = this.elements;
+      const { modelSearchPopup, modelsGrid } = this.elements;
       
       if (!modelSearchPopup) return;
       
-      const searchTerm = DOMUtils.getValue(modelSearchPopup).toLowerCase();
-      const cards = document.querySelectorAll('.model-card');
+      const query = ModelSearch.parse(DOMUtils.getValue(modelSearchPopup));
       const modelsToSearch = this.includePaidModels ? this.allModels : this.freeModels;
-      const sortedModels = this.sortModels(modelsToSearch);
+      const results = new Map();
       
-      cards.forEach(card => {
-        const modelId = card.dataset.modelId;
-        const model = sortedModels.find(m => m.id === modelId);
-        if (!model) return;
-        
-        const matchesSearch = searchTerm === '' || 
-          model.name.toLowerCase().includes(searchTerm) ||
-          model.id.toLowerCase().includes(searchTerm) ||
-          (model.description && model.description.toLowerCase().includes(searchTerm)) ||
-          model.id.split('/')[0].toLowerCase().includes(searchTerm);
+      // Models passing the search and the filter buttons; the facet panel counts within these
+      const searchedModels = this.sortModels(modelsToSearch).filter(model => {
+        const result = ModelSearch.match(model, query);
+        if (!result) return false;
         
         const matchesFilter = this.currentFilter === 'all' || 
-          this.getModelCapabilities(model).includes(this.currentFilter);
+          (this.currentFilter === 'favorites'
+            ? this.favoriteModels.includes(model.id)
+            : this.getModelCapabilities(model).includes(this.currentFilter));
         
-        if (matchesSearch && matchesFilter) {
-          card.classList.remove('hidden');
-        } else {
-          card.classList.add('hidden');
+        if (matchesFilter) results.set(model.id, result);
+        return matchesFilter;
+      });
+      
+      // Array.prototype.sort is stable, so equally relevant models keep the sort order
+      const visibleModels = searchedModels.filter(model => ModelFilters.matches(model));
+      if (query.terms.length > 0) {
+        visibleModels.sort((a, b) => results.get(b.id).score - results.get(a.id).score);
+      }
+      
+      const cards = new Map(Array.from(document.querySelectorAll('.model-card')).map(card => [card.dataset.modelId, card]));
+      cards.forEach(card => card.classList.add('hidden'));
+      
+      visibleModels.forEach(model => {
+        const card = cards.get(model.id);
+        if (!card) return;
+        
+        card.classList.remove('hidden');
+        this.highlightModelCard(card, model, results.get(model.id).highlights);
+        if (modelsGrid) modelsGrid.appendChild(card);
+      });
+      
+      ModelFilters.updateCounts(searchedModels);
+    }
+
+    /**
+     * Highlight the characters of a model card that matched the search
+     * @param {HTMLElement} card - Model card
+     * @param {Object} model - Model object
+     * @param {Object} highlights - Matched positions per field ({ name, id, provider })
+     */
+    highlightModelCard(card, model, highlights) {
+      const fields = {
+        name: ['.model-name', model.name],
+        id: ['.model-id', model.id],
+        provider: ['.model-provider', model.id.split('/')[0]]
+      };
+      
+      Object.keys(fields).forEach(field => {
+        const [selector, text] = fields[field];
+        const element = card.querySelector(selector);
+        if (element) {
+          DOMUtils.setInnerHTML(element, ModelSearch.highlight(text, highlights[field]));
         }
       });
     }
@@ -564,6 +978,7 @@
           currentCard.classList.add('selected');
         }
         
+        this.renderFallbackChain();
         console.log('Restored previously selected model:', model.name);
       } else {
         console.log('Previously selected model not found in current model list:', savedModel.id);
@@ -583,6 +998,389 @@
       }
     }
 
+    /**
+     * Get the ordered list of models to try for a request
+     * @param {string} primaryId - Primary model ID
+     * @returns {Array<string>} Primary model followed by its fallbacks
+     */
+    getFallbackChain(primaryId) {
+      return [primaryId, ...this.fallbackModels.filter(id => id !== primaryId)];
+    }
+
+    /**
+     * Get the fallback strategy
+     * @returns {string} 'server' to send the `models` array, 'client' to retry locally
+     */
+    getFallbackStrategy() {
+      return this.fallbackStrategy;
+    }
+
+    /**
+     * Add or remove a model from the fallback list
+     * @param {string} modelId - Model ID
+     */
+    toggleFallbackModel(modelId) {
+      if (this.fallbackModels.includes(modelId)) {
+        this.removeFallbackModel(modelId);
+        return;
+      }
+      
+      if (this.selectedModel && this.selectedModel.id === modelId) return;
+      
+      this.fallbackModels.push(modelId);
+      this.onFallbackModelsChanged();
+    }
+
+    /**
+     * Remove a model from the fallback list
+     * @param {string} modelId - Model ID
+     */
+    removeFallbackModel(modelId) {
+      this.fallbackModels = this.fallbackModels.filter(id => id !== modelId);
+      this.onFallbackModelsChanged();
+    }
+
+    /**
+     * Move a fallback model one position earlier in the chain
+     * @param {string} modelId - Model ID
+     */
+    moveFallbackModelUp(modelId) {
+      const index = this.fallbackModels.indexOf(modelId);
+      if (index <= 0) return;
+      
+      this.fallbackModels.splice(index, 1);
+      this.fallbackModels.splice(index - 1, 0, modelId);
+      this.onFallbackModelsChanged();
+    }
+
+    /**
+     * Persist and re-render after the fallback list changed
+     */
+    onFallbackModelsChanged() {
+      this.saveFallbackModels();
+      this.renderFallbackChain();
+      
+      document.querySelectorAll('.model-card').forEach(card => {
+        const button = card.querySelector('.fallback-toggle-btn');
+        if (button) {
+          this.updateFallbackButton(button, card.dataset.modelId);
+        }
+      });
+    }
+
+    /**
+     * Update a card's fallback toggle button
+     * @param {HTMLElement} button - Toggle button
+     * @param {string} modelId - Model ID of the card
+     */
+    updateFallbackButton(button, modelId) {
+      const position = this.fallbackModels.indexOf(modelId);
+      const isFallback = position !== -1;
+      
+      button.classList.toggle('active', isFallback);
+      DOMUtils.setTextContent(button, isFallback ? `Fallback #${position + 1} ✓` : '+ Fallback');
+      button.title = isFallback ? 'Remove from the fallback chain' : 'Add to the fallback chain (tried if the selected model fails)';
+    }
+
+    /**
+     * Create the favorites and recently used rows shown above the model cards
+     * @returns {HTMLElement} Quick access element (empty while there is nothing to show)
+     */
+    createQuickAccess() {
+      const container = DOMUtils.createElement('div', { className: 'model-quick-access' });
+      const known = (ids) => ids.filter(id => this.allModels.some(m => m.id === id));
+
+      const addRow = (label, ids, title) => {
+        if (ids.length === 0) return;
+
+        const row = DOMUtils.createElement('div', { className: 'model-quick-row' });
+        row.appendChild(DOMUtils.createElement('span', { className: 'model-quick-label', textContent: label, title }));
+        ids.forEach(id => {
+          const isSelected = this.selectedModel && this.selectedModel.id === id;
+          const chip = DOMUtils.createElement('button', {
+            type: 'button',
+            className: `model-quick-chip${isSelected ? ' selected' : ''}`,
+            textContent: this.getModelName(id),
+            title: id
+          });
+          DOMUtils.addEventListener(chip, 'click', () => this.selectModelById(id));
+          row.appendChild(chip);
+        });
+        container.appendChild(row);
+      };
+
+      addRow('★ Favorites', known(this.favoriteModels), 'Alt+[ / Alt+] cycle through favorites, Alt+1…9 pick one');
+      addRow('Recent', known(this.recentModels), 'Models selected most recently');
+      return container;
+    }
+
+    /**
+     * Star or unstar a model
+     * @param {string} modelId - Model ID
+     */
+    toggleFavoriteModel(modelId) {
+      if (this.favoriteModels.includes(modelId)) {
+        this.favoriteModels = this.favoriteModels.filter(id => id !== modelId);
+      } else {
+        this.favoriteModels.push(modelId);
+      }
+      this.saveFavoriteModels();
+      
+      document.querySelectorAll('.model-card').forEach(card => {
+        const button = card.querySelector('.favorite-toggle-btn');
+        if (button) {
+          this.updateFavoriteButton(button, card.dataset.modelId);
+        }
+      });
+      this.renderQuickAccess();
+      
+      if (this.currentFilter === 'favorites') {
+        this.filterModels();
+      }
+    }
+
+    /**
+     * Update a card's favorite toggle button
+     * @param {HTMLElement} button - Toggle button
+     * @param {string} modelId - Model ID of the card
+     */
+    updateFavoriteButton(button, modelId) {
+      const isFavorite = this.favoriteModels.includes(modelId);
+      
+      button.classList.toggle('active', isFavorite);
+      DOMUtils.setTextContent(button, isFavorite ? '★' : '☆');
+      button.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+    }
+
+    /**
+     * Move a model to the front of the recently used list
+     * @param {string} modelId - Model ID
+     */
+    addRecentModel(modelId) {
+      this.recentModels = [modelId, ...this.recentModels.filter(id => id !== modelId)].slice(0, MAX_RECENT_MODELS);
+      this.saveRecentModels();
+      this.renderQuickAccess();
+    }
+
+    /**
+     * Re-render the favorites and recently used rows in place
+     */
+    renderQuickAccess() {
+      const { modelsGrid } = this.elements;
+      const existing = modelsGrid ? modelsGrid.querySelector('.model-quick-access') : null;
+      if (existing) {
+        modelsGrid.replaceChild(this.createQuickAccess(), existing);
+      }
+    }
+
+    /**
+     * Get the favorites that are in the current catalog
+     * @returns {Array<Object>} Favorite models in starring order
+     */
+    getFavoriteModels() {
+      return this.favoriteModels
+        .map(id => this.allModels.find(m => m.id === id))
+        .filter(Boolean);
+    }
+
+    /**
+     * Select the next or previous favorite
+     * @param {number} step - 1 for the next favorite, -1 for the previous one
+     */
+    cycleFavoriteModel(step) {
+      const favorites = this.getFavoriteModels();
+      if (favorites.length === 0) return;
+      
+      const current = favorites.findIndex(m => this.selectedModel && m.id === this.selectedModel.id);
+      const next = current === -1
+        ? (step > 0 ? 0 : favorites.length - 1)
+        : (current + step + favorites.length) % favorites.length;
+      this.selectModel(favorites[next]);
+    }
+
+    /**
+     * Select a favorite by position
+     * @param {number} index - Zero-based position in the favorites
+     */
+    selectFavoriteModel(index) {
+      const favorite = this.getFavoriteModels()[index];
+      if (favorite) {
+        this.selectModel(favorite);
+      }
+    }
+
+    /**
+     * Get a display name for a model ID
+     * @param {string} modelId - Model ID
+     * @returns {string} Model name, or the ID if the model is unknown
+     */
+    getModelName(modelId) {
+      const model = this.allModels.find(m => m.id === modelId) ||
+        this.allModels.find(m => this.isSameModel(modelId, m.id));
+      return model ? model.name : modelId;
+    }
+
+    /**
+     * Check whether two model IDs refer to the same model
+     * Responses may omit variant suffixes (":free") or add version dates ("-2024-07-18"); any other
+     * difference is a different model ("gpt-4o" and "gpt-4o-mini" are not the same).
+     * @param {string} a - Model ID
+     * @param {string} b - Model ID
+     * @returns {boolean} Whether the IDs match
+     */
+    isSameModel(a, b) {
+      if (!a || !b) return false;
+      const getBase = id => id.split(':')[0].replace(/-\d{4}-?\d{2}-?\d{2}$/, '');
+      return getBase(a) === getBase(b);
+    }
+
+    /**
+     * Render the fallback chain in the model selector and below the selector button
+     */
+    renderFallbackChain() {
+      const { fallbackChain, fallbackSummary } = this.elements;
+      const primaryName = this.selectedModel ? this.selectedModel.name : 'Selected model';
+      
+      if (fallbackChain) {
+        DOMUtils.setInnerHTML(fallbackChain, '');
+        fallbackChain.appendChild(DOMUtils.createElement('span', {
+          className: 'fallback-chip primary',
+          textContent: primaryName
+        }));
+        
+        this.fallbackModels.forEach((modelId, index) => {
+          fallbackChain.appendChild(DOMUtils.createElement('span', { className: 'fallback-arrow', textContent: '→' }));
+          
+          const chip = DOMUtils.createElement('span', { className: 'fallback-chip' });
+          if (index > 0) {
+            const upBtn = DOMUtils.createElement('button', { type: 'button', title: 'Try earlier', textContent: '‹' });
+            DOMUtils.addEventListener(upBtn, 'click', () => this.moveFallbackModelUp(modelId));
+            chip.appendChild(upBtn);
+          }
+          chip.appendChild(DOMUtils.createElement('span', { textContent: this.getModelName(modelId) }));
+          const removeBtn = DOMUtils.createElement('button', { type: 'button', title: 'Remove fallback', textContent: '×' });
+          DOMUtils.addEventListener(removeBtn, 'click', () => this.removeFallbackModel(modelId));
+          chip.appendChild(removeBtn);
+          fallbackChain.appendChild(chip);
+        });
+        
+        if (this.fallbackModels.length === 0) {
+          fallbackChain.appendChild(DOMUtils.createElement('span', {
+            className: 'muted small',
+            textContent: 'No fallbacks – use "+ Fallback" on a model card to add one.'
+          }));
+        }
+      }
+      
+      if (fallbackSummary) {
+        const names = this.fallbackModels.map(id => this.getModelName(id));
+        DOMUtils.setTextContent(fallbackSummary, names.length > 0 ? `Fallbacks: ${names.join(' → ')}` : '');
+        DOMUtils.showElement(fallbackSummary, names.length > 0 ? 'block' : 'none');
+      }
+    }
+
+    /**
+     * Load the fallback list from localStorage
+     * @returns {Array<string>} Fallback model IDs
+     */
+    loadFallbackModels() {
+      try {
+        const saved = localStorage.getItem(FALLBACK_MODELS_KEY);
+        const models = saved ? JSON.parse(saved) : [];
+        return Array.isArray(models) ? models : [];
+      } catch (e) {
+        console.warn('Failed to load fallback models:', e);
+        return [];
+      }
+    }
+
+    /**
+     * Save the fallback list to localStorage
+     */
+    saveFallbackModels() {
+      try {
+        localStorage.setItem(FALLBACK_MODELS_KEY, JSON.stringify(this.fallbackModels));
+      } catch (e) {
+        console.warn('Failed to save fallback models:', e);
+      }
+    }
+
+    /**
+     * Load the favorite models from localStorage
+     * @returns {Array<string>} Favorite model IDs
+     */
+    loadFavoriteModels() {
+      try {
+        const saved = localStorage.getItem(FAVORITE_MODELS_KEY);
+        const models = saved ? JSON.parse(saved) : [];
+        return Array.isArray(models) ? models : [];
+      } catch (e) {
+        console.warn('Failed to load favorite models:', e);
+        return [];
+      }
+    }
+
+    /**
+     * Save the favorite models to localStorage
+     */
+    saveFavoriteModels() {
+      try {
+        localStorage.setItem(FAVORITE_MODELS_KEY, JSON.stringify(this.favoriteModels));
+      } catch (e) {
+        console.warn('Failed to save favorite models:', e);
+      }
+    }
+
+    /**
+     * Load the recently used models from localStorage
+     * @returns {Array<string>} Recent model IDs, most recent first
+     */
+    loadRecentModels() {
+      try {
+        const saved = localStorage.getItem(RECENT_MODELS_KEY);
+        const models = saved ? JSON.parse(saved) : [];
+        return Array.isArray(models) ? models.slice(0, MAX_RECENT_MODELS) : [];
+      } catch (e) {
+        console.warn('Failed to load recent models:', e);
+        return [];
+      }
+    }
+
+    /**
+     * Save the recently used models to localStorage
+     */
+    saveRecentModels() {
+      try {
+        localStorage.setItem(RECENT_MODELS_KEY, JSON.stringify(this.recentModels));
+      } catch (e) {
+        console.warn('Failed to save recent models:', e);
+      }
+    }
+
+    /**
+     * Load the fallback strategy from localStorage
+     * @returns {string} Fallback strategy
+     */
+    loadFallbackStrategy() {
+      try {
+        return localStorage.getItem(FALLBACK_STRATEGY_KEY) === 'client' ? 'client' : 'server';
+      } catch (e) {
+        console.warn('Failed to load fallback strategy:', e);
+        return 'server';
+      }
+    }
+
+    /**
+     * Save the fallback strategy to localStorage
+     */
+    saveFallbackStrategy() {
+      try {
+        localStorage.setItem(FALLBACK_STRATEGY_KEY, this.fallbackStrategy);
+      } catch (e) {
+        console.warn('Failed to save fallback strategy:', e);
+      }
+    }
+
     /**
      * Set filter based on current mode
      */
@@ -596,8 +1394,8 @@
 
       if (!filterButtons || filterButtons.length === 0) return;
 
-      // If mode is image, set filter to 'image', otherwise keep 'all'
-      const targetFilter = currentMode === 'image' ? 'image' : 'all';
+      // Image and structured output modes show the models that support them, otherwise keep 'all'
+      const targetFilter = currentMode === 'image' || currentMode === 'structured' ? currentMode : 'all';
       
       // Find the appropriate filter button
       const targetButton = Array.from(filterButtons).find(btn => btn.dataset.filter === targetFilter);
@@ -0,0 +1,312 @@
+/**
+ * Model Search Module
+ * Fuzzy, ranked model search with query operators (provider:google ctx>100k free vision)
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  // Searched fields and how much a match in each counts
+  const FIELD_WEIGHTS = { name: 1, id: 0.9, provider: 0.8, description: 0.3 };
+
+  // Fields matched fuzzily; descriptions are long enough to contain almost any subsequence
+  const FUZZY_FIELDS = ['name', 'id', 'provider'];
+
+  // Bare keywords that filter instead of search (capability keys of ModelManager plus pricing)
+  const KEYWORDS = ['free', 'paid', 'vision', 'image', 'audio', 'file', 'tools', 'structured', 'reasoning'];
+
+  const COMPARISON_REGEX = /^(ctx|context|price)(>=|<=|>|<|=|:)\$?(\d+(?:\.\d+)?)([km]?)$/i;
+  const OPERATOR_REGEX = /^(provider|p|is|has):(.+)$/i;
+
+  /**
+   * Check whether a position starts a word ("gpt-4o": 0 and 4)
+   * @param {string} text - Lowercase text
+   * @param {number} index - Position
+   * @returns {boolean} Whether it is a word start
+   */
+  function isWordStart(text, index) {
+    return index === 0 || /[^a-z0-9]/.test(text[index - 1]);
+  }
+
+  /**
+   * List the positions of a range
+   * @param {number} start - First position
+   * @param {number} length - Number of positions
+   * @returns {Array<number>} Positions
+   */
+  function range(start, length) {
+    return Array.from({ length }, (_, offset) => start + offset);
+  }
+
+  /**
+   * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Edit distance
+   */
+  function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  /**
+   * Parse a size such as "100k" or "1m"
+   * @param {string} value - Number
+   * @param {string} suffix - '', 'k' or 'm'
+   * @returns {number} Value
+   */
+  function parseSize(value, suffix) {
+    const multiplier = { k: 1000, m: 1000000 }[suffix.toLowerCase()] || 1;
+    return parseFloat(value) * multiplier;
+  }
+
+  /**
+   * Model Search Class
+   * Every search term has to match one of the fields; a term matches as a substring, as a
+   * subsequence ("g4o" in "gpt-4o") or with a typo ("gemnii" for "gemini"), in that order of score.
+   */
+  class ModelSearch {
+    /**
+     * Parse a search query
+     * @param {string} query - Raw query
+     * @returns {Object} { terms: [string], excluded: [string], filters: [{ test, negate }] }
+     */
+    parse(query) {
+      const parsed = { terms: [], excluded: [], filters: [] };
+      const tokens = String(query || '').toLowerCase().match(/-?"[^"]*"|\S+/g) || [];
+
+      tokens.forEach(token => {
+        const negate = token.length > 1 && token.startsWith('-');
+        const body = negate ? token.slice(1) : token;
+        const filter = this.parseOperator(body);
+
+        if (filter) {
+          parsed.filters.push({ test: filter, negate });
+          return;
+        }
+
+        const text = body.replace(/^"|"$/g, '').trim();
+        if (!text) return;
+        (negate ? parsed.excluded : parsed.terms).push(text);
+      });
+
+      return parsed;
+    }
+
+    /**
+     * Parse a query operator
+     * @param {string} token - Lowercase token without the leading '-'
+     * @returns {Function|null} Model predicate, null if the token is a search term
+     */
+    parseOperator(token) {
+      if (KEYWORDS.includes(token)) {
+        return model => this.hasKeyword(model, token);
+      }
+
+      const comparison = token.match(COMPARISON_REGEX);
+      if (comparison) {
+        const [, field, operator, value, suffix] = comparison;
+        const limit = parseSize(value, suffix);
+        const getValue = field === 'price'
+          ? model => {
+            const price = ModelManager.getBlendedPrice(model);
+            return price === null ? null : price * 1e6;
+          }
+          : model => model.context_length || 0;
+
+        return model => {
+          const actual = getValue(model);
+          if (actual === null) return false;
+          switch (operator) {
+            case '>': return actual > limit;
+            case '>=': return actual >= limit;
+            case '<': return actual < limit;
+            case '<=': return actual <= limit;
+            default: return actual === limit;
+          }
+        };
+      }
+
+      const operator = token.match(OPERATOR_REGEX);
+      if (operator) {
+        const [, key, value] = operator;
+        if (key === 'provider' || key === 'p') {
+          return model => model.id.split('/')[0].toLowerCase().startsWith(value);
+        }
+        if (KEYWORDS.includes(value)) {
+          return model => this.hasKeyword(model, value);
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Check a keyword filter
+     * @param {Object} model - Model object
+     * @param {string} keyword - 'free', 'paid' or a capability key
+     * @returns {boolean} Whether the model matches
+     */
+    hasKeyword(model, keyword) {
+      if (keyword === 'free') return !BudgetManager.isPaidModel(model);
+      if (keyword === 'paid') return BudgetManager.isPaidModel(model);
+      return ModelManager.hasCapability(model, keyword);
+    }
+
+    /**
+     * Match a model against a parsed query
+     * @param {Object} model - Model object
+     * @param {Object} parsed - Result of parse()
+     * @returns {Object|null} { score, highlights: { name, id, provider } } or null if it does not match
+     */
+    match(model, parsed) {
+      if (!parsed.filters.every(filter => filter.test(model) !== filter.negate)) {
+        return null;
+      }
+
+      const fields = {
+        name: model.name || '',
+        id: model.id,
+        provider: model.id.split('/')[0],
+        description: model.description || ''
+      };
+
+      if (parsed.excluded.some(term => ['name', 'id'].some(field => fields[field].toLowerCase().includes(term)))) {
+        return null;
+      }
+
+      const highlights = { name: [], id: [], provider: [] };
+      let score = 0;
+
+      for (const term of parsed.terms) {
+        let best = null;
+        Object.keys(FIELD_WEIGHTS).forEach(field => {
+          const result = this.matchField(term, fields[field], FUZZY_FIELDS.includes(field));
+          if (!result) return;
+
+          const weighted = result.score * FIELD_WEIGHTS[field];
+          if (best === null || weighted > best) best = weighted;
+          if (highlights[field]) highlights[field].push(...result.indices);
+        });
+
+        if (best === null) return null;
+        score += best;
+      }
+
+      return { score, highlights };
+    }
+
+    /**
+     * Match one term against a field
+     * @param {string} term - Lowercase term
+     * @param {string} text - Field text
+     * @param {boolean} fuzzy - Whether subsequence and typo matches count
+     * @returns {Object|null} { score, indices } or null
+     */
+    matchField(term, text, fuzzy) {
+      const lower = text.toLowerCase();
+      const index = lower.indexOf(term);
+
+      if (index !== -1) {
+        const bonus = index === 0 ? 30 : isWordStart(lower, index) ? 15 : 0;
+        return { score: 100 + bonus + term.length, indices: range(index, term.length) };
+      }
+
+      if (!fuzzy) return null;
+      return this.matchSubsequence(term, lower) || this.matchTypo(term, lower);
+    }
+
+    /**
+     * Match a term as an in-order subsequence ("g4o" in "gpt-4o")
+     * @param {string} term - Lowercase term
+     * @param {string} text - Lowercase text
+     * @returns {Object|null} { score, indices } or null
+     */
+    matchSubsequence(term, text) {
+      if (term.length < 2) return null;
+
+      const indices = [];
+      let position = 0;
+      for (const char of term) {
+        const index = text.indexOf(char, position);
+        if (index === -1) return null;
+        indices.push(index);
+        position = index + 1;
+      }
+
+      // Scattered matches are noise rather than abbreviations
+      const span = indices[indices.length - 1] - indices[0] + 1;
+      if (span > term.length * 3) return null;
+
+      let score = 50 - (span - term.length);
+      indices.forEach((index, i) => {
+        if (isWordStart(text, index)) score += 5;
+        if (i > 0 && indices[i - 1] === index - 1) score += 3;
+      });
+      return { score: Math.max(score, 10), indices };
+    }
+
+    /**
+     * Match a term against the words of a field allowing typos (1 edit, 2 from 8 characters)
+     * @param {string} term - Lowercase term
+     * @param {string} text - Lowercase text
+     * @returns {Object|null} { score, indices } or null
+     */
+    matchTypo(term, text) {
+      if (term.length < 4) return null;
+
+      const maxDistance = term.length >= 8 ? 2 : 1;
+      const wordRegex = /[a-z0-9.]+/g;
+      let best = null;
+      let word;
+
+      while ((word = wordRegex.exec(text)) !== null) {
+        if (Math.abs(word[0].length - term.length) > maxDistance) continue;
+
+        const distance = editDistance(term, word[0]);
+        if (distance <= maxDistance && (!best || distance < best.distance)) {
+          best = { distance, indices: range(word.index, word[0].length) };
+        }
+      }
+
+      return best ? { score: 40 - best.distance * 15, indices: best.indices } : null;
+    }
+
+    /**
+     * Render text with matched characters highlighted
+     * @param {string} text - Field text
+     * @param {Array<number>} indices - Matched positions
+     * @returns {string} Escaped HTML with <mark> around matches
+     */
+    highlight(text, indices) {
+      const matched = new Set(indices);
+      let html = '';
+      let open = false;
+
+      String(text).split('').forEach((char, index) => {
+        if (matched.has(index) !== open) {
+          html += open ? '</mark>' : '<mark class="search-match">';
+          open = !open;
+        }
+        html += DOMUtils.escapeHtml(char);
+      });
+
+      return open ? `${html}</mark>` : html;
+    }
+  }
+
+  // Export singleton instance
+  window.ModelSearch = new ModelSearch();
+
+})();
@@ -0,0 +1,385 @@
+/**
+ * Parameter Panel Module
+ * Handles the sampling parameter controls merged into chat completion requests
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  const MAX_STOP_SEQUENCES = 4;
+  const REASONING_EFFORTS = ['low', 'medium', 'high'];
+
+  // Parameter definitions (key matches the request body field and `supported_parameters`;
+  // definitions with a `field` are nested inside that request object)
+  const PARAMETERS = [
+    { key: 'temperature', label: 'Temperature', type: 'number', min: 0, max: 2, step: 0.1, placeholder: '1.0',
+      help: 'Randomness of the output. Lower is more focused, higher is more creative.' },
+    { key: 'top_p', label: 'Top P', type: 'number', min: 0, max: 1, step: 0.05, placeholder: '1.0',
+      help: 'Nucleus sampling: only consider tokens within this cumulative probability.' },
+    { key: 'top_k', label: 'Top K', type: 'integer', min: 0, step: 1, placeholder: '0',
+      help: 'Only sample from the K most likely tokens (0 disables).' },
+    { key: 'max_tokens', label: 'Max tokens', type: 'integer', min: 1, step: 1, placeholder: 'auto',
+      help: 'Upper limit on the number of tokens generated.' },
+    { key: 'frequency_penalty', label: 'Frequency penalty', type: 'number', min: -2, max: 2, step: 0.1, placeholder: '0',
+      help: 'Penalize tokens by how often they already appeared.' },
+    { key: 'presence_penalty', label: 'Presence penalty', type: 'number', min: -2, max: 2, step: 0.1, placeholder: '0',
+      help: 'Penalize tokens that already appeared at all.' },
+    { key: 'repetition_penalty', label: 'Repetition penalty', type: 'number', min: 0, max: 2, step: 0.05, placeholder: '1.0',
+      help: 'Reduce repetition of tokens from the input (1.0 disables).' },
+    { key: 'seed', label: 'Seed', type: 'integer', step: 1, placeholder: 'random',
+      help: 'Fixed seed for repeatable sampling, where the provider supports it.' },
+    { key: 'stop', label: 'Stop sequences', type: 'list', placeholder: 'One per line',
+      help: `Generation stops at any of these sequences (up to ${MAX_STOP_SEQUENCES}).` },
+    { key: 'reasoning', field: 'effort', label: 'Reasoning effort', type: 'select', options: REASONING_EFFORTS,
+      help: 'How much the model thinks before answering. Use either effort or reasoning max tokens.' },
+    { key: 'reasoning', field: 'max_tokens', label: 'Reasoning max tokens', type: 'integer', min: 1, step: 1, placeholder: 'auto',
+      help: 'Token budget for reasoning. Use either effort or reasoning max tokens.' },
+    { key: 'reasoning', field: 'exclude', label: 'Hide reasoning', type: 'boolean',
+      help: 'The model still reasons, but the reasoning is left out of the response.' }
+  ];
+
+  /**
+   * Get the input ID of a definition
+   * @param {Object} definition - Parameter definition
+   * @returns {string} `key` or `key.field`
+   */
+  function getInputKey(definition) {
+    return definition.field ? `${definition.key}.${definition.field}` : definition.key;
+  }
+
+  /**
+   * Parameter Panel Class
+   * Empty fields are left out of the request so the provider defaults apply
+   */
+  class ParameterPanel {
+    constructor() {
+      this.inputs = {};
+      this.supportedParameters = null;
+      this.modelName = '';
+
+      // DOM elements (will be injected)
+      this.elements = {};
+
+      // Event callbacks
+      this.onChange = null;
+    }
+
+    /**
+     * Initialize the parameter panel with DOM elements
+     * @param {Object} elements - DOM elements object
+     */
+    initialize(elements) {
+      this.elements = elements;
+      this.renderFields();
+      this.setupEventListeners();
+      this.updateSummary();
+    }
+
+    /**
+     * Setup event listeners for the panel
+     */
+    setupEventListeners() {
+      const { resetParametersBtn } = this.elements;
+
+      if (resetParametersBtn) {
+        DOMUtils.addEventListener(resetParametersBtn, 'click', () => {
+          this.setValues({});
+          this.notifyChange();
+        });
+      }
+    }
+
+    /**
+     * Render a field for every parameter definition
+     */
+    renderFields() {
+      const { parametersFields } = this.elements;
+      if (!parametersFields) return;
+
+      DOMUtils.setInnerHTML(parametersFields, '');
+      this.inputs = {};
+
+      PARAMETERS.forEach(definition => {
+        const inputKey = getInputKey(definition);
+        const field = DOMUtils.createElement('div', { className: `param-field${definition.type === 'boolean' ? ' param-boolean' : ''}` });
+        const inputId = `param_${inputKey.replace('.', '_')}`;
+        const label = DOMUtils.createElement('label', {
+          for: inputId,
+          textContent: definition.label,
+          title: definition.help
+        });
+
+        const input = this.createInput(definition, inputId);
+        DOMUtils.addEventListener(input, 'change', () => {
+          this.validateAll();
+          this.notifyChange();
+        });
+
+        field.appendChild(label);
+        field.appendChild(input);
+        parametersFields.appendChild(field);
+        this.inputs[inputKey] = { definition, field, input };
+      });
+    }
+
+    /**
+     * Create the input element for a parameter definition
+     * @param {Object} definition - Parameter definition
+     * @param {string} inputId - Element ID
+     * @returns {HTMLElement} Input element
+     */
+    createInput(definition, inputId) {
+      if (definition.type === 'select') {
+        const select = DOMUtils.createElement('select', { id: inputId, title: definition.help });
+        select.appendChild(DOMUtils.createElement('option', { value: '', textContent: 'default' }));
+        definition.options.forEach(option => {
+          select.appendChild(DOMUtils.createElement('option', { value: option, textContent: option }));
+        });
+        return select;
+      }
+
+      if (definition.type === 'boolean') {
+        return DOMUtils.createElement('input', { id: inputId, type: 'checkbox', title: definition.help });
+      }
+
+      if (definition.type === 'list') {
+        return DOMUtils.createElement('textarea', {
+          id: inputId,
+          rows: 2,
+          placeholder: definition.placeholder,
+          title: definition.help
+        });
+      }
+
+      const input = DOMUtils.createElement('input', {
+        id: inputId,
+        type: 'number',
+        placeholder: definition.placeholder,
+        title: definition.help
+      });
+      if (definition.min !== undefined) input.min = definition.min;
+      if (definition.max !== undefined) input.max = definition.max;
+      if (definition.step !== undefined) input.step = definition.step;
+      return input;
+    }
+
+    /**
+     * Parse the value of a field
+     * @param {string} key - Input key (`key` or `key.field`)
+     * @returns {*} Parsed value, undefined if empty or invalid
+     */
+    readValue(key) {
+      const entry = this.inputs[key];
+      if (!entry) return undefined;
+
+      const { definition, input } = entry;
+      if (definition.type === 'boolean') {
+        return DOMUtils.isChecked(input) ? true : undefined;
+      }
+
+      const raw = DOMUtils.getValue(input).trim();
+      if (raw === '') return undefined;
+
+      if (definition.type === 'select') {
+        return definition.options.includes(raw) ? raw : undefined;
+      }
+
+      // Reasoning effort and token budget are alternatives
+      if (key === 'reasoning.max_tokens' && this.readValue('reasoning.effort') !== undefined) {
+        return undefined;
+      }
+
+      if (definition.type === 'list') {
+        const items = raw.split('\n').map(item => item.replace(/\\n/g, '\n')).filter(item => item.length > 0);
+        return items.length > 0 ? items.slice(0, MAX_STOP_SEQUENCES) : undefined;
+      }
+
+      const value = Number(raw);
+      if (!Number.isFinite(value)) return undefined;
+      if (definition.type === 'integer' && !Number.isInteger(value)) return undefined;
+      if (definition.min !== undefined && value < definition.min) return undefined;
+      if (definition.max !== undefined && value > definition.max) return undefined;
+      return value;
+    }
+
+    /**
+     * Flag a field whose content cannot be used
+     * @param {string} key - Input key
+     */
+    validateField(key) {
+      const { definition, field, input } = this.inputs[key];
+      if (definition.type === 'boolean') return;
+
+      const hasText = DOMUtils.getValue(input).trim() !== '';
+      const invalid = hasText && this.readValue(key) === undefined;
+      field.classList.toggle('invalid', invalid);
+    }
+
+    /**
+     * Flag every field whose content cannot be used
+     */
+    validateAll() {
+      Object.keys(this.inputs).forEach(key => this.validateField(key));
+    }
+
+    /**
+     * Check whether the selected model accepts a parameter
+     * @param {string} key - Parameter key
+     * @returns {boolean} Whether the parameter is supported
+     */
+    isSupported(key) {
+      // Without metadata every control stays enabled
+      return !this.supportedParameters || this.supportedParameters.includes(key);
+    }
+
+    /**
+     * Get all filled-in values, including ones the current model does not support
+     * Used to store parameters with conversations and personas.
+     * @returns {Object} Parameter values
+     */
+    getValues() {
+      const values = {};
+      Object.keys(this.inputs).forEach(inputKey => {
+        const { definition } = this.inputs[inputKey];
+        const value = this.readValue(inputKey);
+        if (value === undefined) return;
+
+        if (definition.field) {
+          values[definition.key] = { ...(values[definition.key] || {}), [definition.field]: value };
+        } else {
+          values[definition.key] = value;
+        }
+      });
+      return values;
+    }
+
+    /**
+     * Get the parameters to merge into the request body
+     * @returns {Object} Supported, filled-in parameter values
+     */
+    getParameters() {
+      const values = this.getValues();
+      Object.keys(values).forEach(key => {
+        if (!this.isSupported(key)) {
+          delete values[key];
+        }
+      });
+      return values;
+    }
+
+    /**
+     * Get the parameters to send to a model other than the selected one
+     * @param {Object|null} model - Model from /models
+     * @returns {Object} Filled-in values that model supports
+     */
+    getParametersForModel(model) {
+      const supported = model && Array.isArray(model.supported_parameters) ? model.supported_parameters : null;
+      const values = this.getValues();
+      Object.keys(values).forEach(key => {
+        if (supported && !supported.includes(key)) {
+          delete values[key];
+        }
+      });
+      return values;
+    }
+
+    /**
+     * Replace all field values
+     * @param {Object} values - Parameter values (missing keys are cleared)
+     */
+    setValues(values) {
+      const saved = values || {};
+
+      Object.keys(this.inputs).forEach(inputKey => {
+        const { definition, input } = this.inputs[inputKey];
+        const value = definition.field ? (saved[definition.key] || {})[definition.field] : saved[definition.key];
+
+        if (definition.type === 'boolean') {
+          DOMUtils.setChecked(input, value === true);
+          return;
+        }
+
+        let text = '';
+
+        if (value !== undefined && value !== null) {
+          text = definition.type === 'list'
+            ? [].concat(value).map(item => String(item).replace(/\n/g, '\\n')).join('\n')
+            : String(value);
+        }
+
+        DOMUtils.setValue(input, text);
+      });
+
+      this.validateAll();
+      this.updateSummary();
+    }
+
+    /**
+     * Enable only the controls the selected model supports
+     * @param {Object|null} model - Selected model from /models
+     */
+    setModel(model) {
+      const supported = model && Array.isArray(model.supported_parameters) ? model.supported_parameters : null;
+      this.supportedParameters = supported;
+      this.modelName = model ? (model.name || model.id) : '';
+
+      Object.keys(this.inputs).forEach(inputKey => {
+        const { definition, field, input } = this.inputs[inputKey];
+        const isSupported = this.isSupported(definition.key);
+
+        field.classList.toggle('unsupported', !isSupported);
+        if (isSupported) {
+          DOMUtils.enableElement(input);
+          input.title = definition.help;
+        } else {
+          DOMUtils.disableElement(input);
+          input.title = `${this.modelName} does not support ${definition.key}; the value is kept but not sent.`;
+        }
+      });
+
+      this.updateSummary();
+    }
+
+    /**
+     * Update the panel summary with the number of active parameters
+     */
+    updateSummary() {
+      const { parametersSummary } = this.elements;
+      if (!parametersSummary) return;
+
+      const setCount = Object.keys(this.getValues()).length;
+      const sentCount = Object.keys(this.getParameters()).length;
+      let summary = 'provider defaults';
+
+      if (setCount > 0) {
+        summary = sentCount === setCount
+          ? `${setCount} set`
+          : `${setCount} set, ${setCount - sentCount} unsupported by this model`;
+      }
+
+      DOMUtils.setTextContent(parametersSummary, summary);
+    }
+
+    /**
+     * Notify listeners that a value changed
+     */
+    notifyChange() {
+      this.updateSummary();
+      if (this.onChange) {
+        this.onChange(this.getValues());
+      }
+    }
+
+    /**
+     * Set change callback
+     * @param {Function} callback - Callback function
+     */
+    setOnChange(callback) {
+      this.onChange = callback;
+    }
+  }
+
+  // Export singleton instance
+  window.ParameterPanel = new ParameterPanel();
+
+})();
@@ -0,0 +1,345 @@
+/**
+ * Persona Manager Module
+ * Handles the system prompt editor and reusable persona presets
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  const PERSONAS_KEY = 'or_personas';
+  const SYSTEM_PROMPT_KEY = 'or_system_prompt';
+  const ACTIVE_PERSONA_KEY = 'or_active_persona';
+
+  /**
+   * Persona Manager Class
+   * A persona is a named system prompt plus default request parameters
+   */
+  class PersonaManager {
+    constructor() {
+      this.personas = [];
+      this.activePersonaId = null;
+
+      // DOM elements (will be injected)
+      this.elements = {};
+
+      // Event callbacks
+      this.onCollectParameters = null;
+      this.onPersonaApplied = null;
+      this.onSystemPromptChanged = null;
+    }
+
+    /**
+     * Initialize the persona manager with DOM elements
+     * @param {Object} elements - DOM elements object
+     */
+    initialize(elements) {
+      this.elements = elements;
+      this.personas = this.loadPersonas();
+      this.setupEventListeners();
+      this.restoreSettings();
+      this.renderPersonaOptions();
+      this.updateSummary();
+    }
+
+    /**
+     * Setup event listeners for the system prompt panel
+     */
+    setupEventListeners() {
+      const { systemPrompt, personaSelect, savePersonaBtn, updatePersonaBtn, deletePersonaBtn } = this.elements;
+
+      if (systemPrompt) {
+        DOMUtils.addEventListener(systemPrompt, 'input', () => {
+          this.saveSettings();
+          this.updateSummary();
+        });
+
+        // Persist with the conversation once editing is done
+        DOMUtils.addEventListener(systemPrompt, 'change', () => {
+          if (this.onSystemPromptChanged) {
+            this.onSystemPromptChanged(this.getSystemPrompt());
+          }
+        });
+      }
+
+      if (personaSelect) {
+        DOMUtils.addEventListener(personaSelect, 'change', () => {
+          this.applyPersona(DOMUtils.getValue(personaSelect) || null);
+        });
+      }
+
+      if (savePersonaBtn) {
+        DOMUtils.addEventListener(savePersonaBtn, 'click', () => {
+          this.saveAsNewPersona();
+        });
+      }
+
+      if (updatePersonaBtn) {
+        DOMUtils.addEventListener(updatePersonaBtn, 'click', () => {
+          this.updateActivePersona();
+        });
+      }
+
+      if (deletePersonaBtn) {
+        DOMUtils.addEventListener(deletePersonaBtn, 'click', () => {
+          this.deleteActivePersona();
+        });
+      }
+    }
+
+    /**
+     * Get the current system prompt
+     * @returns {string} System prompt text
+     */
+    getSystemPrompt() {
+      return DOMUtils.getValue(this.elements.systemPrompt).trim();
+    }
+
+    /**
+     * Get the active persona
+     * @returns {Object|null} Active persona or null
+     */
+    getActivePersona() {
+      return this.personas.find(p => p.id === this.activePersonaId) || null;
+    }
+
+    /**
+     * Get the default parameters of the active persona
+     * @returns {Object} Request parameters
+     */
+    getActiveParameters() {
+      const persona = this.getActivePersona();
+      return persona ? { ...(persona.parameters || {}) } : {};
+    }
+
+    /**
+     * Apply a persona: load its system prompt and notify listeners about its parameters
+     * @param {string|null} personaId - Persona ID (null clears the preset)
+     */
+    applyPersona(personaId) {
+      const persona = this.personas.find(p => p.id === personaId) || null;
+      this.activePersonaId = persona ? persona.id : null;
+
+      if (persona) {
+        DOMUtils.setValue(this.elements.systemPrompt, persona.systemPrompt);
+      }
+
+      this.saveSettings();
+      this.renderPersonaOptions();
+      this.updateSummary();
+
+      if (this.onPersonaApplied) {
+        this.onPersonaApplied(persona);
+      }
+    }
+
+    /**
+     * Restore system prompt and persona saved with a conversation
+     * Parameters are restored separately, so no persona callback is fired.
+     * @param {Object} state - { systemPrompt, personaId }
+     */
+    restoreState(state) {
+      const saved = state || {};
+      const personaExists = this.personas.some(p => p.id === saved.personaId);
+
+      this.activePersonaId = personaExists ? saved.personaId : null;
+      DOMUtils.setValue(this.elements.systemPrompt, saved.systemPrompt || '');
+
+      this.saveSettings();
+      this.renderPersonaOptions();
+      this.updateSummary();
+    }
+
+    /**
+     * Get a serializable snapshot of the persona state
+     * @returns {Object} { systemPrompt, personaId }
+     */
+    getState() {
+      return {
+        systemPrompt: this.getSystemPrompt(),
+        personaId: this.activePersonaId
+      };
+    }
+
+    /**
+     * Save the current system prompt and parameters as a new persona
+     */
+    saveAsNewPersona() {
+      const name = (window.prompt('Name for this persona preset:') || '').trim();
+      if (!name) return;
+
+      const persona = {
+        id: StorageService.generateId('persona'),
+        name: name,
+        systemPrompt: this.getSystemPrompt(),
+        parameters: this.collectParameters()
+      };
+
+      this.personas.push(persona);
+      this.savePersonas();
+      this.applyPersona(persona.id);
+    }
+
+    /**
+     * Overwrite the active persona with the current system prompt and parameters
+     */
+    updateActivePersona() {
+      const persona = this.getActivePersona();
+      if (!persona) return;
+
+      persona.systemPrompt = this.getSystemPrompt();
+      persona.parameters = this.collectParameters();
+      this.savePersonas();
+      this.updateSummary();
+    }
+
+    /**
+     * Delete the active persona after confirmation
+     */
+    async deleteActivePersona() {
+      const persona = this.getActivePersona();
+      if (!persona) return;
+
+      const confirmed = await ModalManager.showConfirmationModal({
+        title: 'Delete persona',
+        message: `Delete the persona "${DOMUtils.escapeHtml(persona.name)}"? The current system prompt is kept.`,
+        confirmText: 'Delete',
+        cancelText: 'Cancel'
+      });
+      if (!confirmed) return;
+
+      this.personas = this.personas.filter(p => p.id !== persona.id);
+      this.activePersonaId = null;
+      this.savePersonas();
+      this.saveSettings();
+      this.renderPersonaOptions();
+      this.updateSummary();
+    }
+
+    /**
+     * Collect the current request parameters for a preset
+     * @returns {Object} Request parameters
+     */
+    collectParameters() {
+      return this.onCollectParameters ? { ...this.onCollectParameters() } : this.getActiveParameters();
+    }
+
+    /**
+     * Render persona options in the select element
+     */
+    renderPersonaOptions() {
+      const { personaSelect, updatePersonaBtn, deletePersonaBtn } = this.elements;
+      if (!personaSelect) return;
+
+      DOMUtils.setInnerHTML(personaSelect, '');
+      personaSelect.appendChild(DOMUtils.createElement('option', { value: '', textContent: '— No preset —' }));
+
+      this.personas.forEach(persona => {
+        personaSelect.appendChild(DOMUtils.createElement('option', {
+          value: persona.id,
+          textContent: persona.name
+        }));
+      });
+
+      DOMUtils.setValue(personaSelect, this.activePersonaId || '');
+
+      const hasActive = !!this.getActivePersona();
+      if (hasActive) {
+        DOMUtils.enableElement(updatePersonaBtn);
+        DOMUtils.enableElement(deletePersonaBtn);
+      } else {
+        DOMUtils.disableElement(updatePersonaBtn);
+        DOMUtils.disableElement(deletePersonaBtn);
+      }
+    }
+
+    /**
+     * Update the collapsed panel summary (active persona / prompt preview)
+     */
+    updateSummary() {
+      const { systemPromptSummary } = this.elements;
+      if (!systemPromptSummary) return;
+
+      const persona = this.getActivePersona();
+      const prompt = this.getSystemPrompt();
+      let summary = 'none';
+
+      if (persona) {
+        const modified = prompt !== (persona.systemPrompt || '').trim();
+        summary = `${persona.name}${modified ? ' (modified)' : ''}`;
+      } else if (prompt) {
+        summary = prompt.length > 60 ? `${prompt.slice(0, 59)}…` : prompt;
+      }
+
+      DOMUtils.setTextContent(systemPromptSummary, summary);
+    }
+
+    /**
+     * Load personas from localStorage
+     * @returns {Array} Saved personas
+     */
+    loadPersonas() {
+      try {
+        const saved = localStorage.getItem(PERSONAS_KEY);
+        const personas = saved ? JSON.parse(saved) : [];
+        return Array.isArray(personas) ? personas : [];
+      } catch (e) {
+        console.warn('Failed to load personas:', e);
+        return [];
+      }
+    }
+
+    /**
+     * Save personas to localStorage
+     */
+    savePersonas() {
+      try {
+        localStorage.setItem(PERSONAS_KEY, JSON.stringify(this.personas));
+      } catch (e) {
+        console.warn('Failed to save personas:', e);
+      }
+    }
+
+    /**
+     * Save the current system prompt and active persona to localStorage
+     */
+    saveSettings() {
+      try {
+        localStorage.setItem(SYSTEM_PROMPT_KEY, DOMUtils.getValue(this.elements.systemPrompt));
+        if (this.activePersonaId) {
+          localStorage.setItem(ACTIVE_PERSONA_KEY, this.activePersonaId);
+        } else {
+          localStorage.removeItem(ACTIVE_PERSONA_KEY);
+        }
+      } catch (e) {
+        console.warn('Failed to save system prompt:', e);
+      }
+    }
+
+    /**
+     * Restore the last system prompt and active persona from localStorage
+     */
+    restoreSettings() {
+      try {
+        DOMUtils.setValue(this.elements.systemPrompt, localStorage.getItem(SYSTEM_PROMPT_KEY) || '');
+        const activeId = localStorage.getItem(ACTIVE_PERSONA_KEY);
+        this.activePersonaId = this.personas.some(p => p.id === activeId) ? activeId : null;
+      } catch (e) {
+        console.warn('Failed to restore system prompt:', e);
+      }
+    }
+
+    /**
+     * Set event callbacks
+     * @param {Object} callbacks - Callback functions
+     */
+    setCallbacks(callbacks) {
+      this.onCollectParameters = callbacks.onCollectParameters;
+      this.onPersonaApplied = callbacks.onPersonaApplied;
+      this.onSystemPromptChanged = callbacks.onSystemPromptChanged;
+    }
+  }
+
+  // Export singleton instance
+  window.PersonaManager = new PersonaManager();
+
+})();
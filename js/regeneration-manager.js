@@ -1,25 +1,30 @@
 /**
  * Regeneration Manager Module
- * Handles response regeneration and history management
+ * Handles response regeneration and the branching message tree
  * Following Single Responsibility Principle
  */
 (function() {
   'use strict';
 
+  // Parent key of the first message(s) of a conversation
+  const ROOT = 'root';
+
   /**
    * Regeneration Manager Class
-   * Encapsulates all regeneration-related functionality
+   * The chat shows one path through a tree of messages. Every regeneration and every
+   * edited user message adds a sibling at that point; the other branches are kept and
+   * can be switched back to, bringing their whole downstream conversation with them.
    */
   class RegenerationManager {
     constructor() {
-      this.regenerationHistory = [];
-      this.currentResponseIndex = -1;
-      this.lastUserMessage = null;
-      this.currentRegenerationControls = null;
-      
+      this.nodes = {};          // message id -> message history entry
+      this.children = {};       // parent id (or ROOT) -> child ids in creation order
+      this.activeChildren = {}; // parent id (or ROOT) -> child id last shown
+      this.parents = {};        // message id -> parent id (or ROOT)
+
       // Event callbacks
       this.onRegenerateRequested = null;
-      this.onResponseChanged = null;
+      this.onBranchChanged = null;
     }
 
     /**
@@ -30,281 +35,221 @@
     }
 
     /**
-     * Store last user message for regeneration
-     * @param {Object} userMessage - User message object
+     * Record the displayed message path in the tree
+     * Entries are stored by reference, so later edits to the history are reflected.
+     * @param {Array} history - Message history (the active path)
      */
-    storeLastUserMessage(userMessage) {
-      // Clear previous regeneration history when storing a new user message
-      this.regenerationHistory = [];
-      this.currentResponseIndex = -1;
-      
-      this.lastUserMessage = {
-        content: userMessage.content,
-        images: userMessage.images ? userMessage.images.slice() : [] // Create a copy
-      };
-      console.log('Stored lastUserMessage:', this.lastUserMessage);
-    }
+    syncWithHistory(history) {
+      let parent = ROOT;
 
-    /**
-     * Add response to regeneration history
-     * @param {string} content - Response content
-     * @param {Array} images - Response images
-     */
-    addResponseToHistory(content, images = []) {
-      const response = {
-        content: content,
-        images: images || [],
-        timestamp: new Date()
-      };
-      
-      this.regenerationHistory.push(response);
-      this.currentResponseIndex = this.regenerationHistory.length - 1;
-      
-      console.log('Added response to history. Total responses:', this.regenerationHistory.length);
-      this.updateRegenerationControls();
-    }
+      (history || []).forEach(message => {
+        if (!message.id) return;
 
-    /**
-     * Clear regeneration history
-     */
-    clearRegenerationHistory() {
-      console.log('clearRegenerationHistory called - clearing lastUserMessage');
-      this.regenerationHistory = [];
-      this.currentResponseIndex = -1;
-      this.lastUserMessage = null;
-      
-      if (this.currentRegenerationControls) {
-        DOMUtils.hideElement(this.currentRegenerationControls);
-      }
+        this.nodes[message.id] = message;
+        if (this.parents[message.id] === undefined) {
+          this.addChild(parent, message.id);
+        }
+        this.activeChildren[parent] = message.id;
+        parent = message.id;
+      });
     }
 
     /**
-     * Clear regeneration history but preserve user message
+     * Attach a message to its parent
+     * @param {string} parent - Parent id (or ROOT)
+     * @param {string} id - Message id
      */
-    clearRegenerationHistoryOnly() {
-      console.log('clearRegenerationHistoryOnly called - preserving lastUserMessage');
-      this.regenerationHistory = [];
-      this.currentResponseIndex = -1;
-      
-      if (this.currentRegenerationControls) {
-        DOMUtils.hideElement(this.currentRegenerationControls);
-      }
+    addChild(parent, id) {
+      (this.children[parent] = this.children[parent] || []).push(id);
+      this.parents[id] = parent;
     }
 
     /**
-     * Regenerate last response
+     * Get the position of a message among its siblings
+     * @param {string} messageId - Message id
+     * @returns {Object|null} { index, count } or null if the message is unknown
      */
-    regenerateLastResponse() {
-      console.log('Regenerate button clicked. lastUserMessage:', this.lastUserMessage);
-      
-      if (!this.lastUserMessage) {
-        console.warn('No user message to regenerate');
-        return;
-      }
-      
-      if (this.onRegenerateRequested) {
-        this.onRegenerateRequested(this.lastUserMessage);
-      }
-    }
+    getBranchInfo(messageId) {
+      const parent = this.parents[messageId];
+      if (parent === undefined) return null;
 
-    /**
-     * Show previous response
-     */
-    showPreviousResponse() {
-      if (this.currentResponseIndex > 0) {
-        this.currentResponseIndex--;
-        this.displayCurrentResponse();
-        this.updateRegenerationControls();
-      }
+      const siblings = this.children[parent] || [];
+      return { index: siblings.indexOf(messageId), count: siblings.length };
     }
 
     /**
-     * Show next response
+     * Show a sibling branch of a message, with its own downstream conversation
+     * @param {string} messageId - Displayed message id
+     * @param {number} offset - -1 for the previous branch, 1 for the next
      */
-    showNextResponse() {
-      if (this.currentResponseIndex < this.regenerationHistory.length - 1) {
-        this.currentResponseIndex++;
-        this.displayCurrentResponse();
-        this.updateRegenerationControls();
+    switchBranch(messageId, offset) {
+      if (ChatManager.isStreaming) return;
+
+      const parent = this.parents[messageId];
+      const siblings = this.children[parent] || [];
+      const target = siblings[siblings.indexOf(messageId) + offset];
+      if (!target) return;
+
+      const history = ChatManager.getMessageHistory();
+      const position = history.findIndex(msg => msg.id === messageId);
+      if (position === -1) return;
+
+      this.activeChildren[parent] = target;
+      const path = [...history.slice(0, position), ...this.getActivePath(target)];
+
+      if (this.onBranchChanged) {
+        this.onBranchChanged(path);
       }
     }
 
     /**
-     * Display current response
+     * Follow the last shown branch down from a message
+     * @param {string} startId - First message id
+     * @returns {Array} Message entries from startId to the end of the branch
      */
-    displayCurrentResponse() {
-      if (this.currentResponseIndex >= 0 && this.currentResponseIndex < this.regenerationHistory.length) {
-        const response = this.regenerationHistory[this.currentResponseIndex];
-        
-        if (this.onResponseChanged) {
-          this.onResponseChanged(response);
-        }
-        
-        // Update the chat history to match the displayed response
-        this.updateChatHistoryWithCurrentResponse();
+    getActivePath(startId) {
+      const path = [];
+      let id = startId;
+
+      while (id && this.nodes[id]) {
+        path.push(this.nodes[id]);
+        id = this.activeChildren[id];
       }
+
+      return path;
     }
 
     /**
-     * Update chat history to match the currently displayed response
+     * Remove a message from the tree
+     * Its replies take its place among its siblings, so the displayed path stays connected.
+     * @param {string} messageId - Message id
      */
-    updateChatHistoryWithCurrentResponse() {
-      if (this.currentResponseIndex >= 0 && this.currentResponseIndex < this.regenerationHistory.length) {
-        const response = this.regenerationHistory[this.currentResponseIndex];
-        
-        // Get current chat history
-        const messageHistory = ChatManager.getMessageHistory();
-        
-        // Find the last assistant message and update it
-        for (let i = messageHistory.length - 1; i >= 0; i--) {
-          if (messageHistory[i].role === 'assistant') {
-            messageHistory[i].content = response.content;
-            messageHistory[i].images = response.images || [];
-            break;
-          }
-        }
-        
-        // Update the chat history
-        ChatManager.setMessageHistory(messageHistory);
+    removeMessage(messageId) {
+      const parent = this.parents[messageId];
+      if (parent === undefined) return;
+
+      const siblings = this.children[parent];
+      const position = siblings.indexOf(messageId);
+      const replies = this.children[messageId] || [];
+
+      siblings.splice(position, 1, ...replies);
+      replies.forEach(id => {
+        this.parents[id] = parent;
+      });
+
+      if (this.activeChildren[parent] === messageId) {
+        this.activeChildren[parent] = this.activeChildren[messageId] || siblings[Math.min(position, siblings.length - 1)];
       }
+      if (siblings.length === 0) {
+        delete this.children[parent];
+        delete this.activeChildren[parent];
+      }
+
+      delete this.nodes[messageId];
+      delete this.children[messageId];
+      delete this.activeChildren[messageId];
+      delete this.parents[messageId];
     }
 
     /**
-     * Update regeneration controls UI
+     * Regenerate a response, or the last one
+     * @param {string} [messageId] - Assistant message to replace with a new branch
      */
-    updateRegenerationControls() {
-      console.log('Updating regeneration controls. History length:', this.regenerationHistory.length);
-      
-      if (this.currentRegenerationControls && this.regenerationHistory.length > 0) {
-        DOMUtils.showElement(this.currentRegenerationControls, 'flex');
-        
-        const counterSpan = this.currentRegenerationControls.querySelector('.response-counter');
-        const prevBtn = this.currentRegenerationControls.querySelector('button[title="Previous response"]');
-        const nextBtn = this.currentRegenerationControls.querySelector('button[title="Next response"]');
-        
-        if (counterSpan) {
-          DOMUtils.setTextContent(counterSpan, `${this.currentResponseIndex + 1}/${this.regenerationHistory.length}`);
-        }
-        
-        if (prevBtn) {
-          prevBtn.disabled = this.currentResponseIndex <= 0;
-        }
-        
-        if (nextBtn) {
-          nextBtn.disabled = this.currentResponseIndex >= this.regenerationHistory.length - 1;
-        }
-        
-        console.log('Regeneration controls shown');
-      } else if (this.currentRegenerationControls) {
-        DOMUtils.hideElement(this.currentRegenerationControls);
-        console.log('Regeneration controls hidden');
+    regenerateFrom(messageId) {
+      if (this.onRegenerateRequested) {
+        this.onRegenerateRequested(messageId);
       }
     }
 
     /**
-     * Set current regeneration controls element
-     * @param {HTMLElement} controlsElement - Controls element
+     * Set event callbacks
+     * @param {Object} callbacks - Callback functions
      */
-    setCurrentRegenerationControls(controlsElement) {
-      this.currentRegenerationControls = controlsElement;
+    setCallbacks(callbacks) {
+      this.onRegenerateRequested = callbacks.onRegenerateRequested;
+      this.onBranchChanged = callbacks.onBranchChanged;
     }
 
     /**
-     * Get regeneration history
-     * @returns {Array} Array of regeneration responses
+     * Get a serializable snapshot of the tree
+     * Messages on the displayed path are saved with the conversation itself,
+     * so only the other branches are included.
+     * @returns {Object} Branch state
      */
-    getRegenerationHistory() {
-      return this.regenerationHistory;
-    }
+    getState() {
+      const toUrls = (images) => (images || []).map(img => typeof img === 'string' ? img : img.data);
+      const displayed = new Set(ChatManager.getMessageHistory().map(msg => msg.id));
 
-    /**
-     * Get current response index
-     * @returns {number} Current response index
-     */
-    getCurrentResponseIndex() {
-      return this.currentResponseIndex;
+      return {
+        children: Object.fromEntries(Object.entries(this.children).map(([parent, ids]) => [parent, ids.slice()])),
+        activeChildren: { ...this.activeChildren },
+        nodes: Object.values(this.nodes)
+          .filter(msg => !displayed.has(msg.id))
+          .map(msg => ({
+            ...msg,
+            images: toUrls(msg.images),
+            timestamp: msg.timestamp instanceof Date ? msg.timestamp.getTime() : msg.timestamp
+          }))
+      };
     }
 
     /**
-     * Get last user message
-     * @returns {Object|null} Last user message or null
+     * Restore a snapshot produced by getState
+     * @param {Object} state - Branch state
+     * @param {Array} history - Restored message history (the displayed path)
      */
-    getLastUserMessage() {
-      return this.lastUserMessage;
-    }
+    restoreState(state, history) {
+      this.reset();
+      const saved = state || {};
 
-    /**
-     * Check if regeneration is available
-     * @returns {boolean} Whether regeneration is available
-     */
-    canRegenerate() {
-      return this.lastUserMessage !== null;
-    }
+      if (!saved.children) {
+        this.syncWithHistory(history);
+        this.restoreLegacyResponses(saved, history);
+        return;
+      }
 
-    /**
-     * Check if there are multiple responses
-     * @returns {boolean} Whether there are multiple responses
-     */
-    hasMultipleResponses() {
-      return this.regenerationHistory.length > 1;
-    }
+      (saved.nodes || []).forEach(msg => {
+        this.nodes[msg.id] = msg;
+      });
+      Object.keys(saved.children).forEach(parent => {
+        saved.children[parent].forEach(id => this.addChild(parent, id));
+      });
+      this.activeChildren = { ...(saved.activeChildren || {}) };
 
-    /**
-     * Check if previous response is available
-     * @returns {boolean} Whether previous response is available
-     */
-    canGoToPrevious() {
-      return this.currentResponseIndex > 0;
+      this.syncWithHistory(history);
     }
 
     /**
-     * Check if next response is available
-     * @returns {boolean} Whether next response is available
+     * Turn the flat response list saved by older versions into sibling branches
+     * @param {Object} saved - Legacy state { regenerationHistory, currentResponseIndex }
+     * @param {Array} history - Restored message history
      */
-    canGoToNext() {
-      return this.currentResponseIndex < this.regenerationHistory.length - 1;
-    }
+    restoreLegacyResponses(saved, history) {
+      const responses = saved.regenerationHistory || [];
+      const last = history && history[history.length - 1];
+      if (responses.length < 2 || !last || last.role !== 'assistant') return;
 
-    /**
-     * Get current response
-     * @returns {Object|null} Current response or null
-     */
-    getCurrentResponse() {
-      if (this.currentResponseIndex >= 0 && this.currentResponseIndex < this.regenerationHistory.length) {
-        return this.regenerationHistory[this.currentResponseIndex];
-      }
-      return null;
-    }
+      const parent = this.parents[last.id];
+      const current = typeof saved.currentResponseIndex === 'number' ? saved.currentResponseIndex : responses.length - 1;
 
-    /**
-     * Set event callbacks
-     * @param {Object} callbacks - Callback functions
-     */
-    setCallbacks(callbacks) {
-      this.onRegenerateRequested = callbacks.onRegenerateRequested;
-      this.onResponseChanged = callbacks.onResponseChanged;
+      this.children[parent] = responses.map((response, index) => {
+        if (index === current) return last.id;
+
+        const id = StorageService.generateId('msg');
+        this.nodes[id] = { ...response, id, role: 'assistant' };
+        this.parents[id] = parent;
+        return id;
+      });
     }
 
     /**
      * Reset to initial state
      */
     reset() {
-      this.clearRegenerationHistory();
-      this.currentRegenerationControls = null;
-    }
-
-    /**
-     * Get regeneration statistics
-     * @returns {Object} Statistics object
-     */
-    getStatistics() {
-      return {
-        totalResponses: this.regenerationHistory.length,
-        currentIndex: this.currentResponseIndex,
-        hasUserMessage: this.lastUserMessage !== null,
-        canRegenerate: this.canRegenerate(),
-        hasMultipleResponses: this.hasMultipleResponses()
-      };
+      this.nodes = {};
+      this.children = {};
+      this.activeChildren = {};
+      this.parents = {};
     }
   }
 
@@ -0,0 +1,299 @@
+/**
+ * Schema Validator Module
+ * Validates JSON values against the JSON Schema subset used by structured outputs
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  /**
+   * Schema Validator Class
+   * Supports type, enum, const, object/array/string/number keywords, combinators
+   * and local `$ref`s. Errors carry a JSON Pointer to the offending value.
+   */
+  class SchemaValidator {
+    /**
+     * Validate a value against a schema
+     * @param {*} value - Parsed JSON value
+     * @param {Object} schema - JSON Schema
+     * @returns {Array} Errors as { path, message } (empty if valid)
+     */
+    validate(value, schema) {
+      const errors = [];
+      this.validateNode(value, schema, '', schema, errors);
+      return errors;
+    }
+
+    /**
+     * Validate one value, collecting errors
+     * @param {*} value - Value to check
+     * @param {Object|boolean} schema - Schema for this value
+     * @param {string} path - JSON Pointer of the value
+     * @param {Object} root - Root schema (for `$ref`)
+     * @param {Array} errors - Collected errors
+     * @param {Array} [refs] - `$ref`s already followed for this value (a repeat is a cycle)
+     */
+    validateNode(value, schema, path, root, errors, refs = []) {
+      if (schema === true || schema === undefined || schema === null) return;
+      if (schema === false) {
+        errors.push({ path, message: 'no value is allowed here' });
+        return;
+      }
+
+      if (schema.$ref) {
+        const target = this.resolveRef(schema.$ref, root);
+        if (!target) {
+          errors.push({ path, message: `cannot resolve ${schema.$ref}` });
+          return;
+        }
+        if (refs.includes(schema.$ref)) {
+          errors.push({ path, message: `${schema.$ref} refers back to itself` });
+          return;
+        }
+        this.validateNode(value, target, path, root, errors, [...refs, schema.$ref]);
+        return;
+      }
+
+      if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => this.matchesType(value, type))) {
+          errors.push({ path, message: `expected ${types.join(' or ')}, got ${this.describeType(value)}` });
+          return;
+        }
+      }
+
+      if (schema.enum && !schema.enum.some(option => this.isEqual(option, value))) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+      }
+
+      if (schema.const !== undefined && !this.isEqual(schema.const, value)) {
+        errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+      }
+
+      if (typeof value === 'string') {
+        this.validateString(value, schema, path, errors);
+      } else if (typeof value === 'number') {
+        this.validateNumber(value, schema, path, errors);
+      } else if (Array.isArray(value)) {
+        this.validateArray(value, schema, path, root, errors);
+      } else if (value && typeof value === 'object') {
+        this.validateObject(value, schema, path, root, errors);
+      }
+
+      this.validateCombinators(value, schema, path, root, errors, refs);
+    }
+
+    /**
+     * Check string keywords
+     */
+    validateString(value, schema, path, errors) {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+      }
+      if (schema.pattern) {
+        try {
+          if (!new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push({ path, message: `must match /${schema.pattern}/` });
+          }
+        } catch (e) {
+          // Patterns JavaScript cannot compile are not checked
+        }
+      }
+    }
+
+    /**
+     * Check number keywords
+     */
+    validateNumber(value, schema, path, errors) {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be ≥ ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `must be ≤ ${schema.maximum}` });
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+      }
+      if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+        errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+      }
+      if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+        errors.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+      }
+    }
+
+    /**
+     * Check array keywords and items
+     */
+    validateArray(value, schema, path, root, errors) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path, message: `must have at most ${schema.maxItems} item(s)` });
+      }
+      if (schema.uniqueItems) {
+        const seen = new Set();
+        value.forEach((item, index) => {
+          const key = JSON.stringify(item);
+          if (seen.has(key)) {
+            errors.push({ path: `${path}/${index}`, message: 'duplicate item' });
+          }
+          seen.add(key);
+        });
+      }
+
+      const prefixItems = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+      value.forEach((item, index) => {
+        const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+        this.validateNode(item, itemSchema, `${path}/${index}`, root, errors);
+      });
+    }
+
+    /**
+     * Check object keywords and properties
+     */
+    validateObject(value, schema, path, root, errors) {
+      const properties = schema.properties || {};
+
+      (schema.required || []).forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) {
+          errors.push({ path, message: `missing required property "${key}"` });
+        }
+      });
+
+      Object.keys(value).forEach(key => {
+        const childPath = `${path}/${this.escapePointer(key)}`;
+        if (Object.prototype.hasOwnProperty.call(properties, key)) {
+          this.validateNode(value[key], properties[key], childPath, root, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: childPath, message: `unexpected property "${key}"` });
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          this.validateNode(value[key], schema.additionalProperties, childPath, root, errors);
+        }
+      });
+
+      const count = Object.keys(value).length;
+      if (schema.minProperties !== undefined && count < schema.minProperties) {
+        errors.push({ path, message: `must have at least ${schema.minProperties} properties` });
+      }
+      if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+        errors.push({ path, message: `must have at most ${schema.maxProperties} properties` });
+      }
+    }
+
+    /**
+     * Check allOf / anyOf / oneOf / not
+     * Subschemas are checked against the real root so `$ref`s inside them resolve as written.
+     */
+    validateCombinators(value, schema, path, root, errors, refs) {
+      if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(subschema => this.validateNode(value, subschema, path, root, errors, refs));
+      }
+
+      const matches = (subschema) => {
+        const scratch = [];
+        this.validateNode(value, subschema, path, root, scratch, refs);
+        return scratch.length === 0;
+      };
+
+      if (Array.isArray(schema.anyOf) && !schema.anyOf.some(matches)) {
+        errors.push({ path, message: 'does not match any allowed schema (anyOf)' });
+      }
+
+      if (Array.isArray(schema.oneOf)) {
+        const count = schema.oneOf.filter(matches).length;
+        if (count !== 1) {
+          errors.push({ path, message: `must match exactly one schema (oneOf), matched ${count}` });
+        }
+      }
+
+      if (schema.not && matches(schema.not)) {
+        errors.push({ path, message: 'matches a disallowed schema (not)' });
+      }
+    }
+
+    /**
+     * Resolve a local `$ref` such as "#/$defs/address"
+     * @param {string} ref - Reference
+     * @param {Object} root - Root schema
+     * @returns {Object|null} Referenced schema
+     */
+    resolveRef(ref, root) {
+      if (ref === '#') return root;
+      if (ref.indexOf('#/') !== 0) return null;
+
+      return ref.slice(2).split('/').reduce((node, part) => {
+        const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+        return node && typeof node === 'object' ? node[key] : undefined;
+      }, root) || null;
+    }
+
+    /**
+     * Check a value against a JSON Schema type name
+     * @param {*} value - Value
+     * @param {string} type - Type name
+     * @returns {boolean} Whether the value has the type
+     */
+    matchesType(value, type) {
+      switch (type) {
+        case 'null': return value === null;
+        case 'boolean': return typeof value === 'boolean';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'string': return typeof value === 'string';
+        case 'array': return Array.isArray(value);
+        case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+        default: return true;
+      }
+    }
+
+    /**
+     * Describe the JSON type of a value for error messages
+     * @param {*} value - Value
+     * @returns {string} Type name
+     */
+    describeType(value) {
+      if (value === null) return 'null';
+      if (Array.isArray(value)) return 'array';
+      if (Number.isInteger(value)) return 'integer';
+      return typeof value;
+    }
+
+    /**
+     * Deep equality for JSON values (object key order does not matter)
+     * @param {*} a - Value
+     * @param {*} b - Value
+     * @returns {boolean} Whether the values are equal
+     */
+    isEqual(a, b) {
+      if (a === b) return true;
+      if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+      if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) &&
+          a.length === b.length && a.every((item, index) => this.isEqual(item, b[index]));
+      }
+
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length &&
+        keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && this.isEqual(a[key], b[key]));
+    }
+
+    /**
+     * Escape a property name for use in a JSON Pointer
+     * @param {string} key - Property name
+     * @returns {string} Escaped segment
+     */
+    escapePointer(key) {
+      return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+  }
+
+  // Export singleton instance
+  window.SchemaValidator = new SchemaValidator();
+
+})();
@@ -0,0 +1,145 @@
+/**
+ * Storage Service Module
+ * Handles IndexedDB persistence for conversations and other app data
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  const DB_NAME = 'openrouter-ui';
+  const DB_VERSION = 2;
+
+  // Object store definitions (name -> options)
+  const STORES = {
+    conversations: { keyPath: 'id', indexes: [{ name: 'updatedAt', keyPath: 'updatedAt' }] },
+    cache: { keyPath: 'key' }
+  };
+
+  /**
+   * Storage Service Class
+   * Thin promise-based wrapper around IndexedDB
+   */
+  class StorageService {
+    constructor() {
+      this.dbPromise = null;
+    }
+
+    /**
+     * Check if IndexedDB is available in this browser
+     * @returns {boolean} Whether IndexedDB can be used
+     */
+    isAvailable() {
+      return typeof window.indexedDB !== 'undefined' && window.indexedDB !== null;
+    }
+
+    /**
+     * Open the database (cached after the first call)
+     * @returns {Promise<IDBDatabase>} Database handle
+     */
+    open() {
+      if (this.dbPromise) return this.dbPromise;
+
+      if (!this.isAvailable()) {
+        return Promise.reject(new Error('IndexedDB is not available in this browser'));
+      }
+
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          Object.keys(STORES).forEach(name => {
+            if (db.objectStoreNames.contains(name)) return;
+            const definition = STORES[name];
+            const store = db.createObjectStore(name, { keyPath: definition.keyPath });
+            (definition.indexes || []).forEach(index => {
+              store.createIndex(index.name, index.keyPath);
+            });
+          });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Allow a later retry if opening failed
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+
+      return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against an object store
+     * @param {string} storeName - Object store name
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async runRequest(storeName, mode, operation) {
+      const db = await this.open();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+
+    /**
+     * Get a record by key
+     * @param {string} storeName - Object store name
+     * @param {string} key - Record key
+     * @returns {Promise<Object|undefined>} Stored record
+     */
+    get(storeName, key) {
+      return this.runRequest(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Get all records from a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<Array>} Stored records
+     */
+    getAll(storeName) {
+      return this.runRequest(storeName, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName - Object store name
+     * @param {Object} record - Record to store
+     * @returns {Promise<string>} Record key
+     */
+    put(storeName, record) {
+      return this.runRequest(storeName, 'readwrite', store => store.put(record));
+    }
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName - Object store name
+     * @param {string} key - Record key
+     * @returns {Promise} Completion promise
+     */
+    delete(storeName, key) {
+      return this.runRequest(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Generate a unique identifier
+     * @param {string} prefix - Identifier prefix
+     * @returns {string} Unique identifier
+     */
+    generateId(prefix = 'id') {
+      const random = Math.random().toString(36).slice(2, 10);
+      return `${prefix}_${Date.now().toString(36)}_${random}`;
+    }
+  }
+
+  // Export singleton instance
+  window.StorageService = new StorageService();
+
+})();
@@ -0,0 +1,352 @@
+/**
+ * Structured Output Module
+ * Handles the response schema editor, client-side validation of replies and the JSON tree view
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  const SCHEMA_KEY = 'or_structured_schema';
+
+  // Example extraction schema shown on first use
+  const EXAMPLE_SCHEMA = {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'Full name of the person' },
+      email: { type: 'string', description: 'Email address' },
+      topics: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Topics mentioned in the text'
+      }
+    },
+    required: ['name', 'email', 'topics'],
+    additionalProperties: false
+  };
+
+  /**
+   * Structured Output Class
+   * The schema is sent as `response_format: { type: 'json_schema' }`
+   */
+  class StructuredOutput {
+    constructor() {
+      this.schema = null;
+      this.schemaError = '';
+
+      // DOM elements (will be injected)
+      this.elements = {};
+    }
+
+    /**
+     * Initialize the structured output panel with DOM elements
+     * @param {Object} elements - DOM elements object
+     */
+    initialize(elements) {
+      this.elements = elements;
+      this.restoreSettings();
+      this.setupEventListeners();
+      this.parseSchema();
+    }
+
+    /**
+     * Setup event listeners for the schema editor
+     */
+    setupEventListeners() {
+      const { schemaEditor, schemaName, schemaStrict, formatSchemaBtn, exampleSchemaBtn } = this.elements;
+
+      if (schemaEditor) {
+        DOMUtils.addEventListener(schemaEditor, 'input', () => {
+          this.parseSchema();
+          this.saveSettings();
+        });
+      }
+
+      [schemaName, schemaStrict].forEach(element => {
+        if (element) {
+          DOMUtils.addEventListener(element, 'change', () => {
+            this.parseSchema();
+            this.saveSettings();
+          });
+        }
+      });
+
+      if (formatSchemaBtn) {
+        DOMUtils.addEventListener(formatSchemaBtn, 'click', () => {
+          if (!this.schema) return;
+          DOMUtils.setValue(schemaEditor, JSON.stringify(this.schema, null, 2));
+          this.saveSettings();
+        });
+      }
+
+      if (exampleSchemaBtn) {
+        DOMUtils.addEventListener(exampleSchemaBtn, 'click', () => {
+          DOMUtils.setValue(schemaEditor, JSON.stringify(EXAMPLE_SCHEMA, null, 2));
+          this.parseSchema();
+          this.saveSettings();
+        });
+      }
+    }
+
+    /**
+     * Parse the schema in the editor and show any problem
+     */
+    parseSchema() {
+      const { schemaEditor, schemaError } = this.elements;
+      const text = DOMUtils.getValue(schemaEditor).trim();
+
+      this.schema = null;
+      this.schemaError = '';
+
+      if (!text) {
+        this.schemaError = 'Enter a JSON Schema for the response.';
+      } else {
+        try {
+          const schema = JSON.parse(text);
+          if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            this.schemaError = 'The schema must be a JSON object.';
+          } else {
+            this.schema = schema;
+          }
+        } catch (e) {
+          this.schemaError = `Invalid JSON: ${e.message}`;
+        }
+      }
+
+      if (schemaEditor) {
+        schemaEditor.classList.toggle('invalid', !!this.schemaError);
+      }
+      DOMUtils.setTextContent(schemaError, this.schemaError);
+      this.updateSummary();
+    }
+
+    /**
+     * Get the schema name sent with the request
+     * @returns {string} Name matching the API's [a-zA-Z0-9_-] rule
+     */
+    getSchemaName() {
+      const name = DOMUtils.getValue(this.elements.schemaName).trim().replace(/[^a-zA-Z0-9_-]/g, '_');
+      return name || 'response';
+    }
+
+    /**
+     * Get the `response_format` request field
+     * @returns {Object|null} Response format, or null while the schema is invalid
+     */
+    getResponseFormat() {
+      if (!this.schema) return null;
+
+      return {
+        type: 'json_schema',
+        json_schema: {
+          name: this.getSchemaName(),
+          strict: DOMUtils.isChecked(this.elements.schemaStrict),
+          schema: this.schema
+        }
+      };
+    }
+
+    /**
+     * Get the problem with the current schema
+     * @returns {string} Error message (empty if the schema is usable)
+     */
+    getSchemaError() {
+      return this.schemaError;
+    }
+
+    /**
+     * Parse a reply and validate it against a schema
+     * The schema is kept in the result so a hand-edited reply is checked against the schema
+     * it was generated with, not the one in the editor at the time of the edit.
+     * @param {string} content - Reply text
+     * @param {Object} [previous] - Earlier result of this reply ({ schemaName, schema }); defaults to the current schema
+     * @returns {Object} { schemaName, schema, parseError, errors }
+     */
+    evaluateResponse(content, previous = null) {
+      const schema = previous && previous.schema ? previous.schema : this.schema;
+      const schemaName = previous && previous.schema ? previous.schemaName : this.getSchemaName();
+      const result = { schemaName, schema, parseError: null, errors: [] };
+      const parsed = this.parseJson(content);
+
+      if (parsed.error) {
+        result.parseError = parsed.error;
+      } else if (schema) {
+        result.errors = SchemaValidator.validate(parsed.value, schema);
+      }
+
+      return result;
+    }
+
+    /**
+     * Parse JSON from a reply, accepting a surrounding Markdown code fence
+     * @param {string} content - Reply text
+     * @returns {Object} { value } or { error }
+     */
+    parseJson(content) {
+      const text = (content || '').trim();
+      const fenced = text.match(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/);
+
+      try {
+        return { value: JSON.parse(fenced ? fenced[1] : text) };
+      } catch (e) {
+        return { error: e.message };
+      }
+    }
+
+    /**
+     * Build the result view of a structured reply: validation status and JSON tree
+     * @param {string} content - Reply text
+     * @param {Object} structured - Result of evaluateResponse
+     * @returns {HTMLElement} View element
+     */
+    createResultView(content, structured) {
+      const view = DOMUtils.createElement('div', { className: 'structured-output' });
+      const errorCount = structured.errors ? structured.errors.length : 0;
+
+      let statusText = `✓ Valid against "${structured.schemaName}"`;
+      let statusClass = 'valid';
+      if (structured.parseError) {
+        statusText = `✗ Not valid JSON: ${structured.parseError}`;
+        statusClass = 'invalid';
+      } else if (errorCount > 0) {
+        statusText = `✗ ${errorCount} schema violation(s) against "${structured.schemaName}"`;
+        statusClass = 'invalid';
+      }
+
+      view.appendChild(DOMUtils.createElement('div', {
+        className: `structured-status ${statusClass}`,
+        textContent: statusText
+      }));
+
+      if (structured.parseError) return view;
+
+      // Errors are shown next to the value they refer to
+      const errorsByPath = {};
+      (structured.errors || []).forEach(error => {
+        (errorsByPath[error.path] = errorsByPath[error.path] || []).push(error.message);
+      });
+
+      const tree = DOMUtils.createElement('div', { className: 'json-tree' });
+      tree.appendChild(this.createTreeNode(null, this.parseJson(content).value, '', errorsByPath));
+      view.appendChild(tree);
+
+      return view;
+    }
+
+    /**
+     * Create a tree node for a JSON value
+     * @param {string|null} key - Property name or index (null for the root)
+     * @param {*} value - JSON value
+     * @param {string} path - JSON Pointer of the value
+     * @param {Object} errorsByPath - Error messages keyed by path
+     * @returns {HTMLElement} Node element
+     */
+    createTreeNode(key, value, path, errorsByPath) {
+      const errors = errorsByPath[path] || [];
+      const isContainer = value !== null && typeof value === 'object';
+
+      const label = DOMUtils.createElement('span', { className: 'json-row' });
+      if (key !== null) {
+        label.appendChild(DOMUtils.createElement('span', { className: 'json-key', textContent: `${key}: ` }));
+      }
+
+      if (isContainer) {
+        const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+        label.appendChild(DOMUtils.createElement('span', {
+          className: 'json-meta',
+          textContent: Array.isArray(value) ? `[ ${entries.length} item(s) ]` : `{ ${entries.length} key(s) }`
+        }));
+        this.appendErrors(label, errors);
+
+        const node = DOMUtils.createElement('details', {
+          className: `json-node${errors.length > 0 ? ' json-invalid' : ''}`
+        });
+        node.open = true;
+
+        const summary = DOMUtils.createElement('summary');
+        summary.appendChild(label);
+        node.appendChild(summary);
+
+        const children = DOMUtils.createElement('div', { className: 'json-children' });
+        entries.forEach(([childKey, childValue]) => {
+          children.appendChild(this.createTreeNode(childKey, childValue, `${path}/${SchemaValidator.escapePointer(childKey)}`, errorsByPath));
+        });
+        node.appendChild(children);
+        return node;
+      }
+
+      label.appendChild(DOMUtils.createElement('span', {
+        className: `json-value json-${value === null ? 'null' : typeof value}`,
+        textContent: JSON.stringify(value)
+      }));
+      this.appendErrors(label, errors);
+
+      const leaf = DOMUtils.createElement('div', {
+        className: `json-leaf${errors.length > 0 ? ' json-invalid' : ''}`
+      });
+      leaf.appendChild(label);
+      return leaf;
+    }
+
+    /**
+     * Append inline error messages to a row
+     * @param {HTMLElement} row - Row element
+     * @param {Array} errors - Error messages
+     */
+    appendErrors(row, errors) {
+      errors.forEach(message => {
+        row.appendChild(DOMUtils.createElement('span', {
+          className: 'json-error',
+          textContent: `⚠ ${message}`
+        }));
+      });
+    }
+
+    /**
+     * Update the panel summary with the schema name and status
+     */
+    updateSummary() {
+      const { schemaSummary } = this.elements;
+      if (!schemaSummary) return;
+
+      DOMUtils.setTextContent(schemaSummary, this.schema ? this.getSchemaName() : 'invalid schema');
+    }
+
+    /**
+     * Save the schema editor contents to localStorage
+     */
+    saveSettings() {
+      const { schemaEditor, schemaName, schemaStrict } = this.elements;
+      try {
+        localStorage.setItem(SCHEMA_KEY, JSON.stringify({
+          name: DOMUtils.getValue(schemaName),
+          strict: DOMUtils.isChecked(schemaStrict),
+          schema: DOMUtils.getValue(schemaEditor)
+        }));
+      } catch (e) {
+        console.warn('Failed to save response schema:', e);
+      }
+    }
+
+    /**
+     * Restore the schema editor contents from localStorage (example schema on first use)
+     */
+    restoreSettings() {
+      const { schemaEditor, schemaName, schemaStrict } = this.elements;
+      let saved = null;
+
+      try {
+        saved = JSON.parse(localStorage.getItem(SCHEMA_KEY) || 'null');
+      } catch (e) {
+        console.warn('Failed to restore response schema:', e);
+      }
+
+      DOMUtils.setValue(schemaName, saved ? saved.name : 'contact');
+      DOMUtils.setChecked(schemaStrict, saved ? saved.strict !== false : true);
+      DOMUtils.setValue(schemaEditor, saved ? saved.schema : JSON.stringify(EXAMPLE_SCHEMA, null, 2));
+    }
+  }
+
+  // Export singleton instance
+  window.StructuredOutput = new StructuredOutput();
+
+})();
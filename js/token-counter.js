@@ -0,0 +1,308 @@
+/**
+ * Token Counter Module
+ * Estimates request sizes per tokenizer family and shows them against the model's context window
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  // Used when the model's tokenizer is unknown
+  const CHARS_PER_TOKEN = 4;
+
+  // Role markers and separators added around every chat message
+  const TOKENS_PER_MESSAGE = 4;
+
+  // Share of the context window above which the meter turns amber
+  const WARNING_RATIO = 0.8;
+
+  // Rough models of the tokenizers named in `architecture.tokenizer`:
+  // wordLength     - letters in a word that is usually a single token
+  // charsPerToken  - average letters per token in longer words
+  // digitsPerToken - digits merged into one token (1 for per-digit tokenizers)
+  // cjkPerToken    - CJK characters per token
+  // imageTokens    - typical cost of one input image
+  const TOKENIZERS = {
+    GPT: { wordLength: 8, charsPerToken: 4.2, digitsPerToken: 3, cjkPerToken: 1.2, imageTokens: 765 },
+    Claude: { wordLength: 7, charsPerToken: 3.6, digitsPerToken: 1, cjkPerToken: 0.8, imageTokens: 1600 },
+    Gemini: { wordLength: 8, charsPerToken: 4, digitsPerToken: 1, cjkPerToken: 1, imageTokens: 258 },
+    Llama3: { wordLength: 8, charsPerToken: 4.2, digitsPerToken: 3, cjkPerToken: 1, imageTokens: 1600 },
+    Llama2: { wordLength: 5, charsPerToken: 3.2, digitsPerToken: 1, cjkPerToken: 0.7, imageTokens: 765 },
+    Mistral: { wordLength: 6, charsPerToken: 3.5, digitsPerToken: 1, cjkPerToken: 0.8, imageTokens: 1024 },
+    Qwen: { wordLength: 8, charsPerToken: 4, digitsPerToken: 1, cjkPerToken: 1.4, imageTokens: 1024 },
+    DeepSeek: { wordLength: 8, charsPerToken: 4, digitsPerToken: 3, cjkPerToken: 1.3, imageTokens: 765 }
+  };
+
+  // Model ID prefixes for models whose metadata names no known tokenizer
+  const PROVIDER_TOKENIZERS = {
+    openai: 'GPT',
+    anthropic: 'Claude',
+    google: 'Gemini',
+    'meta-llama': 'Llama3',
+    mistralai: 'Mistral',
+    qwen: 'Qwen',
+    deepseek: 'DeepSeek'
+  };
+
+  // Splits text roughly the way BPE tokenizers pre-tokenize it
+  const PIECE_PATTERN = / ?[\p{L}\p{M}]+| ?\p{N}+| ?[^\s\p{L}\p{M}\p{N}]+|\s+/gu;
+  const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+
+  /**
+   * Estimate the tokens of one pre-tokenized piece
+   * @param {string} piece - Word, number, punctuation or whitespace run
+   * @param {Object} tokenizer - Tokenizer profile
+   * @returns {number} Token estimate
+   */
+  function countPiece(piece, tokenizer) {
+    const text = piece.trim();
+    if (!text) return Math.ceil(piece.length / 8);
+
+    if (/^\p{N}+$/u.test(text)) {
+      return Math.ceil(text.length / tokenizer.digitsPerToken);
+    }
+    if (!/[\p{L}\p{N}]/u.test(text)) {
+      return Math.ceil(text.length / 2);
+    }
+
+    const cjk = (text.match(CJK_PATTERN) || []).length;
+    const letters = text.length - cjk;
+    let tokens = cjk / tokenizer.cjkPerToken;
+    if (letters > 0) {
+      tokens += letters <= tokenizer.wordLength ? 1 : letters / tokenizer.charsPerToken;
+    }
+    return Math.max(1, Math.ceil(tokens));
+  }
+
+  /**
+   * Token Counter Class
+   * Counts are estimates: close for the families above, a character ratio otherwise.
+   */
+  class TokenCounter {
+    constructor() {
+      this.model = null;
+      this.maxTokens = null;   // `max_tokens` parameter, if set
+      this.context = { system: 0, history: 0, imageTokens: 0, images: 0 };
+      this.draft = { tokens: 0, imageTokens: 0, images: 0 };
+
+      // DOM elements (will be injected)
+      this.elements = {};
+    }
+
+    /**
+     * Initialize the token counter with DOM elements
+     * @param {Object} elements - DOM elements object
+     */
+    initialize(elements) {
+      this.elements = elements;
+      this.render();
+    }
+
+    /**
+     * Get the tokenizer profile of a model
+     * @param {Object|null} model - Model from /models
+     * @returns {Object|null} Tokenizer profile, null to fall back to characters
+     */
+    getTokenizer(model) {
+      if (!model) return null;
+
+      const name = model.architecture && model.architecture.tokenizer;
+      if (name && TOKENIZERS[name]) return TOKENIZERS[name];
+
+      // Versioned names such as "Llama4" or "Qwen3" share their family's profile
+      const family = name && Object.keys(TOKENIZERS).find(key => name.startsWith(key.replace(/\d+$/, '')));
+      if (family) return TOKENIZERS[family];
+
+      const provider = PROVIDER_TOKENIZERS[String(model.id || '').split('/')[0]];
+      return provider ? TOKENIZERS[provider] : null;
+    }
+
+    /**
+     * Estimate the tokens of a text
+     * @param {string} text - Text
+     * @param {Object|null} model - Model whose tokenizer to approximate
+     * @returns {number} Token estimate
+     */
+    countText(text, model) {
+      if (!text) return 0;
+
+      const tokenizer = this.getTokenizer(model);
+      if (!tokenizer) return Math.ceil(text.length / CHARS_PER_TOKEN);
+
+      const pieces = text.match(PIECE_PATTERN) || [];
+      return pieces.reduce((sum, piece) => sum + countPiece(piece, tokenizer), 0);
+    }
+
+    /**
+     * Estimate the tokens of input images
+     * @param {number} count - Number of images
+     * @param {Object|null} model - Model whose tokenizer to approximate
+     * @returns {number} Token estimate
+     */
+    countImages(count, model) {
+      const tokenizer = this.getTokenizer(model);
+      return count * (tokenizer ? tokenizer.imageTokens : TOKENIZERS.GPT.imageTokens);
+    }
+
+    /**
+     * Estimate the tokens of API messages
+     * @param {Array} messages - Chat completion messages
+     * @param {Object|null} model - Model whose tokenizer to approximate
+     * @returns {Object} { tokens (text), imageTokens, images }
+     */
+    countMessages(messages, model) {
+      const result = { tokens: 0, imageTokens: 0, images: 0 };
+
+      (messages || []).forEach(message => {
+        result.tokens += TOKENS_PER_MESSAGE;
+
+        if (typeof message.content === 'string') {
+          result.tokens += this.countText(message.content, model);
+        } else if (Array.isArray(message.content)) {
+          message.content.forEach(part => {
+            if (part.type === 'text') {
+              result.tokens += this.countText(part.text, model);
+            } else if (part.type === 'image_url') {
+              result.images++;
+            }
+          });
+        }
+
+        (message.tool_calls || []).forEach(call => {
+          const fn = call.function || {};
+          result.tokens += this.countText(`${fn.name || ''} ${fn.arguments || ''}`, model);
+        });
+      });
+
+      result.imageTokens = this.countImages(result.images, model);
+      return result;
+    }
+
+    /**
+     * Get the context window and completion limit of a model
+     * @param {Object|null} model - Model from /models
+     * @returns {Object} { context, maxCompletion } (null where unknown)
+     */
+    getLimits(model) {
+      const provider = (model && model.top_provider) || {};
+      return {
+        context: (model && model.context_length) || provider.context_length || null,
+        maxCompletion: provider.max_completion_tokens || null
+      };
+    }
+
+    /**
+     * Describe why a request would not fit a model's context window
+     * @param {Object} model - Model the request goes to
+     * @param {Array} messages - Request messages
+     * @param {number} [maxTokens] - `max_tokens` parameter, if set
+     * @returns {string} Problem description, empty if the request fits (or the window is unknown)
+     */
+    describeOverflow(model, messages, maxTokens) {
+      const { context } = this.getLimits(model);
+      if (!context) return '';
+
+      const counts = this.countMessages(messages, model);
+      const prompt = counts.tokens + counts.imageTokens;
+      const name = DOMUtils.escapeHtml(model.name || model.id);
+      const format = (tokens) => UsageTracker.formatTokens(tokens);
+
+      if (prompt > context) {
+        return `The conversation is about ${format(prompt)} tokens, more than the ${format(context)}-token context window of ${name}.`;
+      }
+      if (maxTokens && prompt + maxTokens > context) {
+        return `About ${format(prompt)} tokens of input plus ${format(maxTokens)} max tokens exceed the ${format(context)}-token context window of ${name}.`;
+      }
+      return '';
+    }
+
+    /**
+     * Recount the parts of the next request that do not change while typing
+     * @param {Object|null} model - Selected model
+     * @param {Array} messages - Messages built from the system prompt and history
+     * @param {number} [maxTokens] - `max_tokens` parameter, if set
+     */
+    setContext(model, messages, maxTokens) {
+      const system = (messages || []).filter(msg => msg.role === 'system');
+      const history = this.countMessages((messages || []).filter(msg => msg.role !== 'system'), model);
+
+      this.model = model || null;
+      this.maxTokens = maxTokens || null;
+      this.context = {
+        system: this.countMessages(system, model).tokens,
+        history: history.tokens,
+        imageTokens: history.imageTokens,
+        images: history.images
+      };
+      this.render();
+    }
+
+    /**
+     * Recount the message being written
+     * @param {string} text - Draft text
+     * @param {number} imageCount - Number of attached images
+     */
+    setDraft(text, imageCount) {
+      const hasContent = !!text || imageCount > 0;
+
+      this.draft = {
+        tokens: hasContent ? TOKENS_PER_MESSAGE + this.countText(text, this.model) : 0,
+        imageTokens: this.countImages(imageCount, this.model),
+        images: imageCount
+      };
+      this.render();
+    }
+
+    /**
+     * Render the context meter below the prompt
+     */
+    render() {
+      const { contextMeter, contextMeterFill, contextMeterReserve, contextMeterLabel } = this.elements;
+      if (!contextMeter) return;
+
+      const format = (tokens) => UsageTracker.formatTokens(tokens);
+      const images = this.context.images + this.draft.images;
+      const imageTokens = this.context.imageTokens + this.draft.imageTokens;
+      const prompt = this.context.system + this.context.history + this.draft.tokens + imageTokens;
+      const { context, maxCompletion } = this.getLimits(this.model);
+
+      const parts = [
+        `draft ${format(this.draft.tokens)}`,
+        `system ${format(this.context.system)}`,
+        `history ${format(this.context.history)}`,
+        `images ${format(imageTokens)}${images > 0 ? ` (${images})` : ''}`
+      ];
+
+      if (!context) {
+        DOMUtils.setTextContent(contextMeterLabel, `~${format(prompt)} tokens · ${parts.join(' · ')}`);
+        contextMeter.title = 'Approximate token count; the context window of this model is unknown.';
+        contextMeterFill.style.width = '0%';
+        contextMeterReserve.style.width = '0%';
+        contextMeter.classList.remove('warning', 'over');
+        return;
+      }
+
+      // Room the reply can take: max_tokens if set, else the provider's completion limit
+      const reply = this.maxTokens || maxCompletion || 0;
+      const reserve = Math.max(0, Math.min(reply, context - prompt));
+      const isOver = prompt > context || (!!this.maxTokens && prompt + this.maxTokens > context);
+
+      contextMeterFill.style.width = `${Math.min(100, (prompt / context) * 100)}%`;
+      contextMeterReserve.style.width = `${(reserve / context) * 100}%`;
+      contextMeter.classList.toggle('over', isOver);
+      contextMeter.classList.toggle('warning', !isOver && prompt + reply > context * WARNING_RATIO);
+
+      DOMUtils.setTextContent(contextMeterLabel,
+        `~${format(prompt)} / ${format(context)} tokens (${Math.round((prompt / context) * 100)}%) · ${parts.join(' · ')}`);
+      contextMeter.title = [
+        `Approximate tokens of the next request against the ${format(context)}-token context window.`,
+        maxCompletion ? `Replies can use up to ${format(maxCompletion)} tokens (provider limit).` : '',
+        this.maxTokens ? `max_tokens reserves ${format(this.maxTokens)} tokens for the reply.` : '',
+        this.getTokenizer(this.model) ? '' : 'Unknown tokenizer: counted as 4 characters per token.'
+      ].filter(Boolean).join('\n');
+    }
+  }
+
+  // Export singleton instance
+  window.TokenCounter = new TokenCounter();
+
+})();
@@ -0,0 +1,524 @@
+/**
+ * Tool Manager Module
+ * Handles the tool registry and runs tool implementations in a sandboxed Web Worker
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  const TOOLS_KEY = 'or_tools';
+  const TOOL_TIMEOUT_MS = 10000;
+  const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+  // Worker globals removed before tool code runs: network, storage, script loading and nested workers
+  const BLOCKED_WORKER_GLOBALS = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'WebTransport', 'importScripts',
+    'indexedDB', 'caches', 'Worker', 'SharedWorker', 'BroadcastChannel'
+  ];
+
+  // Example tools offered on first use (disabled until the user enables them)
+  const DEFAULT_TOOLS = [
+    {
+      name: 'get_current_time',
+      description: 'Get the current date and time, optionally in a given IANA time zone.',
+      parameters: {
+        type: 'object',
+        properties: {
+          timezone: { type: 'string', description: 'IANA time zone, e.g. "Europe/Berlin"' }
+        }
+      },
+      code: "return new Date().toLocaleString('en-US', args.timezone ? { timeZone: args.timezone } : {});"
+    },
+    {
+      name: 'calculate',
+      description: 'Evaluate an arithmetic expression, e.g. "(2 + 3) * 4 ^ 2".',
+      parameters: {
+        type: 'object',
+        properties: {
+          expression: { type: 'string', description: 'Arithmetic expression using + - * / % ^ and parentheses' }
+        },
+        required: ['expression']
+      },
+      code: "if (!/^[\\d\\s+\\-*/().%^]+$/.test(args.expression || '')) {\n" +
+        "  throw new Error('Only arithmetic expressions are supported');\n" +
+        "}\n" +
+        "return Function('\"use strict\"; return (' + args.expression.replace(/\\^/g, '**') + ');')();"
+    }
+  ];
+
+  // Syntax check for implementations without running them
+  const AsyncFunction = Object.getPrototypeOf(async function() {}).constructor;
+
+  /**
+   * Tool Manager Class
+   * A tool is a function definition (name, description, JSON schema) plus the
+   * body of an async JavaScript function that receives the parsed arguments as `args`
+   */
+  class ToolManager {
+    constructor() {
+      this.tools = [];
+      this.editingToolId = null;
+      this.modelSupportsTools = true;
+      this.activeRuns = new Set();
+
+      // DOM elements (will be injected)
+      this.elements = {};
+    }
+
+    /**
+     * Initialize the tool manager with DOM elements
+     * @param {Object} elements - DOM elements object
+     */
+    initialize(elements) {
+      this.elements = elements;
+      this.tools = this.loadTools();
+      this.setupEventListeners();
+      this.renderToolList();
+      this.updateSummary();
+    }
+
+    /**
+     * Setup event listeners for the tools panel
+     */
+    setupEventListeners() {
+      const { addToolBtn, saveToolBtn, cancelToolBtn } = this.elements;
+
+      if (addToolBtn) {
+        DOMUtils.addEventListener(addToolBtn, 'click', () => {
+          this.openEditor(null);
+        });
+      }
+
+      if (saveToolBtn) {
+        DOMUtils.addEventListener(saveToolBtn, 'click', () => {
+          this.saveEditor();
+        });
+      }
+
+      if (cancelToolBtn) {
+        DOMUtils.addEventListener(cancelToolBtn, 'click', () => {
+          this.closeEditor();
+        });
+      }
+    }
+
+    /**
+     * Get the enabled tools
+     * @returns {Array} Enabled tools
+     */
+    getEnabledTools() {
+      return this.tools.filter(tool => tool.enabled);
+    }
+
+    /**
+     * Get the `tools` request field for a model
+     * @param {Object|null} model - Model the request is sent to
+     * @returns {Array} Function definitions (empty if none apply)
+     */
+    getRequestTools(model) {
+      if (model && window.ModelManager && !ModelManager.hasCapability(model, 'tools')) {
+        return [];
+      }
+
+      return this.getEnabledTools().map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+    }
+
+    /**
+     * Track whether the selected model accepts tools
+     * @param {Object|null} model - Selected model from /models
+     */
+    setModel(model) {
+      this.modelSupportsTools = !model || !window.ModelManager || ModelManager.hasCapability(model, 'tools');
+      this.updateSummary();
+    }
+
+    /**
+     * Merge streamed tool call fragments into complete calls
+     * Arguments arrive as string pieces keyed by the call's index.
+     * @param {Array} calls - Accumulated calls, updated in place
+     * @param {Array} fragments - `delta.tool_calls` from a stream chunk
+     */
+    accumulateToolCallDeltas(calls, fragments) {
+      fragments.forEach(fragment => {
+        const index = typeof fragment.index === 'number' ? fragment.index : calls.length;
+        const call = calls[index] || (calls[index] = { id: '', name: '', arguments: '' });
+
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name && !call.name) call.name = fragment.function.name;
+        if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+      });
+    }
+
+    /**
+     * Normalize tool calls from a response message or accumulated stream
+     * @param {Array} toolCalls - Tool calls in API or accumulated form
+     * @returns {Array} Calls as { id, name, arguments }
+     */
+    normalizeToolCalls(toolCalls) {
+      return (toolCalls || []).filter(Boolean).map((call, index) => ({
+        id: call.id || `call_${index}`,
+        name: call.function ? call.function.name : call.name,
+        arguments: (call.function ? call.function.arguments : call.arguments) || '{}'
+      })).filter(call => call.name);
+    }
+
+    /**
+     * Execute a tool call
+     * Failures are returned as results so the model can see and react to them.
+     * @param {Object} call - { id, name, arguments }
+     * @returns {Promise<Object>} { result, isError, durationMs }
+     */
+    async executeToolCall(call) {
+      const started = Date.now();
+      const tool = this.getEnabledTools().find(t => t.name === call.name);
+      const fail = (message) => ({ result: `Error: ${message}`, isError: true, durationMs: Date.now() - started });
+
+      if (!tool) {
+        return fail(`unknown tool "${call.name}"`);
+      }
+
+      let args;
+      try {
+        args = call.arguments ? JSON.parse(call.arguments) : {};
+      } catch (e) {
+        return fail(`invalid JSON arguments (${e.message})`);
+      }
+
+      try {
+        const value = await this.runInWorker(tool.code, args);
+        return {
+          result: typeof value === 'string' ? value : JSON.stringify(value),
+          isError: false,
+          durationMs: Date.now() - started
+        };
+      } catch (e) {
+        return fail(e.message);
+      }
+    }
+
+    /**
+     * Run a tool implementation in a throwaway Web Worker
+     * The worker has no access to the page, its DOM or storage and is killed after TOOL_TIMEOUT_MS.
+     * Being a same-origin worker, it would still reach the network and IndexedDB (the saved
+     * conversations), so those globals are removed from the worker scope and its prototypes
+     * before the tool code is evaluated. `import()` is syntax and cannot be removed this way.
+     * @param {string} code - Body of an async function receiving `args`
+     * @param {Object} args - Parsed arguments
+     * @returns {Promise<*>} JSON-serializable return value
+     */
+    runInWorker(code, args) {
+      if (typeof Worker === 'undefined' || typeof Blob === 'undefined') {
+        return Promise.reject(new Error('Web Workers are not available in this browser'));
+      }
+
+      const source =
+        "'use strict';\n" +
+        '(() => {\n' +
+        '  const blocked = ' + JSON.stringify(BLOCKED_WORKER_GLOBALS) + ';\n' +
+        '  for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {\n' +
+        '    blocked.forEach(name => {\n' +
+        '      if (Object.prototype.hasOwnProperty.call(scope, name)) {\n' +
+        '        try { delete scope[name]; } catch (e) { /* not configurable */ }\n' +
+        '      }\n' +
+        '    });\n' +
+        '  }\n' +
+        '  blocked.forEach(name => {\n' +
+        '    try {\n' +
+        '      Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });\n' +
+        '    } catch (e) {\n' +
+        "      if (self[name] !== undefined) throw new Error('Cannot sandbox ' + name);\n" +
+        '    }\n' +
+        '  });\n' +
+        '})();\n' +
+        'async function run(args) {\n' + code + '\n}\n' +
+        'self.onmessage = async (event) => {\n' +
+        '  try {\n' +
+        '    const result = await run(event.data);\n' +
+        '    self.postMessage({ ok: true, result: result === undefined ? null : JSON.parse(JSON.stringify(result)) });\n' +
+        '  } catch (error) {\n' +
+        '    self.postMessage({ ok: false, error: error && error.message ? error.message : String(error) });\n' +
+        '  }\n' +
+        '};\n';
+
+      const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+      const worker = new Worker(url);
+
+      return new Promise((resolve, reject) => {
+        const run = { worker, reject: null };
+
+        const finish = (callback, value) => {
+          clearTimeout(timer);
+          worker.terminate();
+          URL.revokeObjectURL(url);
+          this.activeRuns.delete(run);
+          callback(value);
+        };
+
+        run.reject = (error) => finish(reject, error);
+        this.activeRuns.add(run);
+
+        const timer = setTimeout(() => {
+          run.reject(new Error(`timed out after ${TOOL_TIMEOUT_MS / 1000}s`));
+        }, TOOL_TIMEOUT_MS);
+
+        worker.onmessage = (event) => {
+          const data = event.data || {};
+          if (data.ok) {
+            finish(resolve, data.result);
+          } else {
+            run.reject(new Error(data.error || 'tool failed'));
+          }
+        };
+
+        worker.onerror = (event) => {
+          if (event.preventDefault) event.preventDefault();
+          run.reject(new Error(event.message || 'tool failed to load'));
+        };
+
+        worker.postMessage(args);
+      });
+    }
+
+    /**
+     * Stop all running tool workers
+     */
+    cancelAll() {
+      Array.from(this.activeRuns).forEach(run => {
+        run.reject(new Error('cancelled'));
+      });
+    }
+
+    /**
+     * Open the editor for a new or existing tool
+     * @param {string|null} toolId - Tool ID, or null for a new tool
+     */
+    openEditor(toolId) {
+      const { toolEditor, toolName, toolDescription, toolParameters, toolCode } = this.elements;
+      const tool = this.tools.find(t => t.id === toolId) || null;
+
+      this.editingToolId = tool ? tool.id : null;
+      DOMUtils.setValue(toolName, tool ? tool.name : '');
+      DOMUtils.setValue(toolDescription, tool ? tool.description : '');
+      DOMUtils.setValue(toolParameters, JSON.stringify(tool ? tool.parameters : { type: 'object', properties: {} }, null, 2));
+      DOMUtils.setValue(toolCode, tool ? tool.code : 'return args;');
+      this.showEditorError('');
+      DOMUtils.showElement(toolEditor);
+    }
+
+    /**
+     * Close the tool editor without saving
+     */
+    closeEditor() {
+      this.editingToolId = null;
+      this.showEditorError('');
+      DOMUtils.hideElement(this.elements.toolEditor);
+    }
+
+    /**
+     * Validate and save the tool in the editor
+     */
+    saveEditor() {
+      const { toolName, toolDescription, toolParameters, toolCode } = this.elements;
+      const name = DOMUtils.getValue(toolName).trim();
+      const description = DOMUtils.getValue(toolDescription).trim();
+      const code = DOMUtils.getValue(toolCode);
+
+      if (!TOOL_NAME_PATTERN.test(name)) {
+        this.showEditorError('Name may only contain letters, digits, "_" and "-" (max 64 characters).');
+        return;
+      }
+
+      if (this.tools.some(t => t.name === name && t.id !== this.editingToolId)) {
+        this.showEditorError(`A tool named "${name}" already exists.`);
+        return;
+      }
+
+      let parameters;
+      try {
+        parameters = JSON.parse(DOMUtils.getValue(toolParameters) || '{}');
+      } catch (e) {
+        this.showEditorError(`Parameters are not valid JSON: ${e.message}`);
+        return;
+      }
+
+      if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters) || parameters.type !== 'object') {
+        this.showEditorError('Parameters must be a JSON schema with "type": "object".');
+        return;
+      }
+
+      try {
+        new AsyncFunction('args', code);
+      } catch (e) {
+        this.showEditorError(`Implementation has a syntax error: ${e.message}`);
+        return;
+      }
+
+      const existing = this.tools.find(t => t.id === this.editingToolId);
+      if (existing) {
+        Object.assign(existing, { name, description, parameters, code });
+      } else {
+        this.tools.push({
+          id: StorageService.generateId('tool'),
+          name,
+          description,
+          parameters,
+          code,
+          enabled: true
+        });
+      }
+
+      this.saveTools();
+      this.closeEditor();
+      this.renderToolList();
+      this.updateSummary();
+    }
+
+    /**
+     * Show a validation error in the editor
+     * @param {string} message - Error message (empty clears it)
+     */
+    showEditorError(message) {
+      DOMUtils.setTextContent(this.elements.toolEditorError, message);
+    }
+
+    /**
+     * Enable or disable a tool
+     * @param {string} toolId - Tool ID
+     * @param {boolean} enabled - Whether the tool is offered to the model
+     */
+    setToolEnabled(toolId, enabled) {
+      const tool = this.tools.find(t => t.id === toolId);
+      if (!tool) return;
+
+      tool.enabled = enabled;
+      this.saveTools();
+      this.updateSummary();
+    }
+
+    /**
+     * Delete a tool after confirmation
+     * @param {string} toolId - Tool ID
+     */
+    async deleteTool(toolId) {
+      const tool = this.tools.find(t => t.id === toolId);
+      if (!tool) return;
+
+      const confirmed = await ModalManager.showConfirmationModal({
+        title: 'Delete tool',
+        message: `Delete the tool "${DOMUtils.escapeHtml(tool.name)}"?`,
+        confirmText: 'Delete',
+        cancelText: 'Cancel'
+      });
+      if (!confirmed) return;
+
+      this.tools = this.tools.filter(t => t.id !== toolId);
+      if (this.editingToolId === toolId) {
+        this.closeEditor();
+      }
+      this.saveTools();
+      this.renderToolList();
+      this.updateSummary();
+    }
+
+    /**
+     * Render the list of tools
+     */
+    renderToolList() {
+      const { toolList } = this.elements;
+      if (!toolList) return;
+
+      DOMUtils.setInnerHTML(toolList, '');
+
+      if (this.tools.length === 0) {
+        toolList.appendChild(DOMUtils.createElement('div', {
+          className: 'muted small',
+          textContent: 'No tools defined.'
+        }));
+        return;
+      }
+
+      this.tools.forEach(tool => {
+        const row = DOMUtils.createElement('div', { className: 'tool-row' });
+
+        const toggle = DOMUtils.createElement('input', { type: 'checkbox', title: 'Offer this tool to the model' });
+        toggle.checked = !!tool.enabled;
+        DOMUtils.addEventListener(toggle, 'change', () => {
+          this.setToolEnabled(tool.id, toggle.checked);
+        });
+
+        const info = DOMUtils.createElement('div', { className: 'tool-info' });
+        info.appendChild(DOMUtils.createElement('code', { textContent: tool.name }));
+        info.appendChild(DOMUtils.createElement('span', { className: 'muted small', textContent: tool.description }));
+
+        const editBtn = DOMUtils.createElement('button', { type: 'button', className: 'btn secondary', textContent: 'Edit' });
+        DOMUtils.addEventListener(editBtn, 'click', () => this.openEditor(tool.id));
+
+        const deleteBtn = DOMUtils.createElement('button', { type: 'button', className: 'btn secondary', textContent: 'Delete' });
+        DOMUtils.addEventListener(deleteBtn, 'click', () => this.deleteTool(tool.id));
+
+        row.appendChild(toggle);
+        row.appendChild(info);
+        row.appendChild(editBtn);
+        row.appendChild(deleteBtn);
+        toolList.appendChild(row);
+      });
+    }
+
+    /**
+     * Update the panel summary with the number of enabled tools
+     */
+    updateSummary() {
+      const { toolsSummary } = this.elements;
+      if (!toolsSummary) return;
+
+      const enabledCount = this.getEnabledTools().length;
+      let summary = enabledCount > 0 ? `${enabledCount} enabled` : 'none enabled';
+
+      if (enabledCount > 0 && !this.modelSupportsTools) {
+        summary += ', not supported by this model';
+      }
+
+      DOMUtils.setTextContent(toolsSummary, summary);
+    }
+
+    /**
+     * Load tools from localStorage (example tools on first use)
+     * @returns {Array} Saved tools
+     */
+    loadTools() {
+      try {
+        const saved = localStorage.getItem(TOOLS_KEY);
+        if (saved === null) {
+          return DEFAULT_TOOLS.map(tool => ({ ...tool, id: StorageService.generateId('tool'), enabled: false }));
+        }
+        const tools = JSON.parse(saved);
+        return Array.isArray(tools) ? tools : [];
+      } catch (e) {
+        console.warn('Failed to load tools:', e);
+        return [];
+      }
+    }
+
+    /**
+     * Save tools to localStorage
+     */
+    saveTools() {
+      try {
+        localStorage.setItem(TOOLS_KEY, JSON.stringify(this.tools));
+      } catch (e) {
+        console.warn('Failed to save tools:', e);
+      }
+    }
+  }
+
+  // Export singleton instance
+  window.ToolManager = new ToolManager();
+
+})();
@@ -0,0 +1,366 @@
+/**
+ * Usage Tracker Module
+ * Handles token usage and cost accounting per message, conversation and day
+ * Following Single Responsibility Principle
+ */
+(function() {
+  'use strict';
+
+  const DAILY_USAGE_KEY = 'or_usage_daily';
+  const DAILY_RETENTION_DAYS = 30;
+
+  /**
+   * Usage Tracker Class
+   * Costs are in USD (OpenRouter credits)
+   */
+  class UsageTracker {
+    constructor() {
+      this.conversationTotals = this.createEmptyTotals();
+      this.sessionTotals = this.createEmptyTotals();
+      this.dailyUsage = {};
+
+      // DOM elements (will be injected)
+      this.elements = {};
+
+      // Event callbacks
+      this.onUsageRecorded = null;
+    }
+
+    /**
+     * Initialize the usage tracker with DOM elements
+     * @param {Object} elements - DOM elements object
+     */
+    initialize(elements) {
+      this.elements = elements;
+      this.dailyUsage = this.loadDailyUsage();
+      this.renderTotals();
+    }
+
+    /**
+     * Create an empty totals object
+     * @returns {Object} Totals with zeroed counters
+     */
+    createEmptyTotals() {
+      return {
+        requests: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        reasoningTokens: 0,
+        cost: 0
+      };
+    }
+
+    /**
+     * Build a usage record from the API `usage` block
+     * @param {Object} usage - Usage block from a chat completion response
+     * @param {string} modelId - Model used for the request (for pricing fallback)
+     * @returns {Object|null} Usage record or null if the response had no usage
+     */
+    buildUsageRecord(usage, modelId) {
+      if (!usage || typeof usage !== 'object') return null;
+
+      const record = {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        reasoningTokens: usage.completion_tokens_details?.reasoning_tokens || 0,
+        cachedTokens: usage.prompt_tokens_details?.cached_tokens || 0,
+        totalTokens: usage.total_tokens || ((usage.prompt_tokens || 0) + (usage.completion_tokens || 0)),
+        cost: null,
+        costSource: null
+      };
+
+      if (typeof usage.cost === 'number') {
+        // Usage accounting: the API reports what was actually charged
+        record.cost = usage.cost;
+        record.costSource = 'api';
+      } else {
+        const estimated = this.calculateCost(record, this.findModel(modelId));
+        if (estimated !== null) {
+          record.cost = estimated;
+          record.costSource = 'pricing';
+        }
+      }
+
+      return record;
+    }
+
+    /**
+     * Combine the usage records of several requests that produced one message
+     * (e.g. the rounds of a tool-calling loop)
+     * @param {Object|null} a - Usage record
+     * @param {Object|null} b - Usage record
+     * @returns {Object|null} Combined record
+     */
+    combineUsageRecords(a, b) {
+      if (!a || !b) return a || b || null;
+
+      const hasCost = a.cost !== null || b.cost !== null;
+      return {
+        promptTokens: a.promptTokens + b.promptTokens,
+        completionTokens: a.completionTokens + b.completionTokens,
+        reasoningTokens: a.reasoningTokens + b.reasoningTokens,
+        cachedTokens: a.cachedTokens + b.cachedTokens,
+        totalTokens: a.totalTokens + b.totalTokens,
+        cost: hasCost ? (a.cost || 0) + (b.cost || 0) : null,
+        costSource: a.costSource === b.costSource ? a.costSource : 'pricing'
+      };
+    }
+
+    /**
+     * Find a loaded model by ID
+     * @param {string} modelId - Model ID
+     * @returns {Object|null} Model or null
+     */
+    findModel(modelId) {
+      if (!modelId || !window.ModelManager) return null;
+      const models = ModelManager.getAllModels();
+      // Responses may report a dated variant of the listed ID
+      return models.find(m => m.id === modelId) || models.find(m => ModelManager.isSameModel(modelId, m.id)) || null;
+    }
+
+    /**
+     * Calculate the cost of a request from the model's per-token pricing
+     * @param {Object} record - Usage record
+     * @param {Object|null} model - Model with `pricing`
+     * @returns {number|null} Cost in USD or null if pricing is unknown
+     */
+    calculateCost(record, model) {
+      const pricing = model && model.pricing;
+      if (!pricing) return null;
+
+      const price = (key) => {
+        const value = parseFloat(pricing[key]);
+        return Number.isFinite(value) && value > 0 ? value : 0;
+      };
+
+      const cacheReadPrice = pricing.input_cache_read !== undefined ? price('input_cache_read') : price('prompt');
+      const cachedTokens = Math.min(record.cachedTokens, record.promptTokens);
+      const uncachedTokens = record.promptTokens - cachedTokens;
+
+      return uncachedTokens * price('prompt') +
+        cachedTokens * cacheReadPrice +
+        record.completionTokens * price('completion') +
+        price('request');
+    }
+
+    /**
+     * Add a usage record to the conversation, session and daily totals
+     * @param {Object} record - Usage record
+     */
+    recordUsage(record) {
+      if (!record) return;
+
+      this.addToTotals(this.conversationTotals, record);
+      this.addToTotals(this.sessionTotals, record);
+
+      const today = this.getDateKey(new Date());
+      const daily = { ...this.createEmptyTotals(), ...(this.dailyUsage[today] || {}) };
+      this.addToTotals(daily, record);
+      this.dailyUsage[today] = daily;
+      this.saveDailyUsage();
+
+      this.renderTotals();
+
+      if (this.onUsageRecorded) {
+        this.onUsageRecorded(record);
+      }
+    }
+
+    /**
+     * Add a usage record to a totals object
+     * @param {Object} totals - Totals to update in place
+     * @param {Object} record - Usage record
+     */
+    addToTotals(totals, record) {
+      totals.requests += 1;
+      totals.promptTokens += record.promptTokens;
+      totals.completionTokens += record.completionTokens;
+      totals.reasoningTokens += record.reasoningTokens;
+      totals.cost += record.cost || 0;
+    }
+
+    /**
+     * Get the running totals of the current conversation
+     * @returns {Object} Conversation totals
+     */
+    getConversationTotals() {
+      return { ...this.conversationTotals };
+    }
+
+    /**
+     * Restore the running totals saved with a conversation
+     * @param {Object} totals - Saved totals (missing for older conversations)
+     */
+    restoreConversationTotals(totals) {
+      this.conversationTotals = { ...this.createEmptyTotals(), ...(totals || {}) };
+      this.renderTotals();
+    }
+
+    /**
+     * Reset the conversation totals (new conversation)
+     */
+    resetConversationTotals() {
+      this.restoreConversationTotals(null);
+    }
+
+    /**
+     * Get the totals since the page was loaded
+     * @returns {Object} Session totals
+     */
+    getSessionTotals() {
+      return { ...this.sessionTotals };
+    }
+
+    /**
+     * Get today's totals
+     * @returns {Object} Daily totals
+     */
+    getTodayTotals() {
+      return { ...this.createEmptyTotals(), ...(this.dailyUsage[this.getDateKey(new Date())] || {}) };
+    }
+
+    /**
+     * Render conversation and daily totals in the chat header
+     */
+    renderTotals() {
+      const { usageTotals } = this.elements;
+      if (!usageTotals) return;
+
+      const conversation = this.conversationTotals;
+      const today = this.getTodayTotals();
+      const conversationTokens = conversation.promptTokens + conversation.completionTokens;
+      const todayTokens = today.promptTokens + today.completionTokens;
+
+      DOMUtils.setTextContent(usageTotals,
+        `Conversation: ${this.formatTokens(conversationTokens)} tok · ${this.formatCost(conversation.cost)}` +
+        ` | Today: ${this.formatTokens(todayTokens)} tok · ${this.formatCost(today.cost)}`);
+      usageTotals.title =
+        `Conversation: ${conversation.requests} request(s), ${this.formatTokens(conversation.promptTokens)} prompt, ` +
+        `${this.formatTokens(conversation.completionTokens)} completion, ${this.formatTokens(conversation.reasoningTokens)} reasoning tokens\n` +
+        `Today: ${today.requests} request(s), ${this.formatTokens(today.promptTokens)} prompt, ` +
+        `${this.formatTokens(today.completionTokens)} completion, ${this.formatTokens(today.reasoningTokens)} reasoning tokens`;
+    }
+
+    /**
+     * Format a usage record for a message footer
+     * @param {Object} record - Usage record
+     * @returns {string} Footer text
+     */
+    formatUsage(record) {
+      // Reasoning tokens are part of the completion count; show them apart from the answer
+      const parts = [
+        `${this.formatTokens(record.promptTokens)} prompt`,
+        `${this.formatTokens(record.completionTokens - record.reasoningTokens)} completion`
+      ];
+
+      if (record.reasoningTokens > 0) {
+        parts.push(`${this.formatTokens(record.reasoningTokens)} reasoning`);
+      }
+
+      parts.push(record.cost === null ? 'cost unknown' : this.formatCost(record.cost));
+      return parts.join(' · ');
+    }
+
+    /**
+     * Describe where a record's cost comes from
+     * @param {Object} record - Usage record
+     * @returns {string} Tooltip text
+     */
+    describeCostSource(record) {
+      if (record.costSource === 'api') return 'Cost reported by OpenRouter usage accounting';
+      if (record.costSource === 'pricing') return 'Cost estimated from the model pricing';
+      return 'No pricing information available for this model';
+    }
+
+    /**
+     * Format a token count
+     * @param {number} tokens - Token count
+     * @returns {string} Formatted count
+     */
+    formatTokens(tokens) {
+      return (tokens || 0).toLocaleString();
+    }
+
+    /**
+     * Format a cost in USD
+     * @param {number} cost - Cost in USD
+     * @returns {string} Formatted cost
+     */
+    formatCost(cost) {
+      if (!cost) return '$0';
+      if (cost < 0.0001) return '<$0.0001';
+      return `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+    }
+
+    /**
+     * Format a per-token price as USD per million tokens
+     * @param {string|number|undefined} price - Price per token from the model pricing
+     * @returns {string} Formatted price such as "$0.15/M"
+     */
+    formatTokenPrice(price) {
+      const value = parseFloat(price);
+      if (!Number.isFinite(value) || value < 0) return 'n/a';
+      if (value === 0) return 'free';
+      const perMillion = value * 1e6;
+      return `$${perMillion >= 1 ? perMillion.toFixed(2) : perMillion.toPrecision(2)}/M`;
+    }
+
+    /**
+     * Get the local date key used for daily totals
+     * @param {Date} date - Date
+     * @returns {string} Key in YYYY-MM-DD format
+     */
+    getDateKey(date) {
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+      const day = String(date.getDate()).padStart(2, '0');
+      return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Load daily usage from localStorage
+     * @returns {Object} Daily totals keyed by date
+     */
+    loadDailyUsage() {
+      try {
+        const saved = localStorage.getItem(DAILY_USAGE_KEY);
+        return saved ? JSON.parse(saved) : {};
+      } catch (e) {
+        console.warn('Failed to load daily usage:', e);
+        return {};
+      }
+    }
+
+    /**
+     * Save daily usage to localStorage, dropping old days
+     */
+    saveDailyUsage() {
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - DAILY_RETENTION_DAYS);
+      const cutoffKey = this.getDateKey(cutoff);
+
+      Object.keys(this.dailyUsage).forEach(key => {
+        if (key < cutoffKey) {
+          delete this.dailyUsage[key];
+        }
+      });
+
+      try {
+        localStorage.setItem(DAILY_USAGE_KEY, JSON.stringify(this.dailyUsage));
+      } catch (e) {
+        console.warn('Failed to save daily usage:', e);
+      }
+    }
+
+    /**
+     * Set usage recorded callback
+     * @param {Function} callback - Callback function
+     */
+    setOnUsageRecorded(callback) {
+      this.onUsageRecorded = callback;
+    }
+  }
+
+  // Export singleton instance
+  window.UsageTracker = new UsageTracker();
+
+})();